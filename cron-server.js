@@ -9,6 +9,7 @@ import http from 'http';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { POST_TIMES } from './src/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,8 +77,8 @@ const server = http.createServer(async (req, res) => {
   if (action === 'post') {
     const indexStr = url.searchParams.get('index');
     const index = indexStr != null ? parseInt(indexStr, 10) : NaN;
-    if (isNaN(index) || index < 0 || index > 6) {
-      send(res, 400, { ok: false, error: 'index must be 0-6' });
+    if (isNaN(index) || index < 0 || index >= POST_TIMES.length) {
+      send(res, 400, { ok: false, error: `index must be 0-${POST_TIMES.length - 1}` });
       return;
     }
     try {
@@ -94,5 +95,5 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Cron server listening on port ${PORT}`);
-  console.log('GET /run?token=...&action=prep | action=post&index=0..6');
+  console.log(`GET /run?token=...&action=prep | action=post&index=0..${POST_TIMES.length - 1}`);
 });
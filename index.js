@@ -3,58 +3,32 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 
-import { getTodaysBirthdays } from './src/scraper.js';
-import { searchCharacter } from './src/jikan.js';
-import { resolveImageForCharacter } from './src/image-resolver.js';
-import { initTwitterClient, postBirthdayTweet, getBirthdayMessage } from './src/twitter.js';
-import { POST_TIMES, PREP_TIME } from './src/scheduler.js';
-import { getDayDoc, saveDayDoc, updatePostStatus, closeMongo } from './src/supabase.js';
-import { uploadPostImage, downloadPostImage } from './src/s3.js';
+import { discoverBirthdays } from './src/discovery.js';
+import { getVoiceActorName } from './src/jikan.js';
+import { resolveCharacter, rememberIdentity, parseAnilistId } from './src/identity-map.js';
+import { resolveImageForCharacter, pickNextCandidate } from './src/image-resolver.js';
+import { initTwitterClient, getBirthdayMessage, createAltText, isTwitterEnabled, getTwitterCredentialsFromEnv } from './src/twitter.js';
+import { ensureHashtagsOnNewLine } from './src/gemini.js';
+import { getEnabledPublishers, publishPost, generatePreviewTexts, getPostCharacter } from './src/publishers.js';
+import { POST_TIMES, getScheduledActionNow } from './src/scheduler.js';
+import { TIMEZONE, formatTime } from './src/config.js';
+import { getTodayDateString } from './src/state.js';
+import { getDayDoc, saveDayDoc, updatePostStatus, closeStateStore, getStateStore } from './src/state-store.js';
+import { uploadPostImage, downloadPostImage, getBlobStore } from './src/blob-store.js';
+import { getInitialPostStatus, ensurePostApproved, isApprovalRequired } from './src/approval.js';
+import { replacePostImage } from './src/preview-editor.js';
+import { getPromptVersionForSlot } from './src/prompt-templates.js';
+import { extractAboutQuote } from './src/thread.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const TEMP_DIR = path.join(__dirname, 'temp');
-const NUM_POSTS = 7;
-const ARGENTINA_TZ = 'America/Argentina/Buenos_Aires';
-
-function getTodayDateString() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: ARGENTINA_TZ });
-}
-
-function formatScheduledTime(timeObj) {
-  const h = timeObj.hour.toString().padStart(2, '0');
-  const m = (timeObj.minute || 0).toString().padStart(2, '0');
-  return `${h}:${m}`;
-}
+// Un post por slot de POST_TIMES
+const NUM_POSTS = POST_TIMES.length;
 
 /**
- * Con 1 solo cron (ej. cada 30 min): decide por hora Argentina si hacer prep o post N.
- * Ventana de 30 min por slot.
- */
-function getScheduledActionNow() {
-  const now = new Date();
-  const formatter = new Intl.DateTimeFormat('en-CA', { timeZone: ARGENTINA_TZ, hour: 'numeric', minute: 'numeric', hour12: false });
-  const parts = formatter.formatToParts(now);
-  const hour = parseInt(parts.find(p => p.type === 'hour')?.value ?? '0', 10);
-  const minute = parseInt(parts.find(p => p.type === 'minute')?.value ?? '0', 10);
-  const slot = hour * 60 + minute;
-  const WINDOW = 30;
-
-  const inWindow = (h, m) => {
-    const start = h * 60 + m;
-    return slot >= start && slot < start + WINDOW;
-  };
-  if (inWindow(PREP_TIME.hour, PREP_TIME.minute)) return 'prep';
-  for (let i = 0; i < POST_TIMES.length; i++) {
-    const t = POST_TIMES[i];
-    if (inWindow(t.hour, t.minute)) return i;
-  }
-  return null;
-}
-
-/**
- * Main: CRON_ACTION (7 crons) | 1 cron por hora Argentina | local (--prep | --post N)
+ * Main: CRON_ACTION (1 cron por slot) | 1 cron por hora local del bot (BOT_TIMEZONE) | local (--prep | --post N)
  */
 async function main() {
   const cronAction = process.env.CRON_ACTION;
@@ -66,7 +40,7 @@ async function main() {
 
   if (cronAction === 'prep' || hasPrep) {
     await runPrep(isNaN(prepLimit) ? null : prepLimit);
-    await closeMongo();
+    await closeStateStore();
     process.exit(0);
   }
 
@@ -75,16 +49,16 @@ async function main() {
       ? parseInt(process.env.CRON_POST_INDEX ?? '0', 10)
       : postIndexArg;
     await runPost(index);
-    await closeMongo();
+    await closeStateStore();
     process.exit(0);
   }
 
-  // 1 solo cron en Railway: decidir por hora Argentina (ventanas de 30 min)
+  // 1 solo cron en Railway: decidir por hora local del bot (ventanas de 30 min)
   const scheduled = getScheduledActionNow();
   if (scheduled === 'prep') {
-    console.log('[Cron] Hora Argentina: ejecutando prep');
+    console.log(`[Cron] Hora ${TIMEZONE}: ejecutando prep`);
     await runPrep(null);
-    await closeMongo();
+    await closeStateStore();
     process.exit(0);
   }
   if (typeof scheduled === 'number') {
@@ -95,31 +69,31 @@ async function main() {
       console.log('[Cron] No hay posts del día; ejecutando prep primero');
       await runPrep(null);
     }
-    console.log(`[Cron] Hora Argentina: ejecutando post ${scheduled}`);
+    console.log(`[Cron] Hora ${TIMEZONE}: ejecutando post ${scheduled}`);
     await runPost(scheduled);
-    await closeMongo();
+    await closeStateStore();
     process.exit(0);
   }
 
   if (process.env.RAILWAY_CRON || process.env.RAILWAY_ENVIRONMENT) {
     process.exit(0);
   }
-  console.log('Usage: CRON_ACTION=prep node index.js  |  node index.js --prep  |  node index.js --post=0');
+  console.log('Usage: CRON_ACTION=prep node index.js  |  node index.js --prep [--offline]  |  node index.js --post=0');
   process.exit(1);
 }
 
 function validateConfig() {
-  const required = ['API_KEY', 'API_SECRET', 'ACCESS_TOKEN', 'ACCESS_TOKEN_SECRET'];
-  const missing = required.filter(key => !process.env[key]);
-  if (missing.length > 0) {
-    console.error('Missing required environment variables:', missing.join(', '));
+  const enabled = getEnabledPublishers();
+  if (enabled.length === 0) {
+    console.error('No publisher configured: set credentials for Twitter, Bluesky, Mastodon, Discord or Telegram (see .env.example)');
     process.exit(1);
   }
+  console.log(`Publishers: ${enabled.join(', ')}`);
 }
 
 /**
- * Prep: scrape ACDB, prepare images, Gemini texts, upload to S3, save to Supabase
- * @param {number|null} limit - Número de personajes (ej. 1 para test). Si null, usa NUM_POSTS (6).
+ * Prep: discover birthdays (ACDB + AniList), prepare images, LLM texts, upload to blob store (S3/MinIO/local), save to state store
+ * @param {number|null} limit - Número de personajes (ej. 1 para test). Si null, usa NUM_POSTS (uno por slot de POST_TIMES).
  */
 async function runPrep(limit = null) {
   console.log('===========================================');
@@ -127,32 +101,21 @@ async function runPrep(limit = null) {
   console.log('===========================================');
 
   validateConfig();
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for prep');
-    process.exit(1);
-  }
-  if (!process.env.S3_BUCKET && !process.env.AWS_BUCKET) {
-    console.error('S3_BUCKET (or AWS_BUCKET) is required for prep');
-    process.exit(1);
-  }
+  const stateStore = getStateStore();
+  const blobStore = getBlobStore();
 
   const prepLimit = limit ?? NUM_POSTS;
   if (prepLimit === 1) {
     console.log('[TEST] Prep limitado a 1 personaje\n');
   }
 
-  initTwitterClient({
-    apiKey: process.env.API_KEY,
-    apiSecret: process.env.API_SECRET,
-    accessToken: process.env.ACCESS_TOKEN,
-    accessTokenSecret: process.env.ACCESS_TOKEN_SECRET
-  });
+  if (isTwitterEnabled()) initTwitterClient(getTwitterCredentialsFromEnv());
   await fs.mkdir(TEMP_DIR, { recursive: true });
 
   const date = getTodayDateString();
-  console.log(`Date (Argentina): ${date}\n`);
+  console.log(`Date (${TIMEZONE}): ${date}\n`);
 
-  const characters = await getTodaysBirthdays(prepLimit);
+  const characters = await discoverBirthdays(prepLimit);
   if (characters.length === 0) {
     console.log('No birthday characters found for today.');
     return;
@@ -170,25 +133,53 @@ async function runPrep(limit = null) {
   const posts = [];
   for (let i = 0; i < preparedPosts.length; i++) {
     const post = preparedPosts[i];
-    const previewText = await getBirthdayMessage(post.character);
+    const { language, previewText, previewTexts, hashtags, altText, trivia, textSources, promptVersion } = await generatePreviewTexts(post.character, {
+      promptVersion: getPromptVersionForSlot(date, i)
+    });
     let imageUrl = null;
     if (post.imagePath) {
       try {
-        imageUrl = await uploadPostImage(post.imagePath, date, post.character.name, i);
-        console.log(`[S3] ${i} ${post.character.name} -> ${imageUrl}`);
+        imageUrl = await uploadPostImage(post.imagePath, date, i);
+        console.log(`[BlobStore] ${i} ${post.character.name} -> ${imageUrl}`);
       } catch (e) {
-        console.warn(`[S3] Upload failed for ${post.character.name}:`, e.message);
+        console.warn(`[BlobStore] Upload failed for ${post.character.name} (${blobStore.name}):`, e.message);
       }
     }
     posts.push({
       index: i,
+      acdbId: post.acdbId,
+      anilistId: post.anilistId ?? null,
+      discoverySources: post.discovery?.sources || ['acdb'],
+      popularity: post.discovery?.popularity ?? null,
       character: post.character.name,
       series: post.character.series,
-      scheduledTime: formatScheduledTime(POST_TIMES[i] || { hour: 9, minute: 0 }),
+      nameKanji: post.character.name_kanji || null,
+      animeMalId: post.character.anime_id || null,
+      scheduledTime: formatTime(POST_TIMES[i] || { hour: 9, minute: 0 }),
+      language,
       previewText: previewText || '',
+      previewTexts,
+      hashtags,
+      altText,
+      trivia,
+      aboutQuote: extractAboutQuote(post.character.about),
+      voiceActors: post.character.voices,
+      malUrl: post.character.mal_url,
+      anilistUrl: post.character.anilist_url,
+      matchConfidence: post.match?.confidence ?? null,
+      lowConfidenceMatch: !!post.match?.low,
+      matchCandidates: post.match?.candidates || [],
+      textSources,
+      promptVersion,
       imageUrl,
-      status: 'pending',
+      imageSource: post.imageSource,
+      imageSourceUrl: post.imageSourceUrl,
+      imagePageUrl: post.imagePageUrl,
+      imageCreditUrl: post.imageCreditUrl,
+      imageCandidates: post.imageCandidates,
+      status: getInitialPostStatus(),
       postedAt: null,
+      tweetId: null,
       tweetUrl: null,
       error: null
     });
@@ -200,11 +191,15 @@ async function runPrep(limit = null) {
     posts
   };
   await saveDayDoc(doc);
-  console.log(`\nSaved to Supabase: ${date} (${posts.length} posts)`);
+  console.log(`\nSaved to ${stateStore.name}: ${date} (${posts.length} posts)`);
+  if (isApprovalRequired()) {
+    console.log('[Approval] Posts awaiting approval: revisalos en /vista-previa');
+  }
 }
 
 /**
- * Post: load day from Mongo, post at index, update Mongo
+ * Post: load day from state store, post at index if approved on every enabled publisher
+ * (publishPost records the per-platform result in the store)
  */
 async function runPost(index) {
   console.log('===========================================');
@@ -212,17 +207,6 @@ async function runPost(index) {
   console.log('===========================================');
 
   validateConfig();
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for post');
-    process.exit(1);
-  }
-
-  initTwitterClient({
-    apiKey: process.env.API_KEY,
-    apiSecret: process.env.API_SECRET,
-    accessToken: process.env.ACCESS_TOKEN,
-    accessTokenSecret: process.env.ACCESS_TOKEN_SECRET
-  });
   await fs.mkdir(TEMP_DIR, { recursive: true });
 
   const date = getTodayDateString();
@@ -241,30 +225,30 @@ async function runPost(index) {
     console.log('Already posted:', post.character);
     return;
   }
-  if (!post.imageUrl) {
-    console.error('No imageUrl for post', index);
-    await updatePostStatus(date, index, { status: 'error', error: 'No imageUrl' });
+  const approval = await ensurePostApproved(date, doc, post);
+  if (!approval.ok) {
+    console.log(`[Approval] Not publishing ${post.character}: ${approval.reason}`);
     return;
   }
-
-  const character = { name: post.character, series: post.series };
+  const character = getPostCharacter(post);
   const tempPath = path.join(TEMP_DIR, `post_${date}_${index}_${Date.now()}.jpg`);
 
   try {
-    await downloadPostImage(post.imageUrl, tempPath);
-    const result = await postBirthdayTweet(character, tempPath, index, post.previewText);
-
-    if (result.success && !result.skipped) {
-      await updatePostStatus(date, index, {
-        status: 'posted',
-        postedAt: new Date().toISOString(),
-        tweetUrl: result.url
-      });
-      console.log('Posted:', result.url);
-    } else if (result.skipped) {
-      console.log('Skipped:', result.reason);
+    if (!await fetchPostImage(date, post, tempPath)) {
+      console.error('No image for post', index);
+      await updatePostStatus(date, index, { status: 'error', error: 'No imageUrl' });
+      return;
+    }
+    const text = ensureHashtagsOnNewLine(post.previewText ?? await getBirthdayMessage(character, post.language));
+    const result = await publishPost(date, post, {
+      text,
+      imagePath: tempPath,
+      altText: post.altText || createAltText(character, post.language)
+    });
+
+    if (result.success) {
+      console.log('Posted:', Object.values(result.platforms).map(p => p.url).filter(Boolean).join(' '));
     } else {
-      await updatePostStatus(date, index, { status: 'error', error: result.error });
       console.error('Failed:', result.error);
     }
   } finally {
@@ -273,7 +257,34 @@ async function runPost(index) {
 }
 
 /**
- * Prepare posts with images — flujo determinista (mismo orden que post-now)
+ * Deja la imagen del post en tempPath. Si falta o no se puede leer del blob store,
+ * usa la siguiente candidata válida del pool (imageCandidates) sin volver a scrapear.
+ * @returns {Promise<string|null>} tempPath o null si no hubo ninguna
+ */
+async function fetchPostImage(date, post, tempPath) {
+  if (post.imageUrl) {
+    try {
+      return await downloadPostImage(post.imageUrl, tempPath);
+    } catch (e) {
+      console.warn(`[BlobStore] ${e.message}`);
+    }
+  }
+
+  const tried = [post.imageSourceUrl];
+  let next;
+  while ((next = pickNextCandidate(post.imageCandidates, tried))) {
+    tried.push(next.url);
+    console.log(`[image-resolver] Trying runner-up ${next.source} (score ${next.score})`);
+    // Ya se decidió publicar este post: el reemplazo no lo vuelve a dejar por aprobar
+    const result = await replacePostImage(date, post.index, next.url, next.source, 'retry', { keepApproval: true });
+    if (result.ok) return downloadPostImage(result.post.imageUrl, tempPath);
+  }
+  return null;
+}
+
+/**
+ * Prepare posts with images — la mejor candidata del pool puntuado (mismo resolver que post-now)
+ * El personaje de MAL sale del mapa de identidades si ya es conocido (src/identity-map.js).
  * Ver src/image-resolver.js
  */
 export async function preparePostsWithImages(characters) {
@@ -283,30 +294,58 @@ export async function preparePostsWithImages(characters) {
     console.log(`\nPreparing post for ${char.name}...`);
 
     try {
-      const malChar = await searchCharacter(char.name, char.series);
-      const { imagePath, source } = await resolveImageForCharacter(char, malChar, TEMP_DIR, {
-        hasAcdb: true,
-        logSource: true
-      });
+      const resolved = await resolveCharacter(char);
+      const { malChar } = resolved;
+      // AniList: el de la identidad guardada, si no el que trajo el descubrimiento
+      const anilistId = resolved.anilistId ?? char.anilistId ?? null;
+      const { imagePath, source, sourceUrl, pageUrl, creditUrl, candidates } = await resolveImageForCharacter(
+        { ...char, anilistId },
+        malChar,
+        TEMP_DIR,
+        { hasAcdb: !!char.id, logSource: true }
+      );
+      const anilistUrl = candidates.find(c => c.source === 'anilist')?.pageUrl || null;
+      await rememberIdentity(char, resolved, parseAnilistId(anilistUrl) ?? anilistId);
 
       if (!imagePath) {
         console.log(`  No image for ${char.name}, skipping`);
         continue;
       }
+      if (resolved.lowConfidence) {
+        console.warn(`  [WARN] Low-confidence MAL match for ${char.name}: "${resolved.name}" (${resolved.confidence}) - flagged for review`);
+      }
 
-      const seriesForTweet = (malChar?.anime?.[0]?.title) || char.series;
       posts.push({
         acdbId: char.id || null,
+        anilistId: parseAnilistId(anilistUrl) ?? anilistId,
+        discovery: { sources: char.sources || ['acdb'], popularity: char.popularity ?? null },
+        match: {
+          confidence: resolved.confidence ?? null,
+          low: resolved.lowConfidence,
+          candidates: malChar?.match?.candidates || []
+        },
         character: {
-          name: malChar?.name || char.name,
+          name: resolved.name,
           name_kanji: malChar?.name_kanji || null,
-          series: seriesForTweet,
+          series: resolved.series,
+          anime_id: resolved.animeMalId,
           favorites: malChar?.favorites || char.favorites,
           birthday: char.birthday,
           about: malChar?.about || null,
-          genres: malChar?.genres || []
+          nicknames: malChar?.nicknames || [],
+          genres: malChar?.genres || [],
+          voices: malChar?.voices || [],
+          voice_actor: getVoiceActorName(malChar?.voices, 'Japanese'),
+          voice_actor_en: getVoiceActorName(malChar?.voices, 'English'),
+          mal_url: malChar?.url || null,
+          anilist_url: anilistUrl
         },
-        imagePath
+        imagePath,
+        imageSource: source,
+        imageSourceUrl: sourceUrl,
+        imagePageUrl: pageUrl,
+        imageCreditUrl: creditUrl,
+        imageCandidates: candidates
       });
     } catch (error) {
       console.error(`  Error preparing ${char.name}:`, error.message);
@@ -0,0 +1,41 @@
+/**
+ * Arma (o completa) el índice local de cumpleaños: la lista de ACDB de los 366 días (ver src/birthday-index.js).
+ * Un request por día; si se corta, la próxima corrida sigue donde quedó.
+ *
+ * Uso: node scripts/build-birthday-index.js [--all] [--max-age=DÍAS]
+ *   sin opciones  solo los días que faltan o tienen más de BIRTHDAY_INDEX_REFRESH_DAYS (default 7)
+ *   --all         vuelve a bajar todos los días
+ * Ejemplo: npm run birthday-index
+ */
+
+import 'dotenv/config';
+import { buildBirthdayIndex, loadBirthdayIndex, listDayKeys } from '../src/birthday-index.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+async function main() {
+  const maxAgeDays = args.includes('--all')
+    ? 0
+    : parseFloat(getArg('max-age') || process.env.BIRTHDAY_INDEX_REFRESH_DAYS || '7');
+  if (isNaN(maxAgeDays) || maxAgeDays < 0) {
+    console.error('Uso: node scripts/build-birthday-index.js [--all] [--max-age=DÍAS]');
+    process.exit(1);
+  }
+
+  console.log(`\n=== Índice de cumpleaños (${maxAgeDays > 0 ? `días sin bajar o con más de ${maxAgeDays} días` : 'todos los días'}) ===\n`);
+  const result = await buildBirthdayIndex({ maxAgeDays });
+
+  const index = await loadBirthdayIndex();
+  const days = listDayKeys().filter(key => index.days?.[key]);
+  const characters = days.reduce((sum, key) => sum + (index.days[key].characters?.length || 0), 0);
+  console.log(`\nListo: ${days.length}/366 días, ${characters} personajes.`);
+  if (result.failed.length > 0) {
+    console.log(`Fallaron ${result.failed.length} día(s): ${result.failed.join(', ')} (correr de nuevo para completarlos)`);
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
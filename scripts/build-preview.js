@@ -2,8 +2,10 @@
  * Prepara los top 6 personajes de una fecha, guarda imágenes de vista previa y estado.
  * Así la página "Vista previa" y "Planificado" muestran ese día.
  *
- * Uso: node scripts/build-preview.js [YYYY-MM-DD]
+ * Uso: node scripts/build-preview.js [YYYY-MM-DD] [--offline]
  * Ejemplo: node scripts/build-preview.js 2026-02-04
+ * Con --offline las fuentes (ACDB, Jikan, AniList, Safebooru) se leen solo de la cache HTTP (ver src/http-cache.js).
+ * AniList solo lista los cumpleaños de hoy: para otra fecha los personajes salen solo de ACDB.
  */
 
 import 'dotenv/config';
@@ -11,34 +13,36 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 
-import { getTodaysBirthdays } from '../src/scraper.js';
+import { discoverBirthdays } from '../src/discovery.js';
 import { preparePostsWithImages } from '../index.js';
-import { getBirthdayMessage } from '../src/twitter.js';
+import { generatePreviewTexts } from '../src/publishers.js';
 import { POST_TIMES } from '../src/scheduler.js';
-import { saveState, DATA_DIR } from '../src/state.js';
+import { TIMEZONE, formatTime } from '../src/config.js';
+import { zonedTimeToDate } from '../src/timezone.js';
+import { saveDayDoc, getStateStore } from '../src/state-store.js';
+import { uploadPostImage } from '../src/blob-store.js';
+import { getInitialPostStatus } from '../src/approval.js';
+import { getPromptVersionForSlot } from '../src/prompt-templates.js';
+import { extractAboutQuote } from '../src/thread.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const NUM_POSTS = 6;
 
-function formatTime(obj) {
-  if (!obj) return 'N/A';
-  return `${obj.hour.toString().padStart(2, '0')}:${obj.minute.toString().padStart(2, '0')}`;
-}
-
 async function main() {
-  const dateStr = process.argv[2] || '2026-02-04';
-  const date = new Date(dateStr + 'T12:00:00');
-  if (isNaN(date.getTime())) {
+  const dateStr = process.argv.slice(2).find(a => !a.startsWith('--')) || '2026-02-04';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr) || isNaN(new Date(dateStr + 'T12:00:00Z').getTime())) {
     console.error('Fecha inválida. Uso: node scripts/build-preview.js YYYY-MM-DD');
     process.exit(1);
   }
+  // Mediodía en BOT_TIMEZONE: el scraper toma día y mes en esa zona
+  const date = zonedTimeToDate(dateStr, 12, 0, TIMEZONE);
 
   console.log(`\n=== Build preview para ${dateStr} (top ${NUM_POSTS}) ===\n`);
 
   const tempDir = path.join(path.dirname(__dirname), 'temp');
   await fs.mkdir(tempDir, { recursive: true });
 
-  const characters = await getTodaysBirthdays(NUM_POSTS, date);
+  const characters = await discoverBirthdays(NUM_POSTS, date);
   if (characters.length === 0) {
     console.log('No hay personajes para esa fecha.');
     process.exit(1);
@@ -53,19 +57,16 @@ async function main() {
   }
 
   for (let i = 0; i < posts.length; i++) {
-    posts[i].previewText = await getBirthdayMessage(posts[i].character);
+    Object.assign(posts[i], await generatePreviewTexts(posts[i].character, { promptVersion: getPromptVersionForSlot(dateStr, i) }));
   }
 
-  const previewDir = path.join(DATA_DIR, 'preview', dateStr);
-  await fs.mkdir(previewDir, { recursive: true });
-
+  const imageUrls = [];
   for (let i = 0; i < posts.length; i++) {
     const post = posts[i];
+    imageUrls[i] = null;
     if (post.imagePath) {
-      const ext = path.extname(post.imagePath) || '.jpg';
-      const dest = path.join(previewDir, `${i}${ext}`);
-      await fs.copyFile(post.imagePath, dest);
-      console.log(`[Preview] ${i}.jpg → ${post.character.name}`);
+      imageUrls[i] = await uploadPostImage(post.imagePath, dateStr, i);
+      console.log(`[Preview] ${i} → ${post.character.name} (${imageUrls[i]})`);
     }
   }
 
@@ -75,20 +76,45 @@ async function main() {
     posts: posts.map((post, index) => ({
       index,
       acdbId: post.acdbId ?? null,
+      anilistId: post.anilistId ?? null,
+      discoverySources: post.discovery?.sources ?? ['acdb'],
+      popularity: post.discovery?.popularity ?? null,
       character: post.character.name,
       series: post.character.series,
+      nameKanji: post.character.name_kanji ?? null,
+      animeMalId: post.character.anime_id ?? null,
       scheduledTime: formatTime(POST_TIMES[index]),
-      status: 'pending',
+      status: getInitialPostStatus(),
       postedAt: null,
       tweetId: null,
       tweetUrl: null,
-      previewText: post.previewText ?? null
+      language: post.language,
+      previewText: post.previewText ?? null,
+      previewTexts: post.previewTexts ?? {},
+      hashtags: post.hashtags ?? [],
+      altText: post.altText ?? null,
+      trivia: post.trivia ?? null,
+      aboutQuote: extractAboutQuote(post.character.about),
+      voiceActors: post.character.voices ?? [],
+      malUrl: post.character.mal_url ?? null,
+      anilistUrl: post.character.anilist_url ?? null,
+      matchConfidence: post.match?.confidence ?? null,
+      lowConfidenceMatch: !!post.match?.low,
+      matchCandidates: post.match?.candidates ?? [],
+      textSources: post.textSources ?? {},
+      promptVersion: post.promptVersion ?? null,
+      imageUrl: imageUrls[index],
+      imageSource: post.imageSource ?? null,
+      imageSourceUrl: post.imageSourceUrl ?? null,
+      imagePageUrl: post.imagePageUrl ?? null,
+      imageCreditUrl: post.imageCreditUrl ?? null,
+      imageCandidates: post.imageCandidates ?? []
     }))
   };
 
-  await saveState(state);
-  console.log(`\nEstado guardado: posts-${dateStr}.json`);
-  console.log(`Preview: data/preview/${dateStr}/ (${posts.length} imágenes)`);
+  await saveDayDoc(state);
+  console.log(`\nEstado guardado (${getStateStore().name}): ${dateStr}`);
+  console.log(`Preview: preview/${dateStr}/ (${posts.length} imágenes)`);
   console.log(`\nPodés ver: http://localhost:3000/vista-previa?date=${dateStr}`);
 }
 
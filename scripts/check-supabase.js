@@ -4,7 +4,7 @@
  */
 
 import 'dotenv/config';
-import { getAvailableDates, getDayDoc, closeMongo } from '../src/supabase.js';
+import { createStateStore } from '../src/state-store.js';
 
 async function main() {
   if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
@@ -12,9 +12,10 @@ async function main() {
     process.exit(1);
   }
   console.log('Conectando a Supabase...\n');
+  const store = createStateStore('supabase');
 
   try {
-    const dates = await getAvailableDates(20);
+    const dates = await store.getAvailableDates(20);
     if (dates.length === 0) {
       console.log('Tabla daily_posts: vacía (aún no se guardó ningún día).');
       console.log('La tabla se llena al correr: node index.js --prep');
@@ -25,7 +26,7 @@ async function main() {
     console.log('');
 
     for (const date of dates.slice(0, 3)) {
-      const doc = await getDayDoc(date);
+      const doc = await store.getDayDoc(date);
       if (!doc) continue;
       const n = doc.posts?.length ?? 0;
       console.log(`--- ${date} (${n} posts) ---`);
@@ -40,7 +41,7 @@ async function main() {
     console.error('Error:', err.message);
     process.exit(1);
   } finally {
-    await closeMongo();
+    await store.close();
   }
 }
 
@@ -8,10 +8,13 @@
 
 import path from 'path';
 import fs from 'fs/promises';
-import axios from 'axios';
+import { httpGet } from '../src/http-client.js';
 import { fileURLToPath } from 'url';
 import { getTodaysBirthdaysListOnly } from '../src/scraper.js';
-import { DATA_DIR } from '../src/state.js';
+import { TIMEZONE } from '../src/config.js';
+import { zonedTimeToDate } from '../src/timezone.js';
+import { uploadPostImage } from '../src/blob-store.js';
+import { getDayDoc, updatePostStatus } from '../src/state-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -37,14 +40,13 @@ async function downloadImage(imageUrl, outputPath) {
   const url = fixImageUrl(imageUrl);
   if (!url) return false;
   try {
-    const response = await axios.get(url, {
+    const response = await httpGet(url, {
       responseType: 'arraybuffer',
-      timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         'Referer': 'https://www.animecharactersdatabase.com/'
       }
-    });
+    }, { timeout: 15000 });
     await fs.writeFile(outputPath, response.data);
     return true;
   } catch (err) {
@@ -55,15 +57,11 @@ async function downloadImage(imageUrl, outputPath) {
 
 async function main() {
   const dateStr = process.argv[2] || '2026-02-04';
-  const statePath = path.join(DATA_DIR, `posts-${dateStr}.json`);
-  const previewDir = path.join(DATA_DIR, 'preview', dateStr);
+  const tempDir = path.join(path.dirname(__dirname), 'temp');
 
-  let state;
-  try {
-    const raw = await fs.readFile(statePath, 'utf-8');
-    state = JSON.parse(raw);
-  } catch (e) {
-    console.error(`No existe estado para ${dateStr}. Ejecutá primero build-preview o creá posts-${dateStr}.json`);
+  const state = await getDayDoc(dateStr);
+  if (!state) {
+    console.error(`No existe estado para ${dateStr}. Ejecutá primero build-preview.`);
     process.exit(1);
   }
 
@@ -72,12 +70,12 @@ async function main() {
     process.exit(1);
   }
 
-  const date = new Date(dateStr + 'T12:00:00');
+  const date = zonedTimeToDate(dateStr, 12, 0, TIMEZONE);
   console.log(`Obteniendo lista del ${dateStr}...`);
   const list = await getTodaysBirthdaysListOnly(date);
   const byId = new Map(list.map(c => [c.id, c]));
 
-  await fs.mkdir(previewDir, { recursive: true });
+  await fs.mkdir(tempDir, { recursive: true });
   console.log(`Descargando ${state.posts.length} imágenes para ${dateStr}...\n`);
 
   for (let i = 0; i < state.posts.length; i++) {
@@ -92,7 +90,7 @@ async function main() {
       continue;
     }
     console.log(`  [${i}] ${name}...`);
-    const dest = path.join(previewDir, `${i}.jpg`);
+    const dest = path.join(tempDir, `preview_${dateStr}_${i}.jpg`);
     let ok = await downloadImage(fullUrl, dest);
     if (!ok && thumbUrl && thumbUrl !== fullUrl) {
       const thumbFixed = fixImageUrl(thumbUrl);
@@ -101,7 +99,14 @@ async function main() {
         ok = await downloadImage(thumbFixed, dest);
       }
     }
-    console.log(ok ? `      OK ${path.basename(dest)}` : `      Falló`);
+    if (ok) {
+      const imageUrl = await uploadPostImage(dest, dateStr, i);
+      await updatePostStatus(dateStr, post.index, { imageUrl });
+      try { await fs.unlink(dest); } catch (_) {}
+      console.log(`      OK ${imageUrl}`);
+    } else {
+      console.log(`      Falló`);
+    }
     await new Promise(r => setTimeout(r, 300));
   }
 
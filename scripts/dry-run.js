@@ -1,6 +1,7 @@
 /**
  * Dry-run script - tests the full flow without posting to Twitter
  * Use this to verify scraping and image downloading works correctly
+ * With --offline it only reads sources from the HTTP cache (src/http-cache.js)
  */
 
 import 'dotenv/config';
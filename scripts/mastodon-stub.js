@@ -0,0 +1,121 @@
+/**
+ * Instancia de Mastodon falsa para probar el publicador sin publicar de verdad.
+ * Implementa lo que usa src/mastodon.js: /api/v1/instance, /api/v2/media (responde 202 y la
+ * imagen queda lista en el primer GET), /api/v1/media/:id, /api/v1/statuses (valida el límite con el CW)
+ * y GET /api/v1/statuses/:id (métricas en 0, para scripts/prompt-report.js).
+ *
+ * Uso: node scripts/mastodon-stub.js   (o make mastodon-stub)
+ *   y en otra terminal: MASTODON_BASE_URL=http://localhost:4010 MASTODON_ACCESS_TOKEN=stub make post N=0
+ * Variables: MASTODON_STUB_PORT (default 4010), MASTODON_STUB_MAX_CHARS (default 500).
+ * GET /_statuses devuelve lo publicado (para revisar texto, CW y alt text).
+ */
+
+import http from 'http';
+import { countGraphemes } from '../src/text-length.js';
+
+const PORT = parseInt(process.env.MASTODON_STUB_PORT || '4010', 10);
+const MAX_CHARS = parseInt(process.env.MASTODON_STUB_MAX_CHARS || '500', 10);
+
+const media = new Map();
+const statuses = [];
+const idempotency = new Map();
+let nextId = 1;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Campo de texto de un multipart/form-data (lo justo para leer description).
+ */
+function getMultipartField(body, name) {
+  const match = body.toString('utf8').match(new RegExp(`name="${name}"\\r\\n\\r\\n([\\s\\S]*?)\\r\\n--`));
+  return match ? match[1] : null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const base = `http://localhost:${PORT}`;
+  const body = await readBody(req);
+
+  if (req.method === 'GET' && url.pathname === '/api/v1/instance') {
+    return sendJson(res, 200, { uri: `localhost:${PORT}`, title: 'Mastodon stub', configuration: { statuses: { max_characters: MAX_CHARS } } });
+  }
+  if (req.method === 'GET' && url.pathname === '/_statuses') {
+    return sendJson(res, 200, statuses);
+  }
+  if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+    return sendJson(res, 401, { error: 'The access token is invalid' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/v2/media') {
+    const id = String(nextId++);
+    const description = getMultipartField(body, 'description');
+    media.set(id, { id, type: 'image', url: null, description, bytes: body.length });
+    console.log(`[Stub] media ${id} (${body.length} bytes) alt: ${description || '(none)'}`);
+    return sendJson(res, 202, media.get(id));
+  }
+
+  const mediaMatch = url.pathname.match(/^\/api\/v1\/media\/(\w+)$/);
+  if (req.method === 'GET' && mediaMatch) {
+    const item = media.get(mediaMatch[1]);
+    if (!item) return sendJson(res, 404, { error: 'Record not found' });
+    item.url = `${base}/media/${item.id}.jpg`;
+    return sendJson(res, 200, item);
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/v1/statuses') {
+    const key = req.headers['idempotency-key'];
+    if (key && idempotency.has(key)) return sendJson(res, 200, idempotency.get(key));
+
+    let params;
+    try {
+      params = JSON.parse(body.toString('utf8') || '{}');
+    } catch (_) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const length = countGraphemes(params.status) + countGraphemes(params.spoiler_text || '');
+    if (length > MAX_CHARS) {
+      return sendJson(res, 422, { error: `Validation failed: Text character limit of ${MAX_CHARS} exceeded (${length})` });
+    }
+    const id = String(nextId++);
+    const status = {
+      id,
+      url: `${base}/@bot/${id}`,
+      content: params.status,
+      spoiler_text: params.spoiler_text || '',
+      sensitive: !!params.sensitive,
+      visibility: params.visibility || 'public',
+      media_attachments: (params.media_ids || []).map(mid => media.get(String(mid))).filter(Boolean),
+      favourites_count: 0,
+      reblogs_count: 0,
+      replies_count: 0
+    };
+    statuses.push(status);
+    if (key) idempotency.set(key, status);
+    console.log(`[Stub] status ${id} (${length}/${MAX_CHARS})${status.spoiler_text ? ` CW: ${status.spoiler_text}` : ''}`);
+    return sendJson(res, 200, status);
+  }
+
+  const statusMatch = url.pathname.match(/^\/api\/v1\/statuses\/(\w+)$/);
+  if (req.method === 'GET' && statusMatch) {
+    const status = statuses.find(s => s.id === statusMatch[1]);
+    return status ? sendJson(res, 200, status) : sendJson(res, 404, { error: 'Record not found' });
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mastodon stub en http://localhost:${PORT} (límite ${MAX_CHARS} caracteres)`);
+});
@@ -0,0 +1,69 @@
+/**
+ * Copia el historial de días y las identidades de personajes (identity-map.js) entre backends del StateStore
+ * (json, sqlite, supabase). No borra nada en el origen; en el destino reemplaza los días copiados y las identidades,
+ * salvo las que el destino tiene más nuevas (ej. corregidas ahí después).
+ *
+ * Uso: node scripts/migrate-state.js --from=json --to=supabase [--days=30] [--date=YYYY-MM-DD] [--dry-run]
+ * Ejemplo: node scripts/migrate-state.js --from=json --to=sqlite
+ */
+
+import 'dotenv/config';
+import { createStateStore, STATE_STORE_TYPES } from '../src/state-store.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+async function main() {
+  const from = getArg('from');
+  const to = getArg('to');
+  const days = parseInt(getArg('days') || '3650', 10);
+  const onlyDate = getArg('date');
+  const dryRun = args.includes('--dry-run');
+
+  if (!STATE_STORE_TYPES.includes(from) || !STATE_STORE_TYPES.includes(to) || from === to) {
+    console.error(`Uso: node scripts/migrate-state.js --from=<${STATE_STORE_TYPES.join('|')}> --to=<${STATE_STORE_TYPES.join('|')}> [--days=N] [--date=YYYY-MM-DD] [--dry-run]`);
+    process.exit(1);
+  }
+
+  const source = createStateStore(from);
+  const target = createStateStore(to);
+
+  try {
+    const dates = onlyDate ? [onlyDate] : await source.getAvailableDates(days);
+    console.log(`${from} → ${to}: ${dates.length} día(s)${dryRun ? ' (dry run)' : ''}\n`);
+
+    let copied = 0;
+    for (const date of dates) {
+      const doc = await source.getDayDoc(date);
+      if (!doc?.posts?.length) {
+        console.log(`  ${date}: sin posts, se omite`);
+        continue;
+      }
+      if (!dryRun) await target.saveDayDoc(doc);
+      copied++;
+      const posted = doc.posts.filter(p => p.status === 'posted').length;
+      console.log(`  ${date}: ${doc.posts.length} posts (${posted} enviados)`);
+    }
+
+    const identities = await source.listIdentities();
+    const existing = new Map((await target.listIdentities()).map(i => [String(i.acdbId), i]));
+    let copiedIdentities = 0;
+    for (const identity of identities) {
+      const current = existing.get(String(identity.acdbId));
+      if (current?.updatedAt && identity.updatedAt && new Date(current.updatedAt) > new Date(identity.updatedAt)) continue;
+      if (!dryRun) await target.saveIdentity(identity);
+      copiedIdentities++;
+    }
+    console.log(`\nIdentidades: ${copiedIdentities} de ${identities.length} ${dryRun ? 'para copiar' : 'copiadas'} (las más nuevas en ${to} se dejan).`);
+
+    console.log(`\nListo: ${copied} día(s) ${dryRun ? 'para copiar' : 'copiados'}.`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -12,18 +12,14 @@ import { getTodaysBirthdays } from '../src/scraper.js';
 import { searchCharacter } from '../src/jikan.js';
 import { initTwitterClient, postBirthdayTweet } from '../src/twitter.js';
 import { resolveImageForCharacter } from '../src/image-resolver.js';
-import { getDayDoc } from '../src/supabase.js';
-import { downloadPostImage } from '../src/s3.js';
+import { getDayDoc } from '../src/state-store.js';
+import { getTodayDateString } from '../src/state.js';
+import { downloadPostImage } from '../src/blob-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const TEMP_DIR = path.join(__dirname, '..', 'temp');
-const ARGENTINA_TZ = 'America/Argentina/Buenos_Aires';
-
-function getTodayDateString() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: ARGENTINA_TZ });
-}
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -31,7 +27,7 @@ const numPosts = parseInt(args.find(a => a.match(/^\d+$/)) || '1', 10);
 const delaySeconds = parseInt(args.find(a => a.startsWith('--delay='))?.split('=')[1] || '30', 10);
 const charFilter = args.find(a => a.startsWith('--char='))?.split('=')[1]?.trim(); // e.g. --char=Suguru
 const seriesArg = args.find(a => a.startsWith('--series='))?.slice('--series='.length).replace(/^["']|["']$/g, '').trim() || null;
-// --message="..." : texto exacto del tweet (si no se pasa, se genera con Gemini/fallback)
+// --message="..." : texto exacto del tweet (si no se pasa, se genera con la cadena de LLM/fallback)
 const messageArg = args.find(a => a.startsWith('--message='));
 const customMessage = messageArg ? messageArg.slice('--message='.length).replace(/^["']|["']$/g, '').trim() : null;
 
@@ -115,27 +111,25 @@ async function postNow() {
       const displayName = malChar.name || char.name;
       let imagePath = null;
 
-      // 1) Si hay post del día en Supabase para este personaje, usar ESA imagen (misma que en prep)
-      if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-        try {
-          const today = getTodayDateString();
-          const dayDoc = await getDayDoc(today);
-          const needle = displayName.toLowerCase();
-          const match = dayDoc?.posts?.find(
-            (p) => p.character && (p.character.toLowerCase().includes(needle) || needle.includes(p.character.toLowerCase()))
-          );
-          if (match?.imageUrl) {
-            const tempFile = path.join(TEMP_DIR, `post_supabase_${Date.now()}.jpg`);
-            await downloadPostImage(match.imageUrl, tempFile);
-            imagePath = tempFile;
-            console.log('  Using image from Supabase (same as prep)');
-          }
-        } catch (e) {
-          // Si falla Supabase, seguimos con resolución determinista
+      // 1) Si hay post del día en el StateStore para este personaje, usar ESA imagen (misma que en prep)
+      try {
+        const today = getTodayDateString();
+        const dayDoc = await getDayDoc(today);
+        const needle = displayName.toLowerCase();
+        const match = dayDoc?.posts?.find(
+          (p) => p.character && (p.character.toLowerCase().includes(needle) || needle.includes(p.character.toLowerCase()))
+        );
+        if (match?.imageUrl) {
+          const tempFile = path.join(TEMP_DIR, `post_prepared_${Date.now()}.jpg`);
+          await downloadPostImage(match.imageUrl, tempFile);
+          imagePath = tempFile;
+          console.log('  Using image from prepared post (same as prep)');
         }
+      } catch (e) {
+        // Si falla el StateStore o el blob store, seguimos con resolución determinista
       }
 
-      // 2) Si no había en Supabase: mismo flujo determinista que prep (image-resolver)
+      // 2) Si no había post preparado: mismo flujo determinista que prep (image-resolver)
       if (!imagePath) {
         const resolved = await resolveImageForCharacter(char, malChar, TEMP_DIR, {
           hasAcdb: !!(char.image || char.thumbnail),
@@ -12,13 +12,15 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 
-import { loadState, DATA_DIR } from '../src/state.js';
+import { getDayDoc } from '../src/state-store.js';
+import { readPostImage } from '../src/blob-store.js';
 import { initTwitterClient, postBirthdayTweet } from '../src/twitter.js';
+import { getTodayDateString } from '../src/state.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 async function main() {
-  const dateStr = process.argv[2] || new Date().toLocaleDateString('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' });
+  const dateStr = process.argv[2] || getTodayDateString();
   const index = parseInt(process.argv[3] || '0', 10);
 
   const required = ['API_KEY', 'API_SECRET', 'ACCESS_TOKEN', 'ACCESS_TOKEN_SECRET'];
@@ -28,7 +30,7 @@ async function main() {
     process.exit(1);
   }
 
-  const state = await loadState(dateStr);
+  const state = await getDayDoc(dateStr);
   if (!state?.posts?.length) {
     console.error(`No hay posts para ${dateStr}. Ejecutá antes: npm run build-preview ${dateStr}`);
     process.exit(1);
@@ -40,16 +42,16 @@ async function main() {
     process.exit(1);
   }
 
-  const previewDir = path.join(DATA_DIR, 'preview', dateStr);
-  const files = await fs.readdir(previewDir).catch(() => []);
-  const prefix = index + '.';
-  const imgFile = files.find(f => f === String(index) || f.startsWith(prefix));
-  if (!imgFile) {
-    console.error(`No hay imagen de preview para índice ${index} en ${previewDir}`);
+  const image = await readPostImage(dateStr, index);
+  if (!image) {
+    console.error(`No hay imagen de preview para índice ${index} (preview/${dateStr})`);
     process.exit(1);
   }
 
-  const imagePath = path.join(previewDir, imgFile);
+  const tempDir = path.join(path.dirname(__dirname), 'temp');
+  await fs.mkdir(tempDir, { recursive: true });
+  const imagePath = path.join(tempDir, `preview_test_${dateStr}_${path.basename(image.key)}`);
+  await fs.writeFile(imagePath, image.data);
   const character = { name: post.character, series: post.series };
   const message = post.previewText;
   if (!message) {
@@ -75,6 +77,7 @@ async function main() {
 
   // postIndex = null para no marcar como enviado en el estado (es prueba)
   const result = await postBirthdayTweet(character, imagePath, null, message);
+  try { await fs.unlink(imagePath); } catch (_) {}
 
   if (result.success && !result.skipped) {
     console.log('\n  Publicado:', result.url);
@@ -0,0 +1,31 @@
+/**
+ * Compara el engagement por versión de prompt (modo A/B de prompt-templates.js).
+ * Con --refresh vuelve a leer likes, reposts y respuestas de Twitter, Bluesky y Mastodon antes de comparar.
+ *
+ * Uso: node scripts/prompt-report.js [--days=14] [--refresh]
+ */
+
+import 'dotenv/config';
+import { getPromptVersionReport } from '../src/engagement.js';
+import { closeStateStore } from '../src/state-store.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+async function main() {
+  const days = parseInt(getArg('days') || '14', 10);
+  const { dates, rows } = await getPromptVersionReport(days, { refresh: args.includes('--refresh') });
+  console.log(`\nEngagement por versión de prompt (${dates.length} día(s)${dates.length ? `: ${dates[dates.length - 1]} → ${dates[0]}` : ''})\n`);
+  if (rows.length === 0) {
+    console.log('Sin posts publicados con versión de prompt y métricas. Probá con --refresh.');
+    return;
+  }
+  console.table(rows);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(closeStateStore);
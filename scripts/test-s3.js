@@ -0,0 +1,35 @@
+/**
+ * Prueba el blob store configurado (S3, MinIO o local): sube un objeto, lo lee y lo borra.
+ * Uso: node scripts/test-s3.js   (o make test-s3)
+ */
+
+import 'dotenv/config';
+import { getBlobStore } from '../src/blob-store.js';
+
+async function main() {
+  const store = getBlobStore();
+  const key = `preview/_test/${Date.now()}.txt`;
+  const body = Buffer.from(`anime-birthday-bot ${new Date().toISOString()}`);
+
+  console.log(`Blob store: ${store.name}`);
+  const url = await store.put(key, body, 'text/plain');
+  console.log(`Subido: ${url}`);
+
+  const back = await store.get(store.keyFromUrl(url) || key);
+  if (!back || !back.equals(body)) {
+    console.error('Error: el contenido leído no coincide con el subido.');
+    process.exit(1);
+  }
+  console.log('Lectura OK');
+
+  const listed = await store.list('preview/_test/');
+  console.log(`Listado preview/_test/: ${listed.length} objeto(s)`);
+
+  await store.remove(key);
+  console.log('Borrado OK');
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
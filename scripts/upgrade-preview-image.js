@@ -8,24 +8,22 @@
 import 'dotenv/config';
 import path from 'path';
 import fs from 'fs/promises';
-import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { getCharacterImage as getAnilistImage } from '../src/anilist.js';
 import { searchAnime, getAnimeCharacters, getCharacterById, searchCharacter, downloadImage as jikanDownload } from '../src/jikan.js';
 import { searchCharacterImages as searchSafebooru } from '../src/safebooru.js';
+import { scoreNameMatch, NAME_MATCH_THRESHOLD } from '../src/name-matcher.js';
+import { httpGet } from '../src/http-client.js';
 import { validateImageFile } from '../src/image-validation.js';
-import { DATA_DIR } from '../src/state.js';
+import { uploadPostImage } from '../src/blob-store.js';
+import { getDayDoc, updatePostStatus } from '../src/state-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 async function downloadGeneric(url, outputPath) {
   if (!url) return false;
   try {
-    const res = await axios.get(url, {
-      responseType: 'arraybuffer',
-      timeout: 20000,
-      headers: { 'User-Agent': 'AnimeBirthdayBot/1.0' }
-    });
+    const res = await httpGet(url, { responseType: 'arraybuffer' }, { timeout: 20000 });
     await fs.writeFile(outputPath, res.data);
     return true;
   } catch (e) {
@@ -33,27 +31,6 @@ async function downloadGeneric(url, outputPath) {
   }
 }
 
-/** Normalizar nombre para comparar (acentos, macrones, duplicados: ū→u, uu→u) */
-function normalizeName(s) {
-  if (!s || typeof s !== 'string') return '';
-  let t = s
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-  t = t.replace(/(.)\1+/g, '$1');
-  return t;
-}
-
-/** MAL usa "Last, First"; convertir a "First Last" para comparar */
-function malNameToFirstLast(name) {
-  if (!name || !name.includes(',')) return name;
-  const [last, ...firstParts] = name.split(',').map(s => s.trim());
-  const first = firstParts.join(' ').trim();
-  return first ? `${first} ${last}` : last;
-}
-
 async function findBetterImage(name, series, tempDir) {
   const base = path.join(tempDir, name.replace(/[^\w\s]/g, '').replace(/\s+/g, '_').slice(0, 30));
 
@@ -61,15 +38,8 @@ async function findBetterImage(name, series, tempDir) {
   const anime = await searchAnime(series);
   if (anime?.mal_id) {
     const chars = await getAnimeCharacters(anime.mal_id);
-    const nameNorm = normalizeName(name);
-    const nameParts = nameNorm.split(/\s+/).filter(Boolean);
     for (const entry of chars) {
-      const malNameRaw = (entry.character?.name || '').trim();
-      const malNameFirstLast = malNameToFirstLast(malNameRaw);
-      const charNorm = normalizeName(malNameFirstLast);
-      const exact = charNorm === nameNorm;
-      const partial = nameParts.length >= 2 && nameParts.every(p => charNorm.includes(p));
-      if (exact || partial) {
+      if (scoreNameMatch(name, entry.character?.name) >= NAME_MATCH_THRESHOLD) {
         const malId = entry.character?.mal_id;
         const images = entry.character?.images?.jpg;
         const imgUrl = images?.large_image_url || images?.image_url;
@@ -155,20 +125,15 @@ async function main() {
     process.exit(1);
   }
 
-  const statePath = path.join(DATA_DIR, `posts-${dateStr}.json`);
-  const previewDir = path.join(DATA_DIR, 'preview', dateStr);
   const tempDir = path.join(path.dirname(__dirname), 'temp');
 
-  let state;
-  try {
-    state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
-  } catch (e) {
+  const state = await getDayDoc(dateStr);
+  if (!state) {
     console.error('No existe estado para', dateStr);
     process.exit(1);
   }
 
   await fs.mkdir(tempDir, { recursive: true });
-  await fs.mkdir(previewDir, { recursive: true });
 
   for (const idx of indices) {
     const post = state.posts?.[idx];
@@ -181,10 +146,10 @@ async function main() {
     console.log(`[${idx}] ${name} (${series}) – buscando mejor imagen...`);
     const file = await findBetterImage(name, series, tempDir);
     if (file) {
-      const dest = path.join(previewDir, `${idx}.jpg`);
-      await fs.copyFile(file, dest);
+      const imageUrl = await uploadPostImage(file, dateStr, idx);
+      await updatePostStatus(dateStr, post.index, { imageUrl });
       try { await fs.unlink(file); } catch (_) {}
-      console.log(`      Guardado: ${dest}`);
+      console.log(`      Guardado: ${imageUrl}`);
     } else {
       console.log(`      No se encontró imagen de mejor calidad`);
     }
@@ -1,9 +1,9 @@
 /**
- * Anilist GraphQL API — obtener imagen oficial del personaje por nombre/serie.
- * Sin API key. Endpoint: https://graphql.anilist.co
+ * Anilist GraphQL API — imagen oficial del personaje por nombre/serie o por id, y personajes que cumplen años hoy
+ * (para el descubrimiento, ver discovery.js). Sin API key. Endpoint: https://graphql.anilist.co
  */
 
-import axios from 'axios';
+import { httpPost } from './http-client.js';
 
 const ANILIST_URL = 'https://graphql.anilist.co';
 
@@ -12,6 +12,7 @@ const SEARCH_CHARACTER_QUERY = `
     Page(page: 1, perPage: 5) {
       characters(search: $search) {
         id
+        siteUrl
         name { full }
         image { large }
         media {
@@ -24,27 +25,66 @@ const SEARCH_CHARACTER_QUERY = `
   }
 `;
 
+const CHARACTER_BY_ID_QUERY = `
+  query ($id: Int) {
+    Character(id: $id) {
+      id
+      siteUrl
+      name { full }
+      image { large }
+    }
+  }
+`;
+
+// isBirthday usa el día de AniList: cada resultado trae dateOfBirth para comprobar que sea la fecha pedida
+const BIRTHDAY_CHARACTERS_QUERY = `
+  query ($perPage: Int) {
+    Page(page: 1, perPage: $perPage) {
+      characters(isBirthday: true, sort: FAVOURITES_DESC) {
+        id
+        siteUrl
+        name { full native alternative }
+        image { large }
+        favourites
+        dateOfBirth { month day }
+        media(sort: POPULARITY_DESC, perPage: 3) {
+          nodes {
+            title { romaji english }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function toResult(char, fallbackName) {
+  return { id: char.id ?? null, url: char.image?.large, characterName: char.name?.full || fallbackName, siteUrl: char.siteUrl || null };
+}
+
+/**
+ * Consulta GraphQL (cacheada, ver http-cache.js).
+ * @param {object} [cacheOptions] - { cacheKey?, cacheIf? } de httpRequest, para consultas que dependen del día
+ */
+async function anilistQuery(query, variables, cacheOptions = {}) {
+  const response = await httpPost(
+    ANILIST_URL,
+    { query, variables },
+    { headers: { 'Content-Type': 'application/json' } },
+    { source: 'anilist', timeout: 10000, cache: true, ...cacheOptions }
+  );
+  return response.data?.data;
+}
+
 /**
  * Busca personaje por nombre y opcionalmente filtra por serie.
  * @param {string} characterName
  * @param {string} series - nombre del anime/serie (para filtrar)
- * @returns {Promise<{ url: string, characterName: string } | null>}
+ * @returns {Promise<{ id: number|null, url: string, characterName: string, siteUrl: string|null } | null>} siteUrl = página del personaje en AniList
  */
 export async function getCharacterImage(characterName, series) {
   try {
-    const response = await axios.post(
-      ANILIST_URL,
-      {
-        query: SEARCH_CHARACTER_QUERY,
-        variables: { search: characterName }
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000
-      }
-    );
-
-    let characters = response.data?.data?.Page?.characters;
+    const data = await anilistQuery(SEARCH_CHARACTER_QUERY, { search: characterName });
+    let characters = data?.Page?.characters;
     if (!characters || characters.length === 0) return null;
     // Orden estable por id para que siempre elijamos el mismo personaje entre varios
     characters = [...characters].sort((a, b) => (a.id ?? 0) - (b.id ?? 0));
@@ -61,20 +101,78 @@ export async function getCharacterImage(characterName, series) {
         .join(' ')
         .toLowerCase();
 
-      if (!seriesWords.length) {
-        return { url: imageUrl, characterName: char.name?.full || characterName };
-      }
-      const match = seriesWords.some(w => mediaTitles.includes(w));
-      if (match) {
-        return { url: imageUrl, characterName: char.name?.full || characterName };
+      if (!seriesWords.length || seriesWords.some(w => mediaTitles.includes(w))) {
+        return toResult(char, characterName);
       }
     }
 
-    return { url: characters[0].image?.large, characterName: characters[0].name?.full || characterName };
+    return toResult(characters[0], characterName);
   } catch (error) {
     console.warn('[Anilist] Error:', error.message);
     return null;
   }
 }
 
-export default { getCharacterImage };
+/**
+ * Imagen de un personaje por id de AniList (identidad ya conocida, ver identity-map.js).
+ * @param {number} anilistId
+ * @returns {Promise<{ id: number, url: string, characterName: string, siteUrl: string|null } | null>}
+ */
+export async function getCharacterImageById(anilistId) {
+  try {
+    const data = await anilistQuery(CHARACTER_BY_ID_QUERY, { id: Number(anilistId) });
+    const char = data?.Character;
+    if (!char?.image?.large) return null;
+    return toResult(char, null);
+  } catch (error) {
+    console.warn('[Anilist] Error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Personajes que cumplen años en una fecha, por favoritos de AniList (más populares primero).
+ * AniList solo sabe "hoy" (isBirthday, en su zona horaria): si la fecha pedida es otra, vuelve vacío.
+ * @param {{ month: number, day: number }} date - día y mes buscados
+ * @param {number} [limit] - máx. resultados (hasta 50)
+ * @returns {Promise<Array<{ id: number, name: string, nameNative: string|null, alternativeNames: string[],
+ *   favourites: number, imageUrl: string|null, siteUrl: string|null, series: string|null, titles: string[] }>>}
+ *   series = título (inglés o romaji) del anime más popular del personaje; titles = todos los títulos
+ */
+export async function getBirthdayCharacters(date, limit = 25) {
+  try {
+    const key = `${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+    // isBirthday responde el día de AniList, no el pedido: se cachea por día pedido y solo si es ese día
+    // (así --offline repite el mismo descubrimiento, y un día equivocado no queda guardado)
+    const isRequestedDay = (c) => c.dateOfBirth?.month === date.month && c.dateOfBirth?.day === date.day;
+    const data = await anilistQuery(BIRTHDAY_CHARACTERS_QUERY, { perPage: Math.min(limit, 50) }, {
+      cacheKey: `birthday:${key}`,
+      cacheIf: (response) => (response.data?.data?.Page?.characters || []).some(isRequestedDay)
+    });
+    const characters = data?.Page?.characters || [];
+    const matching = characters.filter(isRequestedDay);
+    if (characters.length > 0 && matching.length === 0) {
+      console.log(`[Anilist] Birthdays for ${key} not available (AniList is on another day)`);
+    }
+    return matching.map(c => {
+      const titles = (c.media?.nodes || []).flatMap(m => [m.title?.english, m.title?.romaji]).filter(Boolean);
+      const first = c.media?.nodes?.[0]?.title;
+      return {
+        id: c.id,
+        name: c.name?.full || '',
+        nameNative: c.name?.native || null,
+        alternativeNames: c.name?.alternative || [],
+        favourites: c.favourites ?? 0,
+        imageUrl: c.image?.large || null,
+        siteUrl: c.siteUrl || null,
+        series: first?.english || first?.romaji || null,
+        titles
+      };
+    });
+  } catch (error) {
+    console.warn('[Anilist] Error:', error.message);
+    return [];
+  }
+}
+
+export default { getCharacterImage, getCharacterImageById, getBirthdayCharacters };
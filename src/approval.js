@@ -0,0 +1,150 @@
+/**
+ * Aprobación humana antes de publicar.
+ * Con REQUIRE_APPROVAL=true el prep deja los posts en 'awaiting_approval'; se aprueban o rechazan
+ * desde la Vista previa o la API (POST /api/posts/:date/:index/approve|reject, con DASHBOARD_TOKEN).
+ * AUTO_APPROVE_HOURS=N aprueba solo los que nadie revisó N horas después del prep.
+ * runPost (index.js) no publica nada sin aprobar; cada post guarda approvedBy + approvedAt.
+ */
+
+import { getDayDoc, updatePostStatus } from './state-store.js';
+
+export const AWAITING_APPROVAL = 'awaiting_approval';
+export const REJECTED = 'rejected';
+
+// approvedBy cuando aprueba la política de AUTO_APPROVE_HOURS
+export const AUTO_APPROVER = 'auto';
+// approvedBy cuando REQUIRE_APPROVAL está apagado (se publica sin revisión)
+export const NO_REVIEW_APPROVER = 'no-review';
+
+/**
+ * Indica si los posts necesitan aprobación para publicarse (REQUIRE_APPROVAL=true|1).
+ */
+export function isApprovalRequired() {
+  return ['true', '1', 'yes'].includes((process.env.REQUIRE_APPROVAL || '').toLowerCase());
+}
+
+/**
+ * Horas tras el prep para la auto-aprobación (AUTO_APPROVE_HOURS), o null si no hay política.
+ */
+export function getAutoApproveHours() {
+  const hours = parseFloat(process.env.AUTO_APPROVE_HOURS || '');
+  return Number.isFinite(hours) && hours >= 0 ? hours : null;
+}
+
+/**
+ * Estado con el que el prep guarda cada post.
+ */
+export function getInitialPostStatus() {
+  return isApprovalRequired() ? AWAITING_APPROVAL : 'pending';
+}
+
+/**
+ * Instante a partir del cual un post sin revisar se auto-aprueba (null si no aplica).
+ * @param {object} doc - día ({ preparedAt })
+ */
+export function getAutoApproveAt(doc) {
+  const hours = getAutoApproveHours();
+  if (hours === null || !doc?.preparedAt) return null;
+  const preparedAt = new Date(doc.preparedAt).getTime();
+  if (isNaN(preparedAt)) return null;
+  return new Date(preparedAt + hours * 3600000);
+}
+
+/**
+ * Aprueba un post (queda 'pending' para su slot).
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {string} approvedBy - quién aprueba (nombre del dashboard, 'auto', etc.)
+ * @returns {Promise<{ ok: boolean, error?: string, post?: object }>}
+ */
+export async function approvePost(date, index, approvedBy) {
+  const doc = await getDayDoc(date);
+  const post = doc?.posts?.find(p => p.index === index);
+  if (!post) return { ok: false, error: 'Post not found' };
+  if (post.status === 'posted') return { ok: false, error: 'Post already published' };
+
+  const update = {
+    status: post.status === 'error' ? 'error' : 'pending',
+    approvedBy: approvedBy || 'dashboard',
+    approvedAt: new Date().toISOString(),
+    rejectedBy: null,
+    rejectedAt: null,
+    rejectReason: null
+  };
+  await updatePostStatus(date, index, update);
+  console.log(`[Approval] ${date} #${index} approved by ${update.approvedBy}`);
+  return { ok: true, post: { ...post, ...update } };
+}
+
+/**
+ * Rechaza un post (no se publica salvo que después se apruebe).
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {string} rejectedBy - quién rechaza
+ * @param {string} [reason] - motivo (opcional)
+ * @returns {Promise<{ ok: boolean, error?: string, post?: object }>}
+ */
+export async function rejectPost(date, index, rejectedBy, reason = null) {
+  const doc = await getDayDoc(date);
+  const post = doc?.posts?.find(p => p.index === index);
+  if (!post) return { ok: false, error: 'Post not found' };
+  if (post.status === 'posted') return { ok: false, error: 'Post already published' };
+
+  const update = {
+    status: REJECTED,
+    approvedBy: null,
+    approvedAt: null,
+    rejectedBy: rejectedBy || 'dashboard',
+    rejectedAt: new Date().toISOString(),
+    rejectReason: reason || null
+  };
+  await updatePostStatus(date, index, update);
+  console.log(`[Approval] ${date} #${index} rejected by ${update.rejectedBy}${reason ? ` (${reason})` : ''}`);
+  return { ok: true, post: { ...post, ...update } };
+}
+
+/**
+ * Decide si un post se puede publicar ahora. Aplica la auto-aprobación si ya venció el plazo
+ * y registra approvedBy cuando no se exige aprobación.
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} doc - día completo (para preparedAt)
+ * @param {object} post - post a publicar
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+export async function ensurePostApproved(date, doc, post, now = new Date()) {
+  if (post.status === REJECTED) {
+    return { ok: false, reason: `rejected by ${post.rejectedBy || 'unknown'}` };
+  }
+  if (post.approvedBy) return { ok: true };
+
+  if (!isApprovalRequired() && post.status !== AWAITING_APPROVAL) {
+    await updatePostStatus(date, post.index, { approvedBy: NO_REVIEW_APPROVER, approvedAt: now.toISOString() });
+    return { ok: true };
+  }
+
+  const autoApproveAt = getAutoApproveAt(doc);
+  if (autoApproveAt && now >= autoApproveAt) {
+    const result = await approvePost(date, post.index, AUTO_APPROVER);
+    return result.ok ? { ok: true } : { ok: false, reason: result.error };
+  }
+  return {
+    ok: false,
+    reason: autoApproveAt
+      ? `awaiting approval (auto-approve at ${autoApproveAt.toISOString()})`
+      : 'awaiting approval'
+  };
+}
+
+export default {
+  AWAITING_APPROVAL,
+  REJECTED,
+  AUTO_APPROVER,
+  NO_REVIEW_APPROVER,
+  isApprovalRequired,
+  getAutoApproveHours,
+  getInitialPostStatus,
+  getAutoApproveAt,
+  approvePost,
+  rejectPost,
+  ensurePostApproved
+};
@@ -0,0 +1,218 @@
+/**
+ * Índice local de cumpleaños: la lista de ACDB de los 366 días (getTodaysBirthdaysListOnly) guardada en
+ * DATA_DIR/birthday-index.json, para que el prep no dependa de que ACDB responda esa mañana.
+ *
+ * Formato: { updatedAt, days: { "MM-DD": { fetchedAt, characters: [{ id, name, thumbnail, url, favorites }] } } }
+ *
+ *   - El prep (discovery.js) lee el día del índice (getBirthdayListForDate); si el día falta o tiene más de
+ *     BIRTHDAY_INDEX_MAX_AGE_DAYS, scrapea la página del día como antes. Las fichas del top N (serie, imagen) se piden igual a ACDB.
+ *   - Se arma con `npm run birthday-index` (scripts/build-birthday-index.js) y el dashboard lo refresca solo cada
+ *     BIRTHDAY_INDEX_REFRESH_DAYS (lo revisa al arrancar y a diario, scheduleBirthdayIndexRefresh en scheduler.js),
+ *     de a un día y guardando el avance.
+ *
+ * Variables:
+ *   BIRTHDAY_INDEX_REFRESH      — false = el dashboard no lo refresca solo
+ *   BIRTHDAY_INDEX_PATH         — archivo del índice (default DATA_DIR/birthday-index.json)
+ *   BIRTHDAY_INDEX_REFRESH_DAYS — cada cuántos días se refresca (default 7)
+ *   BIRTHDAY_INDEX_MAX_AGE_DAYS — edad máxima de un día para usarlo en el prep (default 14)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './state.js';
+import { TIMEZONE } from './config.js';
+import { getZonedParts, zonedTimeToDate } from './timezone.js';
+import { getTodaysBirthdaysListOnly, getTopBirthdayDetails } from './scraper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REFRESH_DAYS = 7;
+const DEFAULT_MAX_AGE_DAYS = 14;
+// Año bisiesto para recorrer el 29 de febrero
+const INDEX_YEAR = 2024;
+// Cada cuántos días se guarda el avance mientras se arma
+const SAVE_EVERY = 10;
+
+let running = null;
+
+function envDays(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function getIndexPath() {
+  return process.env.BIRTHDAY_INDEX_PATH || path.join(DATA_DIR, 'birthday-index.json');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Clave del día en el índice ("MM-DD", día y mes en BOT_TIMEZONE).
+ * @param {Date} [date]
+ */
+export function getDayKey(date = new Date()) {
+  const { month, day } = getZonedParts(date, TIMEZONE);
+  return `${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Los 366 días del año como claves "MM-DD" (incluye 02-29).
+ */
+export function listDayKeys() {
+  const keys = [];
+  for (let d = new Date(Date.UTC(INDEX_YEAR, 0, 1)); d.getUTCFullYear() === INDEX_YEAR; d = new Date(d.getTime() + DAY_MS)) {
+    keys.push(`${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`);
+  }
+  return keys;
+}
+
+/**
+ * Índice guardado ({ updatedAt, days }); vacío si no existe.
+ */
+export async function loadBirthdayIndex() {
+  try {
+    return JSON.parse(await fs.readFile(getIndexPath(), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[BirthdayIndex] Error loading ${getIndexPath()}:`, error.message);
+    return { updatedAt: null, days: {} };
+  }
+}
+
+async function saveBirthdayIndex(index) {
+  const file = getIndexPath();
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // Archivo temporal + rename: el prep nunca lee un índice a medio escribir
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(index, null, 2), 'utf-8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+function ageDays(entry) {
+  return entry?.fetchedAt ? (Date.now() - new Date(entry.fetchedAt).getTime()) / DAY_MS : Infinity;
+}
+
+/**
+ * Lista del día en el índice, o null si falta o tiene más de BIRTHDAY_INDEX_MAX_AGE_DAYS.
+ * @param {Date} [date]
+ * @param {object} [options] - { allowStale: devolverla aunque sea vieja }
+ * @returns {Promise<Array<{ id: string, name: string, thumbnail: string|null, url: string, favorites: number }>|null>}
+ */
+export async function getIndexedBirthdays(date = new Date(), options = {}) {
+  const index = await loadBirthdayIndex();
+  const entry = index.days?.[getDayKey(date)];
+  if (!entry?.characters?.length) return null;
+  if (!options.allowStale && ageDays(entry) > envDays('BIRTHDAY_INDEX_MAX_AGE_DAYS', DEFAULT_MAX_AGE_DAYS)) return null;
+  return entry.characters;
+}
+
+/**
+ * Lista de ACDB de una fecha (sin fichas): del índice si está al día, si no scrapeando la página del día
+ * (y si ACDB no responde, del índice aunque esté viejo). Misma forma que getTodaysBirthdaysListOnly (scraper.js).
+ * @param {Date} [date]
+ */
+export async function getBirthdayListForDate(date = new Date()) {
+  const key = getDayKey(date);
+  const list = await getIndexedBirthdays(date);
+  if (list) {
+    console.log(`[BirthdayIndex] ${key}: ${list.length} characters from the local index`);
+    return list;
+  }
+  console.log(`[BirthdayIndex] ${key} missing or stale in the index, scraping ACDB`);
+  try {
+    return await getTodaysBirthdaysListOnly(date);
+  } catch (error) {
+    const stale = await getIndexedBirthdays(date, { allowStale: true });
+    if (!stale) throw error;
+    console.warn(`[BirthdayIndex] ACDB failed (${error.message}), using stale index for ${key}`);
+    return stale;
+  }
+}
+
+/**
+ * Top N de cumpleaños de ACDB de una fecha (getBirthdayListForDate + fichas). Misma forma que getTodaysBirthdays.
+ * @param {number} limit
+ * @param {Date} [date]
+ */
+export async function getBirthdaysForDate(limit = 6, date = new Date()) {
+  return getTopBirthdayDetails(await getBirthdayListForDate(date), limit);
+}
+
+/**
+ * Indica si hay días sin bajar o con más de BIRTHDAY_INDEX_REFRESH_DAYS.
+ */
+export async function isBirthdayIndexDue() {
+  const index = await loadBirthdayIndex();
+  const refreshDays = envDays('BIRTHDAY_INDEX_REFRESH_DAYS', DEFAULT_REFRESH_DAYS);
+  return listDayKeys().some(key => ageDays(index.days?.[key]) > refreshDays);
+}
+
+/**
+ * Baja la lista de cada día de ACDB y la guarda en el índice (un request por día; el límite por host
+ * lo pone http-client.js). Un día que falla, o que vuelve vacío teniendo personajes (página de error o captcha
+ * de ACDB), conserva lo que tenía.
+ * @param {object} [options] - { maxAgeDays: solo los días sin bajar o más viejos que esto (default 0 = todos) }
+ * @returns {Promise<{ updated: number, skipped: number, failed: string[] }>}
+ */
+export async function buildBirthdayIndex(options = {}) {
+  const { maxAgeDays = 0 } = options;
+  const index = await loadBirthdayIndex();
+  index.days = index.days || {};
+  const result = { updated: 0, skipped: 0, failed: [] };
+
+  for (const key of listDayKeys()) {
+    if (maxAgeDays > 0 && ageDays(index.days[key]) <= maxAgeDays) {
+      result.skipped++;
+      continue;
+    }
+    try {
+      const [month, day] = key.split('-');
+      const characters = await getTodaysBirthdaysListOnly(zonedTimeToDate(`${INDEX_YEAR}-${month}-${day}`, 12, 0, TIMEZONE));
+      if (characters.length === 0 && index.days[key]?.characters?.length) {
+        throw new Error('empty list, keeping the previous one');
+      }
+      index.days[key] = { fetchedAt: new Date().toISOString(), characters };
+      result.updated++;
+    } catch (error) {
+      console.warn(`[BirthdayIndex] ${key} failed: ${error.message}`);
+      result.failed.push(key);
+    }
+    if ((result.updated + result.failed.length) % SAVE_EVERY === 0) {
+      index.updatedAt = new Date().toISOString();
+      await saveBirthdayIndex(index);
+    }
+  }
+
+  index.updatedAt = new Date().toISOString();
+  await saveBirthdayIndex(index);
+  console.log(`[BirthdayIndex] Updated ${result.updated} days, ${result.skipped} up to date, ${result.failed.length} failed`);
+  return result;
+}
+
+/**
+ * Refresca el índice sin esperar (para el servidor) si toca (isBirthdayIndexDue). No arranca otro si ya hay uno corriendo.
+ * @returns {Promise<boolean>} true si arrancó un refresco
+ */
+export async function refreshBirthdayIndexInBackground() {
+  if (running) return false;
+  if (!(await isBirthdayIndexDue())) return false;
+  if (running) return false;
+  console.log('[BirthdayIndex] Refreshing birthday index in the background');
+  // Solo los días que tocan: un día que sigue fallando no hace bajar los 366 todos los días,
+  // y un reinicio a mitad de camino sigue donde quedó
+  running = buildBirthdayIndex({ maxAgeDays: envDays('BIRTHDAY_INDEX_REFRESH_DAYS', DEFAULT_REFRESH_DAYS) })
+    .catch(error => console.error('[BirthdayIndex] Refresh failed:', error.message))
+    .finally(() => { running = null; });
+  return true;
+}
+
+export default {
+  getDayKey,
+  listDayKeys,
+  loadBirthdayIndex,
+  getIndexedBirthdays,
+  getBirthdayListForDate,
+  getBirthdaysForDate,
+  isBirthdayIndexDue,
+  buildBirthdayIndex,
+  refreshBirthdayIndexInBackground
+};
@@ -0,0 +1,135 @@
+/**
+ * Blob store — dónde se guardan las imágenes de los posts preparados.
+ * Interfaz común para todos los adaptadores:
+ *   put(key, body, contentType) → url · get(key) → Buffer|null · remove(key) · list(prefix) → keys
+ *   urlFor(key) → url · keyFromUrl(url) → key|null
+ *
+ * Adaptadores (BLOB_STORE):
+ *   - s3    → AWS S3 o endpoint compatible (MinIO con S3_ENDPOINT). Ver s3.js.
+ *   - local → archivos en DATA_DIR (DATA_DIR/preview/<fecha>). Ver local-store.js.
+ * Sin BLOB_STORE: s3 si hay S3_BUCKET/AWS_BUCKET, si no local.
+ *
+ * Prep sube con uploadPostImage, post baja con downloadPostImage y /preview-image/ lee con readPostImage.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { createS3Store, isS3Configured } from './s3.js';
+import { createLocalStore } from './local-store.js';
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+let store = null;
+
+/**
+ * Nombre del adaptador configurado ('s3' | 'local').
+ */
+export function getBlobStoreType() {
+  const type = (process.env.BLOB_STORE || '').toLowerCase();
+  if (type === 's3' || type === 'minio') return 's3';
+  if (type === 'local') return 'local';
+  return isS3Configured() ? 's3' : 'local';
+}
+
+/**
+ * Blob store configurado (singleton).
+ */
+export function getBlobStore() {
+  if (store) return store;
+  store = getBlobStoreType() === 's3' ? createS3Store() : createLocalStore();
+  console.log(`[BlobStore] Using ${store.name} adapter`);
+  return store;
+}
+
+/**
+ * MIME type a partir de la extensión de un archivo o key.
+ */
+export function getContentType(fileOrKey) {
+  return MIME_TYPES[path.extname(fileOrKey).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Key de la imagen de un post: preview/<fecha>/<índice><ext>
+ */
+export function postImageKey(date, index, ext = '.jpg') {
+  return `preview/${date}/${index}${ext}`;
+}
+
+/**
+ * Sube la imagen de un post preparado.
+ * @param {string} localPath - archivo local (temp)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @returns {Promise<string>} URL para guardar en el día (imageUrl)
+ */
+export async function uploadPostImage(localPath, date, index) {
+  const ext = path.extname(localPath).toLowerCase() || '.jpg';
+  const key = postImageKey(date, index, ext);
+  const body = await fs.readFile(localPath);
+  const blobStore = getBlobStore();
+  const url = await blobStore.put(key, body, getContentType(key));
+  // Si antes había otra extensión para el mismo índice (0.png → 0.jpg), se borra para no servir la vieja
+  for (const stale of await blobStore.list(`preview/${date}/${index}.`)) {
+    if (stale !== key) await blobStore.remove(stale);
+  }
+  return url;
+}
+
+/**
+ * Descarga la imagen de un post a un archivo local (para subirla a Twitter).
+ * Si la URL es del blob store configurado se lee por key; si no (URL pública de otro backend), por HTTP.
+ * @param {string} imageUrl - imageUrl guardado en el día
+ * @param {string} destPath - archivo destino
+ * @returns {Promise<string>} destPath
+ */
+export async function downloadPostImage(imageUrl, destPath) {
+  if (!imageUrl) throw new Error('imageUrl is required');
+  const blobStore = getBlobStore();
+  const key = blobStore.keyFromUrl(imageUrl);
+
+  let data;
+  if (key) {
+    data = await blobStore.get(key);
+    if (!data) throw new Error(`Image not found in ${blobStore.name} blob store: ${key}`);
+  } else if (/^https?:\/\//.test(imageUrl)) {
+    const response = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    data = Buffer.from(response.data);
+  } else {
+    throw new Error(`Image URL not readable with ${blobStore.name} blob store: ${imageUrl}`);
+  }
+
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.writeFile(destPath, data);
+  return destPath;
+}
+
+/**
+ * Lee la imagen de un post por fecha e índice (cualquier extensión).
+ * @returns {Promise<{ data: Buffer, contentType: string, key: string } | null>}
+ */
+export async function readPostImage(date, index) {
+  const blobStore = getBlobStore();
+  const prefix = `preview/${date}/${index}.`;
+  const keys = await blobStore.list(prefix);
+  if (keys.length === 0) return null;
+  const key = keys[0];
+  const data = await blobStore.get(key);
+  if (!data) return null;
+  return { data, contentType: getContentType(key), key };
+}
+
+export default {
+  getBlobStore,
+  getBlobStoreType,
+  uploadPostImage,
+  downloadPostImage,
+  readPostImage,
+  postImageKey
+};
@@ -0,0 +1,229 @@
+/**
+ * Bluesky (AT Protocol) — publicación vía XRPC con axios (sin SDK).
+ * Sesión con app password, blob upload de la imagen, facets para los hashtags y límite de 300 grafemas.
+ * Las imágenes de más de 1 MB (límite de uploadBlob) se achican y se pasan a JPEG antes de subirlas.
+ *
+ * Variables:
+ *   BLUESKY_IDENTIFIER    — handle o email de la cuenta (ej. animebirthday.bsky.social)
+ *   BLUESKY_APP_PASSWORD  — app password (Settings → App passwords), no la contraseña de la cuenta
+ *   BLUESKY_SERVICE       — PDS (default https://bsky.social)
+ *   BLUESKY_ENABLED=false — apaga la cuenta sin borrar las credenciales
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import sizeOf from 'image-size';
+import sharp from 'sharp';
+import { truncateForPlatform } from './text-length.js';
+
+const DEFAULT_SERVICE = 'https://bsky.social';
+export const BLUESKY_MAX_GRAPHEMES = 300;
+// Límite de uploadBlob para imágenes de posts
+const MAX_IMAGE_BYTES = 1_000_000;
+// Para entrar en el límite: lado mayor y calidad JPEG de cada intento, del mejor al más chico
+const SHRINK_STEPS = [
+  { maxSide: 2000, quality: 90 },
+  { maxSide: 2000, quality: 80 },
+  { maxSide: 1600, quality: 80 },
+  { maxSide: 1200, quality: 75 },
+  { maxSide: 1000, quality: 70 }
+];
+
+let session = null;
+
+/**
+ * Config de la cuenta desde env.
+ */
+export function getBlueskyConfig() {
+  return {
+    identifier: process.env.BLUESKY_IDENTIFIER || null,
+    password: process.env.BLUESKY_APP_PASSWORD || null,
+    service: (process.env.BLUESKY_SERVICE || DEFAULT_SERVICE).replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Indica si la cuenta de Bluesky está configurada y habilitada.
+ */
+export function isBlueskyEnabled() {
+  const { identifier, password } = getBlueskyConfig();
+  return !!(identifier && password) && (process.env.BLUESKY_ENABLED || '').toLowerCase() !== 'false';
+}
+
+async function xrpc(method, nsid, { data, params, headers = {} } = {}) {
+  const { service } = getBlueskyConfig();
+  const response = await axios({
+    method,
+    url: `${service}/xrpc/${nsid}`,
+    data,
+    params,
+    timeout: 30000,
+    maxBodyLength: Infinity,
+    headers: {
+      ...(session ? { Authorization: `Bearer ${session.accessJwt}` } : {}),
+      ...headers
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Crea la sesión (una por proceso).
+ */
+async function getSession() {
+  if (session) return session;
+  const { identifier, password } = getBlueskyConfig();
+  if (!identifier || !password) throw new Error('BLUESKY_IDENTIFIER and BLUESKY_APP_PASSWORD are required');
+  const data = await xrpc('post', 'com.atproto.server.createSession', { data: { identifier, password } });
+  session = { did: data.did, handle: data.handle, accessJwt: data.accessJwt };
+  console.log(`[Bluesky] Session for ${session.handle}`);
+  return session;
+}
+
+/**
+ * Facets de hashtags (app.bsky.richtext.facet#tag) con offsets en bytes UTF-8.
+ */
+export function detectHashtagFacets(text) {
+  const facets = [];
+  const re = /(^|\s)#([^\s#]+)/gu;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    // Puntuación final no es parte del tag ("#Anime!" → "Anime")
+    const tag = match[2].replace(/[\p{P}]+$/u, '');
+    if (!tag || /^\d+$/.test(tag)) continue;
+    const start = match.index + match[1].length;
+    const byteStart = Buffer.byteLength(text.slice(0, start), 'utf8');
+    const byteEnd = byteStart + Buffer.byteLength(`#${tag}`, 'utf8');
+    facets.push({
+      index: { byteStart, byteEnd },
+      features: [{ $type: 'app.bsky.richtext.facet#tag', tag }]
+    });
+  }
+  return facets;
+}
+
+function getImageMimeType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.png') return 'image/png';
+  if (ext === '.webp') return 'image/webp';
+  if (ext === '.gif') return 'image/gif';
+  return 'image/jpeg';
+}
+
+/**
+ * Imagen dentro de MAX_IMAGE_BYTES: la original si entra, si no la primera versión JPEG achicada (SHRINK_STEPS) que entra.
+ * @returns {Promise<{ data: Buffer, mimeType: string }>}
+ */
+async function fitImageForBluesky(imagePath) {
+  const data = await fs.readFile(imagePath);
+  if (data.length <= MAX_IMAGE_BYTES) return { data, mimeType: getImageMimeType(imagePath) };
+
+  for (const { maxSide, quality } of SHRINK_STEPS) {
+    const resized = await sharp(data)
+      .rotate()
+      .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+    if (resized.length <= MAX_IMAGE_BYTES) {
+      console.log(`[Bluesky] Image shrunk from ${data.length} to ${resized.length} bytes (${maxSide}px, q${quality})`);
+      return { data: resized, mimeType: 'image/jpeg' };
+    }
+  }
+  throw new Error(`Image too large for Bluesky (${data.length} bytes, max ${MAX_IMAGE_BYTES}) even after shrinking`);
+}
+
+/**
+ * Sube la imagen como blob (achicada si pasa el límite).
+ * @returns {Promise<{ blob: object, aspectRatio: { width: number, height: number }|null }>}
+ */
+async function uploadImageBlob(imagePath) {
+  const { data, mimeType } = await fitImageForBluesky(imagePath);
+  let aspectRatio = null;
+  try {
+    const { width, height } = sizeOf(data);
+    if (width && height) aspectRatio = { width, height };
+  } catch (_) {}
+
+  const result = await xrpc('post', 'com.atproto.repo.uploadBlob', {
+    data,
+    headers: { 'Content-Type': mimeType }
+  });
+  return { blob: result.blob, aspectRatio };
+}
+
+/**
+ * URL pública del post a partir del at:// uri.
+ */
+function postUrlFromUri(uri, handle) {
+  const rkey = uri.split('/').pop();
+  return `https://bsky.app/profile/${handle}/post/${rkey}`;
+}
+
+/**
+ * Publica un post con imagen en Bluesky.
+ * @param {object} params - { text, imagePath?, altText?, language? }
+ * @returns {Promise<{ success: boolean, id?: string, url?: string, error?: string }>}
+ */
+export async function publishToBluesky({ text, imagePath = null, altText = '', language = null }) {
+  try {
+    const { did, handle } = await getSession();
+    const postText = truncateForPlatform(text, 'bluesky', BLUESKY_MAX_GRAPHEMES);
+
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text: postText,
+      createdAt: new Date().toISOString()
+    };
+    if (language) record.langs = [language];
+    const facets = detectHashtagFacets(postText);
+    if (facets.length > 0) record.facets = facets;
+
+    if (imagePath) {
+      const { blob, aspectRatio } = await uploadImageBlob(imagePath);
+      record.embed = {
+        $type: 'app.bsky.embed.images',
+        images: [{ image: blob, alt: altText || '', ...(aspectRatio ? { aspectRatio } : {}) }]
+      };
+    }
+
+    const result = await xrpc('post', 'com.atproto.repo.createRecord', {
+      data: { repo: did, collection: 'app.bsky.feed.post', record }
+    });
+    const url = postUrlFromUri(result.uri, handle);
+    console.log(`[Bluesky] Posted: ${url}`);
+    return { success: true, id: result.uri, url };
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    console.error('[Bluesky] Error posting:', message);
+    // Sesión vencida: la próxima llamada crea otra
+    if (error.response?.status === 401) session = null;
+    return { success: false, error: message };
+  }
+}
+
+/**
+ * Likes, reposts (con citas) y respuestas de un post (engagement.js).
+ * @param {string} uri - at:// uri (el id que guarda publishToBluesky)
+ */
+export async function getBlueskyEngagement(uri) {
+  await getSession();
+  const { posts } = await xrpc('get', 'app.bsky.feed.getPosts', { params: { uris: uri } });
+  const post = posts?.[0];
+  if (!post) throw new Error(`Post ${uri} not found`);
+  return {
+    likes: post.likeCount || 0,
+    reposts: (post.repostCount || 0) + (post.quoteCount || 0),
+    replies: post.replyCount || 0
+  };
+}
+
+export default {
+  getBlueskyConfig,
+  isBlueskyEnabled,
+  detectHashtagFacets,
+  publishToBluesky,
+  getBlueskyEngagement,
+  BLUESKY_MAX_GRAPHEMES
+};
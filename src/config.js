@@ -0,0 +1,76 @@
+/**
+ * Configuración del bot: zona horaria, hora de prep, slots de posteo e idioma.
+ * Única fuente para scheduler, index.js, server.js, state.js y scripts.
+ *
+ * Variables (opcionales):
+ *   BOT_TIMEZONE  — zona IANA (default America/Argentina/Buenos_Aires). Ej: Asia/Tokyo, America/New_York
+ *   PREP_TIME     — HH:MM (default 08:30)
+ *   POST_TIMES    — lista HH:MM separada por comas (default 09:00,11:00,...,21:00)
+ *   BOT_LANGUAGE  — idioma de los posts: en | es | ja (default en; cada cuenta puede pisarlo, ver publishers.js)
+ * Las horas son de pared en BOT_TIMEZONE; con DST se respetan (ver timezone.js).
+ */
+
+import { assertValidTimezone } from './timezone.js';
+import { parseLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+const DEFAULT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+const DEFAULT_PREP_TIME = '08:30';
+// Cada 2 horas desde las 9
+const DEFAULT_POST_TIMES = '09:00,11:00,13:00,15:00,17:00,19:00,21:00';
+
+/**
+ * "HH:MM" → { hour, minute }
+ * @param {string} value
+ */
+export function parseTime(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+  return { hour, minute };
+}
+
+/**
+ * "09:00,11:30" → [{ hour: 9, minute: 0 }, { hour: 11, minute: 30 }] (ordenado)
+ * @param {string} value
+ */
+export function parseTimeList(value) {
+  return String(value)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(parseTime)
+    .sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute));
+}
+
+/**
+ * { hour, minute } → "HH:MM"
+ */
+export function formatTime(timeObj) {
+  if (!timeObj) return 'N/A';
+  return `${timeObj.hour.toString().padStart(2, '0')}:${(timeObj.minute || 0).toString().padStart(2, '0')}`;
+}
+
+export const TIMEZONE = assertValidTimezone(process.env.BOT_TIMEZONE || DEFAULT_TIMEZONE);
+
+// Time to prepare posts (run scraper and download images)
+export const PREP_TIME = parseTime(process.env.PREP_TIME || DEFAULT_PREP_TIME);
+
+// Post times (wall clock in TIMEZONE, 24h format)
+export const POST_TIMES = parseTimeList(process.env.POST_TIMES || DEFAULT_POST_TIMES);
+
+if (POST_TIMES.length === 0) throw new Error('POST_TIMES must have at least one HH:MM slot');
+
+// Idioma de los textos (LLM y plantillas)
+export const LANGUAGE = parseLanguage(process.env.BOT_LANGUAGE) || DEFAULT_LANGUAGE;
+
+export default {
+  TIMEZONE,
+  LANGUAGE,
+  PREP_TIME,
+  POST_TIMES,
+  parseTime,
+  parseTimeList,
+  formatTime
+};
@@ -0,0 +1,107 @@
+/**
+ * Discord — cada post del día como embed en un canal vía webhook (sin bot ni SDK).
+ * El embed lleva la imagen adjunta, la serie, el nombre en kanji y el link al tweet si ya salió.
+ *
+ * Variables:
+ *   DISCORD_WEBHOOK_URL   — Server Settings → Integrations → Webhooks → Copy Webhook URL
+ *   DISCORD_ENABLED=false — apaga el canal sin borrar el webhook
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { truncateForPlatform } from './text-length.js';
+
+const EMBED_COLOR = 0xff6b9d;
+const MAX_ALT_TEXT_LENGTH = 1024;
+
+let webhookInfo = null;
+
+/**
+ * Indica si el webhook de Discord está configurado y habilitado.
+ */
+export function isDiscordEnabled() {
+  return !!process.env.DISCORD_WEBHOOK_URL && (process.env.DISCORD_ENABLED || '').toLowerCase() !== 'false';
+}
+
+/**
+ * guild_id y channel_id del webhook (para armar el link al mensaje); null si no se pudo leer.
+ */
+async function getWebhookInfo() {
+  if (webhookInfo) return webhookInfo;
+  try {
+    const { data } = await axios.get(process.env.DISCORD_WEBHOOK_URL, { timeout: 15000 });
+    webhookInfo = { guildId: data.guild_id || null, channelId: data.channel_id || null };
+  } catch (error) {
+    console.warn('[Discord] Could not read webhook info:', error.message);
+    return null;
+  }
+  return webhookInfo;
+}
+
+/**
+ * Embed del post: nombre, texto, serie, kanji y link al tweet.
+ * @param {object} post - post del día (character, series, nameKanji?)
+ * @param {string} text - texto del post
+ * @param {string|null} tweetUrl - link al tweet si ya se publicó
+ * @param {string|null} imageName - nombre del adjunto (attachment://...)
+ */
+export function buildDiscordEmbed(post, text, tweetUrl = null, imageName = null) {
+  const embed = {
+    title: `🎂 ${post.character}`,
+    description: truncateForPlatform(text, 'discord'),
+    color: EMBED_COLOR,
+    fields: [{ name: 'Series', value: post.series || '-', inline: true }],
+    timestamp: new Date().toISOString()
+  };
+  if (post.nameKanji) embed.fields.push({ name: 'Kanji', value: post.nameKanji, inline: true });
+  if (tweetUrl) {
+    embed.url = tweetUrl;
+    embed.fields.push({ name: 'Tweet', value: `[View on X](${tweetUrl})`, inline: false });
+  }
+  if (imageName) embed.image = { url: `attachment://${imageName}` };
+  return embed;
+}
+
+/**
+ * Publica el post en el canal del webhook.
+ * @param {object} params - { text, imagePath?, altText?, post, platforms? }
+ * @returns {Promise<{ success: boolean, id?: string, url?: string|null, error?: string }>}
+ */
+export async function publishToDiscord({ text, imagePath = null, altText = '', post, platforms = {} }) {
+  try {
+    const tweetUrl = platforms.twitter?.url || post.tweetUrl || null;
+    const imageName = imagePath ? `birthday${path.extname(imagePath) || '.jpg'}` : null;
+    const payload = { embeds: [buildDiscordEmbed(post, text, tweetUrl, imageName)] };
+    // description del adjunto = alt text de la imagen
+    if (imagePath && altText) payload.attachments = [{ id: 0, filename: imageName, description: altText.slice(0, MAX_ALT_TEXT_LENGTH) }];
+
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(payload));
+    if (imagePath) {
+      const data = await fs.readFile(imagePath);
+      form.append('files[0]', new Blob([data]), imageName);
+    }
+
+    // wait=true: Discord devuelve el mensaje creado (id, channel_id)
+    const { data } = await axios.post(process.env.DISCORD_WEBHOOK_URL, form, {
+      params: { wait: true },
+      timeout: 30000,
+      maxBodyLength: Infinity
+    });
+    const info = await getWebhookInfo();
+    const url = info?.guildId ? `https://discord.com/channels/${info.guildId}/${data.channel_id}/${data.id}` : null;
+    console.log(`[Discord] Posted message ${data.id}`);
+    return { success: true, id: data.id, url };
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    console.error('[Discord] Error posting:', message);
+    return { success: false, error: message };
+  }
+}
+
+export default {
+  isDiscordEnabled,
+  buildDiscordEmbed,
+  publishToDiscord
+};
@@ -0,0 +1,188 @@
+/**
+ * Descubrimiento de los cumpleaños del día: junta los personajes de ACDB (índice local o página del día, ver
+ * birthday-index.js) y los de AniList (isBirthday, por favoritos), une los que son el mismo personaje y los
+ * ordena por popularidad combinada. Es lo que usa el prep en vez de getTodaysBirthdays.
+ *
+ *   - Mismo personaje: nombre parecido (scoreNameMatch ≥ NAME_MATCH_THRESHOLD, con los nombres alternativos de
+ *     AniList). Al pedir la ficha de ACDB se confirma con la serie: si no coincide con ningún título de AniList
+ *     quedan como dos candidatos separados.
+ *   - Popularidad 0-1: 0.4 × ACDB + 0.6 × AniList, cada una log(favoritos) relativo al más popular del día en esa
+ *     fuente. Aparecer en las dos suma; los favoritos de ACDB son pocos y ruidosos, por eso pesan menos.
+ *   - Cada candidato guarda en `sources` qué fuentes lo listaron (acdb, anilist) y el prep lo pasa al post
+ *     (discoverySources).
+ * Un personaje solo de AniList no tiene id de ACDB: se busca en MAL por nombre y serie, y la imagen sale de AniList.
+ *
+ * Variables:
+ *   DISCOVERY_SOURCES      — fuentes, separadas por coma (default acdb,anilist; acdb = como antes)
+ *   ANILIST_BIRTHDAY_LIMIT — cuántos personajes pedir a AniList (default 25, máx. 50)
+ */
+
+import { getBirthdayListForDate } from './birthday-index.js';
+import { getCharacterDetailsById, formatBirthdayDate } from './scraper.js';
+import { getBirthdayCharacters } from './anilist.js';
+import { NAME_MATCH_THRESHOLD, scoreNameMatch, scoreSeriesMatch } from './name-matcher.js';
+import { TIMEZONE } from './config.js';
+import { getZonedParts } from './timezone.js';
+
+export const DISCOVERY_SOURCES = ['acdb', 'anilist'];
+const SOURCE_WEIGHTS = { acdb: 0.4, anilist: 0.6 };
+const DEFAULT_ANILIST_LIMIT = 25;
+// Debajo de esto la serie de ACDB no es la de AniList: mismo nombre, otro personaje
+const MIN_SERIES_MATCH = 0.5;
+
+/**
+ * Fuentes configuradas en DISCOVERY_SOURCES (las desconocidas se ignoran con un aviso).
+ * @returns {string[]}
+ */
+export function getDiscoverySources() {
+  const raw = (process.env.DISCOVERY_SOURCES || '').trim();
+  if (!raw) return DISCOVERY_SOURCES;
+  const sources = raw.split(',').map(s => s.trim().toLowerCase()).filter(source => {
+    if (DISCOVERY_SOURCES.includes(source)) return true;
+    if (source) console.warn(`[Discovery] Unknown source "${source}" (use ${DISCOVERY_SOURCES.join(', ')})`);
+    return false;
+  });
+  return sources.length > 0 ? sources : DISCOVERY_SOURCES;
+}
+
+/**
+ * Popularidad 0-1 de un personaje en una fuente: log(favoritos) relativo al máximo del día.
+ */
+function relativePopularity(favorites, max) {
+  if (!max || !favorites) return 0;
+  return Math.log1p(favorites) / Math.log1p(max);
+}
+
+function getMaxFavorites(acdbList, anilistList) {
+  return {
+    acdb: Math.max(0, ...acdbList.map(c => c.favorites || 0)),
+    anilist: Math.max(0, ...anilistList.map(c => c.favourites || 0))
+  };
+}
+
+function makeCandidate(acdb, anilist, maxFavorites) {
+  const sources = [acdb && 'acdb', anilist && 'anilist'].filter(Boolean);
+  const score =
+    (acdb ? SOURCE_WEIGHTS.acdb * relativePopularity(acdb.favorites, maxFavorites.acdb) : 0) +
+    (anilist ? SOURCE_WEIGHTS.anilist * relativePopularity(anilist.favourites, maxFavorites.anilist) : 0);
+  return { acdb, anilist, sources, score: Math.round(score * 1000) / 1000, details: undefined };
+}
+
+function sortCandidates(candidates) {
+  return candidates.sort((a, b) =>
+    (b.score - a.score) ||
+    (b.sources.length - a.sources.length) ||
+    String(a.acdb?.name || a.anilist?.name).localeCompare(String(b.acdb?.name || b.anilist?.name))
+  );
+}
+
+/**
+ * Une las dos listas: cada personaje de AniList con el de ACDB de nombre más parecido (si pasa el umbral).
+ * @param {object[]} acdbList - getTodaysBirthdaysListOnly
+ * @param {object[]} anilistList - getBirthdayCharacters
+ * @returns {object[]} candidatos { acdb, anilist, sources, score } ordenados por popularidad
+ */
+export function mergeBirthdayLists(acdbList, anilistList) {
+  const maxFavorites = getMaxFavorites(acdbList, anilistList);
+  const unmatched = new Map(acdbList.map(c => [c.id, c]));
+  const candidates = [];
+
+  for (const anilist of anilistList) {
+    let best = null;
+    let bestScore = NAME_MATCH_THRESHOLD;
+    for (const acdb of unmatched.values()) {
+      const score = scoreNameMatch(acdb.name, anilist.name, anilist.alternativeNames);
+      if (score >= bestScore) {
+        best = acdb;
+        bestScore = score;
+      }
+    }
+    if (best) unmatched.delete(best.id);
+    candidates.push(makeCandidate(best, anilist, maxFavorites));
+  }
+  for (const acdb of unmatched.values()) candidates.push(makeCandidate(acdb, null, maxFavorites));
+
+  return sortCandidates(candidates);
+}
+
+/**
+ * Personaje para el prep (misma forma que getTodaysBirthdays, más anilistId, sources y popularity).
+ */
+function toCharacter(candidate, date) {
+  const { acdb, anilist, details } = candidate;
+  const acdbSeries = details?.series && details.series !== 'Unknown Anime' ? details.series : null;
+  return {
+    id: acdb?.id ?? null,
+    name: details?.name || acdb?.name || anilist.name,
+    series: acdbSeries || anilist?.series || 'Unknown Anime',
+    favorites: acdb?.favorites ?? anilist?.favourites ?? 0,
+    birthday: formatBirthdayDate(date),
+    image: details?.image ?? null,
+    thumbnail: acdb?.thumbnail ?? null,
+    url: acdb?.url ?? anilist?.siteUrl ?? null,
+    anilistId: anilist?.id ?? null,
+    anilistFavourites: anilist?.favourites ?? null,
+    popularity: candidate.score,
+    sources: candidate.sources
+  };
+}
+
+/**
+ * Top N de cumpleaños de una fecha con todas las fuentes de DISCOVERY_SOURCES.
+ * Si una fuente falla se sigue con la otra; solo falla si fallan todas.
+ * @param {number} limit
+ * @param {Date} [date]
+ * @returns {Promise<object[]>} personajes { id, name, series, favorites, birthday, image, thumbnail, url,
+ *   anilistId, anilistFavourites, popularity, sources }
+ */
+export async function discoverBirthdays(limit = 6, date = new Date()) {
+  const enabled = getDiscoverySources();
+  const { month, day } = getZonedParts(date, TIMEZONE);
+
+  let acdbList = [];
+  let acdbError = null;
+  if (enabled.includes('acdb')) {
+    try {
+      acdbList = await getBirthdayListForDate(date);
+    } catch (error) {
+      acdbError = error;
+      console.warn(`[Discovery] ACDB failed: ${error.message}`);
+    }
+  }
+  const limitAnilist = parseInt(process.env.ANILIST_BIRTHDAY_LIMIT || String(DEFAULT_ANILIST_LIMIT), 10);
+  const anilistList = enabled.includes('anilist') ? await getBirthdayCharacters({ month, day }, limitAnilist) : [];
+  if (acdbError && anilistList.length === 0) throw acdbError;
+
+  const pool = mergeBirthdayLists(acdbList, anilistList);
+  const maxFavorites = getMaxFavorites(acdbList, anilistList);
+  console.log(`[Discovery] ACDB ${acdbList.length}, AniList ${anilistList.length} → ${pool.length} candidates (${pool.filter(c => c.sources.length > 1).length} in both)`);
+
+  const selected = [];
+  while (selected.length < limit && pool.length > 0) {
+    const candidate = pool.shift();
+    if (candidate.acdb && candidate.details === undefined) {
+      candidate.details = await getCharacterDetailsById(candidate.acdb.id).catch(() => null);
+      const series = candidate.details?.series;
+      if (candidate.anilist && series && series !== 'Unknown Anime' && scoreSeriesMatch(series, candidate.anilist.titles) < MIN_SERIES_MATCH) {
+        // Mismo nombre, otra serie: se separan y vuelven al pool con su propio puntaje
+        console.log(`[Discovery] ${candidate.acdb.name}: ACDB "${series}" is not AniList "${candidate.anilist.series}", keeping both apart`);
+        const acdbOnly = { ...makeCandidate(candidate.acdb, null, maxFavorites), details: candidate.details };
+        pool.push(acdbOnly, makeCandidate(null, candidate.anilist, maxFavorites));
+        sortCandidates(pool);
+        continue;
+      }
+    }
+    selected.push(toCharacter(candidate, date));
+  }
+
+  console.log(`[Discovery] Top ${selected.length}:`,
+    selected.map(c => `${c.name} (${c.popularity}, ${c.sources.join('+')})`).join(', '));
+  return selected;
+}
+
+export default {
+  DISCOVERY_SOURCES,
+  getDiscoverySources,
+  mergeBirthdayLists,
+  discoverBirthdays
+};
@@ -0,0 +1,115 @@
+/**
+ * Engagement de los posts publicados y comparación por versión de prompt (modo A/B, ver prompt-templates.js).
+ * refreshEngagement lee likes, reposts y respuestas de cada plataforma y los guarda en el post:
+ *   post.engagement = { twitter: { likes, reposts, replies, impressions, fetchedAt }, bluesky: { ... }, ... }
+ * compareEngagementByPromptVersion suma esos números por post.promptVersion.
+ * Discord y Telegram no exponen métricas; los posts con texto de plantilla o editado a mano no cuentan para la versión.
+ */
+
+import { getDayDoc, getAvailableDates, updatePostStatus } from './state-store.js';
+import { getPublisherEngagement } from './publishers.js';
+import { LANGUAGE } from './config.js';
+
+// Proveedores cuyo texto no salió del prompt
+const NON_PROMPT_SOURCES = ['template', 'manual'];
+
+/**
+ * Plataformas publicadas de un post con su id (posts viejos sin platforms: el tweet).
+ */
+function getPostedPlatforms(post) {
+  if (!post.platforms) return post.tweetId ? { twitter: post.tweetId } : {};
+  return Object.fromEntries(
+    Object.entries(post.platforms)
+      .filter(([, p]) => p.status === 'posted' && p.id)
+      .map(([name, p]) => [name, p.id])
+  );
+}
+
+/**
+ * Lee las métricas de los posts publicados de un día y las guarda en cada post.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>} posts actualizados
+ */
+export async function refreshEngagement(date) {
+  const doc = await getDayDoc(date);
+  let updated = 0;
+  for (const post of doc?.posts || []) {
+    const posted = getPostedPlatforms(post);
+    if (Object.keys(posted).length === 0) continue;
+
+    const engagement = { ...(post.engagement || {}) };
+    let changed = false;
+    for (const [name, id] of Object.entries(posted)) {
+      try {
+        const metrics = await getPublisherEngagement(name, id);
+        if (!metrics) continue;
+        engagement[name] = { ...metrics, fetchedAt: new Date().toISOString() };
+        changed = true;
+      } catch (error) {
+        console.warn(`[Engagement] ${date} #${post.index} ${name}:`, error.message);
+      }
+    }
+    if (changed) {
+      await updatePostStatus(date, post.index, { engagement });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Indica si el texto publicado salió del prompt (y no de la plantilla fija o de una edición a mano).
+ */
+function isPromptText(post) {
+  const source = post.textSources?.[post.language || LANGUAGE];
+  return !!post.promptVersion && !NON_PROMPT_SOURCES.includes(source?.provider);
+}
+
+/**
+ * Engagement sumado por versión de prompt.
+ * @param {object[]} docs - días del StateStore
+ * @returns {Array<{ version: string, posts: number, likes: number, reposts: number, replies: number, avgPerPost: number }>}
+ *   ordenado por avgPerPost (likes + reposts + respuestas por post, todas las plataformas)
+ */
+export function compareEngagementByPromptVersion(docs) {
+  const byVersion = {};
+  for (const doc of docs) {
+    for (const post of doc?.posts || []) {
+      if (post.status !== 'posted' || !post.engagement || !isPromptText(post)) continue;
+      const row = byVersion[post.promptVersion] ||= { version: post.promptVersion, posts: 0, likes: 0, reposts: 0, replies: 0 };
+      row.posts++;
+      for (const metrics of Object.values(post.engagement)) {
+        row.likes += metrics.likes || 0;
+        row.reposts += metrics.reposts || 0;
+        row.replies += metrics.replies || 0;
+      }
+    }
+  }
+  return Object.values(byVersion)
+    .map(row => ({ ...row, avgPerPost: Math.round((row.likes + row.reposts + row.replies) / row.posts * 10) / 10 }))
+    .sort((a, b) => b.avgPerPost - a.avgPerPost);
+}
+
+/**
+ * Comparación de los últimos días; con refresh vuelve a leer las métricas antes.
+ * @param {number} [days] - cantidad de días con posts (default 14)
+ * @param {object} [options] - { refresh?: boolean }
+ */
+export async function getPromptVersionReport(days = 14, { refresh = false } = {}) {
+  const dates = await getAvailableDates(days);
+  const docs = [];
+  for (const date of dates) {
+    if (refresh) {
+      const updated = await refreshEngagement(date);
+      console.log(`[Engagement] ${date}: ${updated} posts updated`);
+    }
+    docs.push(await getDayDoc(date));
+  }
+  return { dates, rows: compareEngagementByPromptVersion(docs) };
+}
+
+export default {
+  refreshEngagement,
+  compareEngagementByPromptVersion,
+  getPromptVersionReport
+};
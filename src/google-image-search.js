@@ -8,7 +8,7 @@
  * - Cuota gratuita: 100 búsquedas/día
  */
 
-import axios from 'axios';
+import { httpGet } from './http-client.js';
 
 const BASE_URL = 'https://www.googleapis.com/customsearch/v1';
 
@@ -40,7 +40,8 @@ export async function searchImagesForCharacter(characterName, series, options =
   if (!query) return [];
 
   try {
-    const response = await axios.get(BASE_URL, {
+    // Sin reintentos: un 429 es la cuota del día, no se libera esperando
+    const response = await httpGet(BASE_URL, {
       params: {
         key: apiKey,
         cx,
@@ -49,9 +50,8 @@ export async function searchImagesForCharacter(characterName, series, options =
         num,
         imgSize,
         safe: 'active'
-      },
-      timeout: 15000
-    });
+      }
+    }, { source: 'google', retries: 0 });
 
     const items = response.data?.items || [];
     return items
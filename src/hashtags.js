@@ -0,0 +1,134 @@
+/**
+ * Hashtags de los posts: tags oficiales por serie (id de anime en MAL), tag del personaje, tags fijos y tope por plataforma.
+ * Lo usan los dos caminos del texto: la respuesta del modelo (llm.js) y la plantilla (createBirthdayMessage).
+ *
+ * Orden: tags oficiales de la serie (o uno armado con el título), personaje, HASHTAGS_ALWAYS y después los sugeridos
+ * (del modelo o de la plantilla). Sin repetidos (sin importar mayúsculas) y sin los de HASHTAGS_NEVER.
+ * Al publicar, cada plataforma se queda con los primeros PLATFORM_HASHTAG_LIMITS[plataforma].
+ *
+ * Variables:
+ *   HASHTAGS_ALWAYS — tags que van en todos los posts, separados por coma (ej. #AnimeBirthday,#誕生日)
+ *   HASHTAGS_NEVER  — tags que no se usan nunca (ej. #Anime)
+ */
+
+const HASHTAG = /#[^\s#]+/gu;
+const TRAILING_HASHTAGS = /(\s*#[^\s#]+)+\s*$/u;
+
+// Tope general (lo que se guarda en el post); cada plataforma recorta al suyo al publicar
+export const MAX_HASHTAGS = 8;
+
+export const PLATFORM_HASHTAG_LIMITS = {
+  twitter: 5,
+  bluesky: 5,
+  mastodon: 8,
+  telegram: 5,
+  discord: 3
+};
+
+/**
+ * Tags oficiales por id de anime en MAL (la cuenta oficial o el tag de la campaña en X).
+ * Las secuelas tienen otro id: se agregan acá si hace falta.
+ */
+export const OFFICIAL_HASHTAGS = {
+  30: ['#エヴァンゲリオン', '#Evangelion'],
+  9253: ['#シュタゲ', '#SteinsGate'],
+  16498: ['#進撃の巨人', '#AttackOnTitan'],
+  31240: ['#リゼロ', '#rezero'],
+  31964: ['#ヒロアカ', '#MyHeroAcademia'],
+  37999: ['#かぐや様', '#KaguyaSama'],
+  38000: ['#鬼滅の刃', '#DemonSlayer'],
+  40748: ['#呪術廻戦', '#JujutsuKaisen'],
+  44511: ['#チェンソーマン', '#ChainsawMan'],
+  50265: ['#SPY_FAMILY', '#スパイファミリー'],
+  52034: ['#推しの子', '#OshiNoKo'],
+  52991: ['#フリーレン', '#Frieren']
+};
+
+function parseTagList(value) {
+  return String(value || '').split(',').map(toHashtag).filter(Boolean);
+}
+
+/**
+ * Hashtag a partir de un texto: sin puntuación ni espacios, palabras latinas con mayúscula inicial
+ * ("Re:Zero" → "#ReZero", "attack on titan" → "#AttackOnTitan", "鬼滅の刃" → "#鬼滅の刃").
+ * @returns {string|null} null si no queda nada o son solo números
+ */
+export function toHashtag(text) {
+  const words = String(text || '')
+    .replace(/^#/, '')
+    .split(/[\s\-–:;,.!?/]+/)
+    .map(w => w.replace(/[^\p{L}\p{M}\p{N}_]/gu, ''))
+    .filter(Boolean);
+  const tag = words
+    .map(w => (/^\p{Ll}/u.test(w) && words.length > 1 ? w[0].toUpperCase() + w.slice(1) : w))
+    .join('')
+    .slice(0, 50);
+  if (!tag || /^\d+$/.test(tag)) return null;
+  return `#${tag}`;
+}
+
+/**
+ * Tags oficiales de una serie (vacío si no está en OFFICIAL_HASHTAGS).
+ * @param {number|string|null} animeId - id de anime en MAL
+ */
+export function getSeriesHashtags(animeId) {
+  return OFFICIAL_HASHTAGS[animeId] || [];
+}
+
+/**
+ * Lista de hashtags de un post.
+ * @param {object} character - { name, series, anime_id? }
+ * @param {string[]} [suggested] - tags del modelo o de la plantilla
+ * @param {object} [options] - { name?: nombre a usar (ej. kanji en japonés), max? }
+ * @returns {string[]}
+ */
+export function buildHashtags(character, suggested = [], { name = character.name, max = MAX_HASHTAGS } = {}) {
+  const official = getSeriesHashtags(character.anime_id);
+  const series = official.length ? official : [toHashtag(character.series)];
+  const never = new Set(parseTagList(process.env.HASHTAGS_NEVER).map(t => t.toLowerCase()));
+  const ordered = [
+    ...series,
+    toHashtag(name),
+    ...parseTagList(process.env.HASHTAGS_ALWAYS),
+    ...suggested.map(toHashtag)
+  ];
+
+  const seen = new Set();
+  const tags = [];
+  for (const tag of ordered) {
+    const key = tag?.toLowerCase();
+    if (!tag || seen.has(key) || never.has(key)) continue;
+    seen.add(key);
+    tags.push(tag);
+  }
+  return tags.slice(0, max);
+}
+
+/**
+ * Deja como máximo el tope de la plataforma en los hashtags del final del texto.
+ * @param {string} text
+ * @param {string} platform - twitter | bluesky | mastodon | telegram | discord
+ */
+export function limitHashtagsForPlatform(text, platform) {
+  const limit = PLATFORM_HASHTAG_LIMITS[platform] ?? MAX_HASHTAGS;
+  const t = String(text || '');
+  const trailing = t.match(TRAILING_HASHTAGS)?.[0];
+  if (!trailing) return t;
+  const tags = trailing.match(HASHTAG);
+  if (tags.length <= limit) return t;
+  const body = t.slice(0, t.length - trailing.length);
+  const kept = tags.slice(0, limit).join(' ');
+  if (!kept) return body;
+  // Se mantiene el separador original (espacio o renglón en blanco)
+  return body + trailing.match(/^\s*/)[0] + kept;
+}
+
+export default {
+  MAX_HASHTAGS,
+  PLATFORM_HASHTAG_LIMITS,
+  OFFICIAL_HASHTAGS,
+  toHashtag,
+  getSeriesHashtags,
+  buildHashtags,
+  limitHashtagsForPlatform
+};
@@ -0,0 +1,331 @@
+/**
+ * Cache en disco de las respuestas de Jikan, AniList, Safebooru y ACDB (y de las imágenes de esos hosts).
+ * La usa httpRequest (http-client.js) en los GET y en los POST que piden cache (consultas GraphQL de AniList).
+ *
+ *   - entries/<hash del request>.json — url, fuente, status, ETag / Last-Modified, fecha y hash del cuerpo
+ *   - blobs/<sha256 del cuerpo>        — el cuerpo (direccionado por contenido: la misma imagen en dos URLs se guarda una vez)
+ *
+ * Vencida la TTL de la fuente (TTL_HOURS, o HTTP_CACHE_TTLS), se revalida con If-None-Match / If-Modified-Since:
+ * un 304 renueva la entrada sin bajar el cuerpo otra vez.
+ * Si el total pasa HTTP_CACHE_MAX_MB se borran las entradas usadas hace más tiempo.
+ *
+ * Modo offline (--offline en la línea de comandos, o HTTP_OFFLINE=true): solo se responde desde la cache, sin
+ * importar la TTL; lo que no está falla con error.code = 'OFFLINE_MISS'. Sirve para repetir un prep con los
+ * mismos datos o trabajar sin red.
+ *
+ * Variables:
+ *   HTTP_CACHE         — false la apaga (default prendida)
+ *   HTTP_CACHE_DIR     — directorio (default DATA_DIR/http-cache)
+ *   HTTP_CACHE_MAX_MB  — tamaño máximo (default 200)
+ *   HTTP_CACHE_TTLS    — TTL en horas por fuente, ej. jikan:24,acdb:6 (las que no se ponen quedan con el default)
+ *   HTTP_OFFLINE       — true = modo offline
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './state.js';
+
+// TTL por fuente (nombres de SOURCES en http-client.js); las que no están no se cachean
+const TTL_HOURS = {
+  jikan: 24 * 7,
+  mal: 24 * 30,
+  anilist: 24 * 7,
+  safebooru: 24,
+  acdb: 12
+};
+const DEFAULT_MAX_MB = 200;
+// Al pasar el tope se borra hasta quedar en esta fracción
+const PRUNE_TARGET = 0.9;
+
+let totalBytes = null;
+
+export function isCacheEnabled() {
+  return (process.env.HTTP_CACHE || '').toLowerCase() !== 'false';
+}
+
+/**
+ * Modo offline: --offline en process.argv o HTTP_OFFLINE=true.
+ */
+export function isOffline() {
+  return process.argv.includes('--offline') || (process.env.HTTP_OFFLINE || '').toLowerCase() === 'true';
+}
+
+function getCacheDir() {
+  return process.env.HTTP_CACHE_DIR || path.join(DATA_DIR, 'http-cache');
+}
+
+function getMaxBytes() {
+  const mb = parseFloat(process.env.HTTP_CACHE_MAX_MB);
+  return (Number.isFinite(mb) ? mb : DEFAULT_MAX_MB) * 1024 * 1024;
+}
+
+/**
+ * TTL en ms de una fuente (null = no se cachea).
+ */
+export function getTtlMs(source) {
+  const overrides = Object.fromEntries(
+    (process.env.HTTP_CACHE_TTLS || '')
+      .split(',')
+      .map(pair => pair.split(':').map(s => s.trim()))
+      .filter(([name, hours]) => name && Number.isFinite(parseFloat(hours)))
+      .map(([name, hours]) => [name.toLowerCase(), parseFloat(hours)])
+  );
+  const hours = overrides[source] ?? TTL_HOURS[source];
+  return hours == null ? null : hours * 3600 * 1000;
+}
+
+/**
+ * Indica si un request se cachea: cache prendida, fuente con TTL y GET (o POST con options.cache).
+ */
+export function isCacheable(config, source, options = {}) {
+  if (!isCacheEnabled() || getTtlMs(source) == null) return false;
+  const method = (config.method || 'get').toLowerCase();
+  return method === 'get' || (method === 'post' && !!options.cache);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+  }
+  return value;
+}
+
+/**
+ * Clave del request: método, URL, params, cuerpo y cacheKey (un dato extra del llamador; sin headers).
+ * Los mismos datos dan siempre la misma clave.
+ */
+export function getCacheKey(config) {
+  const method = (config.method || 'get').toLowerCase();
+  const data = typeof config.data === 'string' ? config.data : JSON.stringify(sortKeys(config.data ?? null));
+  const parts = [method, config.url, sortKeys(config.params || {}), data, config.responseType || 'json'];
+  if (config.cacheKey) parts.push(config.cacheKey);
+  return sha256(JSON.stringify(parts));
+}
+
+function entryPath(key) {
+  return path.join(getCacheDir(), 'entries', `${key}.json`);
+}
+
+function blobPath(hash) {
+  return path.join(getCacheDir(), 'blobs', hash);
+}
+
+/**
+ * Entrada guardada para la clave, o null.
+ */
+async function readEntry(key) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function encodeBody(data) {
+  if (Buffer.isBuffer(data)) return { kind: 'buffer', bytes: data };
+  if (data instanceof ArrayBuffer) return { kind: 'buffer', bytes: Buffer.from(data) };
+  if (typeof data === 'string') return { kind: 'text', bytes: Buffer.from(data, 'utf8') };
+  return { kind: 'json', bytes: Buffer.from(JSON.stringify(data), 'utf8') };
+}
+
+function decodeBody(kind, bytes) {
+  if (kind === 'buffer') return bytes;
+  if (kind === 'text') return bytes.toString('utf8');
+  return JSON.parse(bytes.toString('utf8'));
+}
+
+/**
+ * Respuesta cacheada para un request.
+ * @returns {Promise<{ entry: object, response: object, fresh: boolean }|null>}
+ *   response tiene la forma de la de axios (data, status, headers) con cached: true; fresh = dentro de la TTL
+ */
+export async function getCachedResponse(config, source) {
+  const key = getCacheKey(config);
+  const entry = await readEntry(key);
+  if (!entry) return null;
+  let bytes;
+  try {
+    bytes = await fs.readFile(blobPath(entry.bodyHash));
+  } catch (_) {
+    return null;
+  }
+  const ttl = getTtlMs(source) ?? 0;
+  const fresh = Date.now() - new Date(entry.storedAt).getTime() < ttl;
+  // Fecha de uso para el orden de borrado (no hace falta esperarla)
+  fs.writeFile(entryPath(key), JSON.stringify({ ...entry, usedAt: new Date().toISOString() })).catch(() => {});
+  return {
+    entry,
+    fresh,
+    response: { data: decodeBody(entry.kind, bytes), status: entry.status, headers: entry.headers, config, cached: true }
+  };
+}
+
+/**
+ * Headers para revalidar una entrada vencida (If-None-Match / If-Modified-Since).
+ */
+export function getRevalidationHeaders(entry) {
+  const headers = {};
+  if (entry?.headers?.etag) headers['If-None-Match'] = entry.headers.etag;
+  if (entry?.headers?.['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+  return headers;
+}
+
+/**
+ * Renueva la fecha de una entrada que el servidor confirmó (304).
+ */
+export async function touchCachedResponse(config, entry) {
+  const now = new Date().toISOString();
+  await fs.writeFile(entryPath(getCacheKey(config)), JSON.stringify({ ...entry, storedAt: now, usedAt: now }));
+}
+
+/**
+ * Guarda una respuesta 200 (errores de disco: solo aviso, el request ya salió bien).
+ * @param {object} config - config de axios del request
+ * @param {string} source
+ * @param {object} response - respuesta de axios
+ */
+export async function saveCachedResponse(config, source, response) {
+  if (response.status !== 200) return;
+  if (/no-store/i.test(response.headers?.['cache-control'] || '')) return;
+  try {
+    const { kind, bytes } = encodeBody(response.data);
+    const bodyHash = sha256(bytes);
+    const dir = getCacheDir();
+    await fs.mkdir(path.join(dir, 'entries'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'blobs'), { recursive: true });
+
+    let added = 0;
+    try {
+      await fs.access(blobPath(bodyHash));
+    } catch (_) {
+      await fs.writeFile(blobPath(bodyHash), bytes);
+      added += bytes.length;
+    }
+    const now = new Date().toISOString();
+    const entry = {
+      url: config.url,
+      source,
+      status: response.status,
+      headers: Object.fromEntries(
+        ['content-type', 'etag', 'last-modified'].filter(h => response.headers?.[h]).map(h => [h, String(response.headers[h])])
+      ),
+      kind,
+      bodyHash,
+      bytes: bytes.length,
+      storedAt: now,
+      usedAt: now
+    };
+    const json = JSON.stringify(entry);
+    await fs.writeFile(entryPath(getCacheKey(config)), json);
+    added += json.length;
+
+    if (totalBytes === null) totalBytes = await measureCache();
+    else totalBytes += added;
+    if (totalBytes > getMaxBytes()) await pruneCache();
+  } catch (error) {
+    console.warn(`[HTTP Cache] Could not save ${config.url}: ${error.message}`);
+  }
+}
+
+async function listDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (_) {
+    return [];
+  }
+}
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch (_) {
+    return 0;
+  }
+}
+
+async function measureCache() {
+  const dir = getCacheDir();
+  let total = 0;
+  for (const sub of ['entries', 'blobs']) {
+    for (const name of await listDir(path.join(dir, sub))) total += await fileSize(path.join(dir, sub, name));
+  }
+  return total;
+}
+
+/**
+ * Borra las entradas usadas hace más tiempo hasta quedar debajo del tope, y los cuerpos que ya nadie usa.
+ */
+export async function pruneCache() {
+  const dir = getCacheDir();
+  const entries = [];
+  for (const name of await listDir(path.join(dir, 'entries'))) {
+    const file = path.join(dir, 'entries', name);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      entries.push({ file, entry, size: await fileSize(file) });
+    } catch (_) {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+  const blobSizes = new Map();
+  for (const name of await listDir(path.join(dir, 'blobs'))) blobSizes.set(name, await fileSize(path.join(dir, 'blobs', name)));
+
+  const used = new Map();
+  for (const { entry } of entries) used.set(entry.bodyHash, (used.get(entry.bodyHash) || 0) + 1);
+  let total = entries.reduce((sum, e) => sum + e.size, 0) + [...blobSizes.values()].reduce((a, b) => a + b, 0);
+  const target = getMaxBytes() * PRUNE_TARGET;
+
+  entries.sort((a, b) => String(a.entry.usedAt).localeCompare(String(b.entry.usedAt)));
+  let removed = 0;
+  for (const { file, entry, size } of entries) {
+    if (total <= target) break;
+    await fs.unlink(file).catch(() => {});
+    total -= size;
+    removed++;
+    const left = (used.get(entry.bodyHash) || 1) - 1;
+    used.set(entry.bodyHash, left);
+    if (left === 0 && blobSizes.has(entry.bodyHash)) {
+      await fs.unlink(blobPath(entry.bodyHash)).catch(() => {});
+      total -= blobSizes.get(entry.bodyHash);
+      blobSizes.delete(entry.bodyHash);
+    }
+  }
+  // Cuerpos sin entrada (ej. una escritura cortada a la mitad)
+  for (const [hash, size] of blobSizes) {
+    if (!used.get(hash)) {
+      await fs.unlink(blobPath(hash)).catch(() => {});
+      total -= size;
+    }
+  }
+  totalBytes = total;
+  if (removed > 0) console.log(`[HTTP Cache] Pruned ${removed} entries (${Math.round(total / 1024 / 1024)} MB left)`);
+}
+
+/**
+ * Error de un request que no está en la cache en modo offline.
+ */
+export function offlineMissError(config) {
+  const error = new Error(`Offline: ${config.url} is not cached`);
+  error.code = 'OFFLINE_MISS';
+  return error;
+}
+
+export default {
+  isCacheEnabled,
+  isOffline,
+  getTtlMs,
+  isCacheable,
+  getCacheKey,
+  getCachedResponse,
+  getRevalidationHeaders,
+  touchCachedResponse,
+  saveCachedResponse,
+  pruneCache,
+  offlineMissError
+};
@@ -0,0 +1,326 @@
+/**
+ * Cliente HTTP compartido de las fuentes de datos e imágenes (Jikan, AniList, Safebooru, ACDB, Google y descargas).
+ * Cada request pasa por:
+ *   - token bucket por host: requests por segundo y ráfaga según la fuente (SOURCES; el resto, DEFAULT_LIMIT)
+ *   - timeout (HTTP_TIMEOUT_MS, o el que pida el llamador)
+ *   - reintentos con backoff exponencial en 429, 5xx y errores de red; con Retry-After se espera eso
+ *     (y el host queda en pausa para los demás requests)
+ *   - circuit breaker por fuente: tras HTTP_BREAKER_THRESHOLD fallas seguidas la fuente queda "caída"
+ *     HTTP_BREAKER_COOLDOWN_MS y sus requests fallan al toque (error.code = 'CIRCUIT_OPEN'); después se
+ *     prueba con un request y si anda se cierra. Un 4xx (salvo 429) no cuenta como falla de la fuente.
+ * Antes de todo eso se mira la cache en disco (http-cache.js): una respuesta vigente no sale a la red, una vencida
+ * se revalida (304 = se usa la guardada) y en modo offline (--offline) solo se responde desde la cache.
+ * Los publishers (X, Bluesky, Mastodon, ...) no pasan por acá: un POST repetido publicaría dos veces.
+ *
+ * Variables:
+ *   HTTP_TIMEOUT_MS          — timeout por request (default 15000)
+ *   HTTP_MAX_RETRIES         — reintentos por request (default 3)
+ *   HTTP_BREAKER_THRESHOLD   — fallas seguidas para abrir el circuito (default 5)
+ *   HTTP_BREAKER_COOLDOWN_MS — tiempo con el circuito abierto (default 60000)
+ */
+
+import axios from 'axios';
+import {
+  isOffline,
+  isCacheable,
+  getCachedResponse,
+  getRevalidationHeaders,
+  touchCachedResponse,
+  saveCachedResponse,
+  offlineMissError
+} from './http-cache.js';
+
+const USER_AGENT = 'AnimeBirthdayBot/1.0';
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30_000;
+// Un Retry-After más largo que esto no se espera: el request falla
+const MAX_RETRY_AFTER_MS = 120_000;
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK']);
+
+/**
+ * Fuentes conocidas: hosts (incluye subdominios) y límite de cada host.
+ * ratePerSecond = tokens que se recargan por segundo; burst = máximo acumulado.
+ */
+export const SOURCES = {
+  jikan: { hosts: ['api.jikan.moe'], ratePerSecond: 3, burst: 1 },
+  mal: { hosts: ['myanimelist.net'], ratePerSecond: 4, burst: 4 },
+  anilist: { hosts: ['graphql.anilist.co', 'anilist.co'], ratePerSecond: 1.5, burst: 3 },
+  safebooru: { hosts: ['safebooru.org'], ratePerSecond: 2, burst: 2 },
+  acdb: { hosts: ['animecharactersdatabase.com'], ratePerSecond: 1, burst: 2 },
+  google: { hosts: ['googleapis.com'], ratePerSecond: 5, burst: 5 }
+};
+const DEFAULT_LIMIT = { ratePerSecond: 5, burst: 5 };
+
+const buckets = new Map();
+const breakers = new Map();
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Fuente de una URL (nombre de SOURCES, o el host si no es conocida).
+ * @param {string} url
+ */
+export function getSourceForUrl(url) {
+  const host = getHost(url);
+  for (const [name, { hosts }] of Object.entries(SOURCES)) {
+    if (hosts.some(h => host === h || host.endsWith(`.${h}`))) return name;
+  }
+  return host;
+}
+
+// --- Token bucket por host ---
+
+function getBucket(host, source) {
+  if (!buckets.has(host)) {
+    const { ratePerSecond, burst } = SOURCES[source] || DEFAULT_LIMIT;
+    buckets.set(host, { ratePerSecond, burst, tokens: burst, updatedAt: Date.now(), pausedUntil: 0, queue: Promise.resolve() });
+  }
+  return buckets.get(host);
+}
+
+function refill(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.ratePerSecond);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Espera un token del host (los requests del mismo host salen en orden).
+ */
+function takeToken(bucket) {
+  const turn = bucket.queue.then(async () => {
+    const pause = bucket.pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause);
+    refill(bucket);
+    if (bucket.tokens < 1) {
+      await sleep(((1 - bucket.tokens) / bucket.ratePerSecond) * 1000);
+      refill(bucket);
+    }
+    bucket.tokens -= 1;
+  });
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+// --- Circuit breaker por fuente ---
+
+function getBreaker(source) {
+  if (!breakers.has(source)) breakers.set(source, { state: 'closed', failures: 0, openUntil: 0, trial: false });
+  return breakers.get(source);
+}
+
+/**
+ * Indica si una fuente acepta requests (circuito cerrado, o abierto con el cooldown ya cumplido).
+ * @param {string} sourceOrUrl - nombre de SOURCES, host o URL
+ */
+export function isSourceAvailable(sourceOrUrl) {
+  const source = SOURCES[sourceOrUrl] ? sourceOrUrl : getSourceForUrl(sourceOrUrl) || sourceOrUrl;
+  const breaker = breakers.get(source);
+  if (!breaker || breaker.state === 'closed') return true;
+  return breaker.state === 'open' ? Date.now() >= breaker.openUntil : !breaker.trial;
+}
+
+/**
+ * Estado de los circuitos (para diagnóstico): { [fuente]: { state, failures, openUntil } }.
+ */
+export function getCircuitStates() {
+  return Object.fromEntries([...breakers].map(([source, b]) => [
+    source,
+    { state: b.state, failures: b.failures, openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null }
+  ]));
+}
+
+function circuitOpenError(source, breaker) {
+  const seconds = Math.max(0, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+  const error = new Error(`${source} is unavailable (circuit open, retry in ${seconds}s)`);
+  error.code = 'CIRCUIT_OPEN';
+  error.source = source;
+  return error;
+}
+
+/**
+ * Falla al toque si la fuente está caída. Los reintentos de un request que ya pasó (ej. el de prueba) no se frenan
+ * salvo que otro request haya abierto el circuito mientras tanto.
+ */
+function beforeRequest(source, isRetry) {
+  const breaker = getBreaker(source);
+  if (breaker.state === 'closed') return;
+  if (breaker.state === 'open' && Date.now() < breaker.openUntil) throw circuitOpenError(source, breaker);
+  if (isRetry) return;
+  // Cooldown cumplido: pasa un solo request de prueba
+  if (breaker.trial) throw circuitOpenError(source, breaker);
+  breaker.state = 'half-open';
+  breaker.trial = true;
+}
+
+function recordSuccess(source) {
+  const breaker = getBreaker(source);
+  if (breaker.state !== 'closed') console.log(`[HTTP] ${source} is back, closing circuit`);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.trial = false;
+}
+
+function recordFailure(source, error) {
+  const breaker = getBreaker(source);
+  breaker.failures += 1;
+  breaker.trial = false;
+  if (breaker.state === 'half-open' || breaker.failures >= envNumber('HTTP_BREAKER_THRESHOLD', 5)) {
+    const cooldown = envNumber('HTTP_BREAKER_COOLDOWN_MS', 60_000);
+    breaker.state = 'open';
+    breaker.openUntil = Date.now() + cooldown;
+    console.warn(`[HTTP] ${source} failed ${breaker.failures} time(s) (${error.message}), skipping it for ${Math.round(cooldown / 1000)}s`);
+  }
+}
+
+// --- Reintentos ---
+
+function isRetryable(error) {
+  if (error.code === 'CIRCUIT_OPEN') return true;
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error.code) || !error.response;
+}
+
+/**
+ * Retry-After en ms (segundos o fecha HTTP); null si no viene.
+ */
+function parseRetryAfter(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header == null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Request con límite por host, reintentos y circuit breaker. Misma respuesta (y errores) que axios.
+ * @param {object} config - config de axios ({ url, method, params, data, headers, responseType, ... })
+ * @param {object} [options] - { source?: nombre de la fuente (default según el host), retries?, timeout?,
+ *   cache?: true para cachear un POST (solo consultas que no cambian nada),
+ *   cacheKey?: dato extra para la clave de la cache (ej. el día de una consulta cuya respuesta depende del día),
+ *   cacheIf?: (response) => boolean, para no guardar respuestas que no sirven (default todas las 200) }
+ * @returns {Promise<import('axios').AxiosResponse>} las que vienen de la cache tienen cached: true
+ */
+export async function httpRequest(config, options = {}) {
+  const source = options.source || getSourceForUrl(config.url);
+  const cacheable = isCacheable(config, source, options);
+  const cacheConfig = options.cacheKey ? { ...config, cacheKey: options.cacheKey } : config;
+  const cached = cacheable ? await getCachedResponse(cacheConfig, source) : null;
+  if (cached && (cached.fresh || isOffline())) return cached.response;
+  if (isOffline()) throw offlineMissError(config);
+
+  const revalidation = cached ? getRevalidationHeaders(cached.entry) : {};
+  let response;
+  try {
+    response = await requestWithRetries({
+      ...config,
+      headers: { ...revalidation, ...config.headers },
+      ...(Object.keys(revalidation).length > 0 ? { validateStatus: status => (status >= 200 && status < 300) || status === 304 } : {})
+    }, source, options);
+  } catch (error) {
+    // Fuente caída: mejor la respuesta vencida que nada
+    if (cached && isRetryable(error)) {
+      console.warn(`[HTTP] ${source} unavailable (${error.message}), using stale cache for ${config.url}`);
+      return cached.response;
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && cached) {
+    await touchCachedResponse(cacheConfig, cached.entry).catch(() => {});
+    return cached.response;
+  }
+  if (cacheable && (!options.cacheIf || options.cacheIf(response))) await saveCachedResponse(cacheConfig, source, response);
+  return response;
+}
+
+async function requestWithRetries(config, source, options) {
+  const host = getHost(config.url);
+  const retries = options.retries ?? envNumber('HTTP_MAX_RETRIES', 3);
+  const timeout = options.timeout ?? config.timeout ?? envNumber('HTTP_TIMEOUT_MS', 15_000);
+  const bucket = getBucket(host, source);
+
+  for (let attempt = 0; ; attempt++) {
+    beforeRequest(source, attempt > 0);
+    await takeToken(bucket);
+    try {
+      const response = await axios.request({
+        ...config,
+        timeout,
+        headers: { 'User-Agent': USER_AGENT, ...config.headers }
+      });
+      recordSuccess(source);
+      return response;
+    } catch (error) {
+      const retryable = isRetryable(error);
+      // 4xx: la fuente respondió bien, el request era el malo
+      if (!retryable) {
+        recordSuccess(source);
+        throw error;
+      }
+      const retryAfter = parseRetryAfter(error);
+      if (attempt >= retries || (retryAfter != null && retryAfter > MAX_RETRY_AFTER_MS)) {
+        recordFailure(source, error);
+        throw error;
+      }
+      // El circuito se cierra o se abre con el resultado final, no con cada intento
+      const wait = retryAfter ?? backoffDelay(attempt);
+      if (retryAfter != null) bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + retryAfter);
+      console.log(`[HTTP] ${error.response?.status || error.code || 'error'} from ${host}, retrying in ${Math.round(wait)}ms (${retries - attempt} left)`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * GET con httpRequest.
+ * @param {string} url
+ * @param {object} [config] - config de axios (params, headers, responseType, ...)
+ * @param {object} [options] - ver httpRequest
+ */
+export function httpGet(url, config = {}, options = {}) {
+  return httpRequest({ ...config, method: 'get', url }, options);
+}
+
+/**
+ * POST con httpRequest (solo para requests que se pueden repetir, ej. consultas GraphQL).
+ * @param {string} url
+ * @param {*} data
+ * @param {object} [config]
+ * @param {object} [options] - ver httpRequest
+ */
+export function httpPost(url, data, config = {}, options = {}) {
+  return httpRequest({ ...config, method: 'post', url, data }, options);
+}
+
+export default {
+  SOURCES,
+  getSourceForUrl,
+  isSourceAvailable,
+  getCircuitStates,
+  httpRequest,
+  httpGet,
+  httpPost
+};
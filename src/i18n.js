@@ -0,0 +1,133 @@
+/**
+ * Idiomas de los posts: inglés, español y japonés.
+ * El idioma del bot es BOT_LANGUAGE (config.js); cada cuenta puede tener el suyo con <CUENTA>_LANGUAGE
+ * (ej. MASTODON_LANGUAGE=ja, ver publishers.js).
+ * Acá están las plantillas de createBirthdayMessage y createAltText, la fecha localizada y la instrucción de idioma del prompt.
+ */
+
+export const SUPPORTED_LANGUAGES = ['en', 'es', 'ja'];
+export const DEFAULT_LANGUAGE = 'en';
+
+// El scraper arma el cumpleaños como "October 19" (ver scraper.js)
+const ENGLISH_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const LOCALES = { en: 'en-US', es: 'es-AR', ja: 'ja-JP' };
+
+/**
+ * Plantillas del mensaje sin LLM, por idioma.
+ */
+export const MESSAGE_TEMPLATES = {
+  en: {
+    greeting: name => `🎂 Happy Birthday to ${name}! 🎉`,
+    fromSeries: series => `The beloved character from ${series} celebrates today.`,
+    shortGreeting: name => `🎂 Happy Birthday ${name}! 🎉`,
+    shortFrom: series => `From ${series}`,
+    altText: (name, series) => `Official art of ${name} from ${series}`,
+    // Respuestas del hilo (thread.js)
+    threadTrivia: trivia => `💡 ${trivia}`,
+    voicedBy: name => `🎙️ Voiced by ${name}`,
+    threadVoice: (name, englishName) => `🎙️ Japanese voice: ${name}${englishName ? ` · English: ${englishName}` : ''}`,
+    threadImage: (source, url) => `🖼️ Image: ${source}${url ? ` ${url}` : ''}`,
+    threadArtist: url => `🎨 Original: ${url}`,
+    hashtags: ['#AnimeBirthday', '#Anime', '#HappyBirthday'],
+    // La descripción de MAL está en inglés: solo se usa en este idioma
+    useAbout: true
+  },
+  es: {
+    greeting: name => `🎂 ¡Feliz cumpleaños, ${name}! 🎉`,
+    fromSeries: series => `Hoy cumple años este querido personaje de ${series}.`,
+    shortGreeting: name => `🎂 ¡Feliz cumple, ${name}! 🎉`,
+    shortFrom: series => `De ${series}`,
+    altText: (name, series) => `Arte oficial de ${name} de ${series}`,
+    threadTrivia: trivia => `💡 ${trivia}`,
+    voicedBy: name => `🎙️ Con la voz de ${name}`,
+    threadVoice: (name, englishName) => `🎙️ Voz japonesa: ${name}${englishName ? ` · en inglés: ${englishName}` : ''}`,
+    threadImage: (source, url) => `🖼️ Imagen: ${source}${url ? ` ${url}` : ''}`,
+    threadArtist: url => `🎨 Original: ${url}`,
+    hashtags: ['#CumpleañosAnime', '#Anime', '#FelizCumpleaños'],
+    useAbout: false
+  },
+  ja: {
+    greeting: name => `🎂 ${name}、お誕生日おめでとう！🎉`,
+    fromSeries: series => `今日は『${series}』の人気キャラクターの誕生日です。`,
+    shortGreeting: name => `🎂 ${name}、誕生日おめでとう！🎉`,
+    shortFrom: series => `『${series}』より`,
+    altText: (name, series) => `『${series}』の${name}の公式イラスト`,
+    threadTrivia: trivia => `💡 ${trivia}`,
+    voicedBy: name => `🎙️ CV：${name}`,
+    threadVoice: name => `🎙️ CV：${name}`,
+    threadImage: (source, url) => `🖼️ 画像：${source}${url ? ` ${url}` : ''}`,
+    threadArtist: url => `🎨 元画像：${url}`,
+    hashtags: ['#誕生日', '#アニメ', '#生誕祭'],
+    useAbout: false
+  }
+};
+
+// Línea de idioma del prompt (llm.js)
+const PROMPT_LANGUAGE = {
+  en: 'Write in natural, fluent English — like a real fan would post. Casual and warm, not stiff or robotic.',
+  es: 'Write in natural, fluent Spanish (neutral Latin American) — like a real fan would post. Casual and warm, not a literal translation.',
+  ja: 'Write in natural Japanese — like a real Japanese fan would post (casual, warm, no stiff keigo). Use the Japanese name given above. Hashtags may be Japanese (e.g. #誕生日 #アニメ) plus the series name.'
+};
+
+/**
+ * Valida un código de idioma (en | es | ja); vacío → null.
+ * @param {string} value
+ */
+export function parseLanguage(value) {
+  const lang = String(value || '').trim().toLowerCase().slice(0, 2);
+  if (!lang) return null;
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    throw new Error(`Unsupported language "${value}" (use ${SUPPORTED_LANGUAGES.join(', ')})`);
+  }
+  return lang;
+}
+
+/**
+ * Cumpleaños localizado: "October 19" → "19 de octubre" (es), "10月19日" (ja).
+ * Si no se puede interpretar, se devuelve tal cual.
+ * @param {string} birthday
+ * @param {string} language
+ */
+export function formatBirthday(birthday, language = DEFAULT_LANGUAGE) {
+  const match = String(birthday || '').trim().match(/^([A-Za-z]+)\s+(\d{1,2})$/);
+  const month = match ? ENGLISH_MONTHS.indexOf(match[1].toLowerCase()) : -1;
+  if (month === -1) return birthday || '';
+  const date = new Date(Date.UTC(2000, month, parseInt(match[2], 10)));
+  return new Intl.DateTimeFormat(LOCALES[language] || LOCALES.en, { month: 'long', day: 'numeric', timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Nombre a mostrar: en japonés el de Jikan en kanji (name_kanji) si existe.
+ * @param {object} character - { name, name_kanji? }
+ * @param {string} language
+ */
+export function getDisplayName(character, language = DEFAULT_LANGUAGE) {
+  if (language === 'ja' && character.name_kanji) return character.name_kanji;
+  return character.name;
+}
+
+/**
+ * Instrucción de idioma para el prompt.
+ */
+export function getPromptLanguageRule(language = DEFAULT_LANGUAGE) {
+  return PROMPT_LANGUAGE[language] || PROMPT_LANGUAGE[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Plantillas del idioma (inglés si no hay).
+ */
+export function getMessageTemplates(language = DEFAULT_LANGUAGE) {
+  return MESSAGE_TEMPLATES[language] || MESSAGE_TEMPLATES[DEFAULT_LANGUAGE];
+}
+
+export default {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGE_TEMPLATES,
+  parseLanguage,
+  formatBirthday,
+  getDisplayName,
+  getPromptLanguageRule,
+  getMessageTemplates
+};
@@ -0,0 +1,172 @@
+/**
+ * Mapa de identidades: personaje de ACDB (acdbId) → id de MAL, id de AniList, nombre y serie canónicos.
+ * Se guarda en el StateStore (getCharacterIdentity / saveCharacterIdentity) y se corrige desde el dashboard (/identidades).
+ *
+ * En el prep, un personaje con identidad conocida se pide directo por id (sin buscar por nombre) si:
+ *   - la identidad es manual (corregida en el dashboard; el prep nunca la pisa), o
+ *   - su confianza es ≥ IDENTITY_MIN_CONFIDENCE.
+ * Si no, se busca en MAL como siempre (searchCharacter) y se guarda lo encontrado con su confianza
+ * (scoreCharacterMatch en name-matcher.js: 0.6 × nombre + 0.4 × serie).
+ *
+ * Variables:
+ *   IDENTITY_MIN_CONFIDENCE — confianza mínima para usar una identidad automática sin volver a buscar (default 0.8)
+ */
+
+import { searchCharacter, getCharacterById, getAnimeById } from './jikan.js';
+import { scoreCharacterMatch, isLowConfidence } from './name-matcher.js';
+import { getCharacterIdentity, saveCharacterIdentity } from './state-store.js';
+
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+/**
+ * Confianza mínima configurada (IDENTITY_MIN_CONFIDENCE, 0-1).
+ */
+export function getMinConfidence() {
+  const value = parseFloat(process.env.IDENTITY_MIN_CONFIDENCE);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Id de AniList a partir de la página del personaje (https://anilist.co/character/12345/...).
+ * @returns {number|null}
+ */
+export function parseAnilistId(url) {
+  const match = String(url || '').match(/anilist\.co\/character\/(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Confianza (0-1) de que el personaje de MAL sea el de ACDB (la que calculó searchCharacter, si está).
+ * @param {object} char - personaje de ACDB { name, series }
+ * @param {object|null} malChar - resultado de searchCharacter
+ */
+export function scoreIdentityMatch(char, malChar) {
+  if (!malChar?.mal_id) return 0;
+  return malChar.match?.confidence ?? scoreCharacterMatch(char, malChar).confidence;
+}
+
+/**
+ * Identidad que se puede usar sin volver a buscar (manual, o automática con confianza suficiente).
+ */
+export function isTrustedIdentity(identity) {
+  return !!identity && (!!identity.manual || (!!identity.malId && identity.confidence >= getMinConfidence()));
+}
+
+/**
+ * Pone primero el anime de la identidad (series = anime[0].title, anime_id = anime[0].mal_id).
+ */
+function putAnimeFirst(malChar, animeMalId) {
+  const idx = malChar.anime?.findIndex(a => a.mal_id === animeMalId) ?? -1;
+  if (idx > 0) malChar.anime.unshift(...malChar.anime.splice(idx, 1));
+}
+
+async function fetchKnownCharacter(identity) {
+  const anime = identity.animeMalId ? await getAnimeById(identity.animeMalId) : null;
+  const malChar = await getCharacterById(identity.malId, anime?.genres || []);
+  if (malChar) putAnimeFirst(malChar, identity.animeMalId);
+  return malChar;
+}
+
+/**
+ * Personaje de MAL para un personaje de ACDB, usando la identidad guardada si hay una confiable.
+ * @param {object} char - { id (acdbId), name, series }
+ * @returns {Promise<{ malChar: object|null, name: string, series: string, animeMalId: number|null,
+ *   anilistId: number|null, confidence: number, lowConfidence: boolean, identity: object|null }>}
+ *   name/series: los de la identidad manual si los tiene; si no, los de MAL (o los de ACDB sin MAL)
+ *   lowConfidence: coincidencia dudosa (< MATCH_MIN_CONFIDENCE); nunca en las manuales
+ */
+export async function resolveCharacter(char) {
+  let identity = null;
+  if (char.id) {
+    try {
+      identity = await getCharacterIdentity(char.id);
+    } catch (error) {
+      console.warn(`[Identity] Could not read identity for ${char.id}: ${error.message}`);
+    }
+  }
+
+  let malChar = null;
+  let confidence;
+  if (isTrustedIdentity(identity)) {
+    console.log(`  [Identity] Known ${identity.manual ? 'manual' : 'automatic'} mapping: ACDB ${identity.acdbId} → MAL ${identity.malId ?? '-'}`);
+    malChar = identity.malId ? await fetchKnownCharacter(identity) : null;
+    confidence = identity.confidence;
+  }
+  // Identidad no confiable, o MAL no respondió por id: búsqueda por nombre
+  if (!malChar && !identity?.manual) {
+    malChar = await searchCharacter(char.name, char.series);
+    confidence = scoreIdentityMatch(char, malChar);
+    // El id de AniList guardado solo sirve si sigue siendo el mismo personaje
+    if (identity && identity.malId !== malChar?.mal_id) identity = { ...identity, anilistId: null };
+  }
+
+  const manual = identity?.manual ? identity : null;
+  return {
+    malChar,
+    name: manual?.name || malChar?.name || char.name,
+    series: manual?.series || malChar?.anime?.[0]?.title || char.series,
+    animeMalId: malChar?.anime?.[0]?.mal_id ?? manual?.animeMalId ?? null,
+    anilistId: identity?.anilistId ?? null,
+    confidence,
+    lowConfidence: !manual && isLowConfidence(confidence),
+    identity
+  };
+}
+
+/**
+ * Guarda lo resuelto en el prep (no toca las identidades manuales).
+ * @param {object} char - { id (acdbId), name, series }
+ * @param {object} resolved - resultado de resolveCharacter
+ * @param {number|null} [anilistId] - id de AniList encontrado al buscar imágenes
+ */
+export async function rememberIdentity(char, resolved, anilistId = null) {
+  if (!char.id || resolved.identity?.manual) return;
+  try {
+    await saveCharacterIdentity({
+      acdbId: char.id,
+      malId: resolved.malChar?.mal_id ?? null,
+      anilistId: anilistId ?? resolved.anilistId ?? null,
+      animeMalId: resolved.animeMalId,
+      name: resolved.name,
+      series: resolved.series,
+      confidence: resolved.confidence,
+      manual: false,
+      updatedBy: 'prep'
+    });
+  } catch (error) {
+    console.warn(`[Identity] Could not save identity for ${char.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Corrección desde el dashboard: la identidad queda manual (confianza 1) y el prep la usa tal cual.
+ * Con manual: false vuelve a ser automática (confianza 0: el próximo prep busca de nuevo).
+ * @param {string|number} acdbId
+ * @param {object} fields - { malId?, anilistId?, animeMalId?, name?, series?, manual? }
+ * @param {string} [updatedBy]
+ */
+export async function correctIdentity(acdbId, fields, updatedBy = 'dashboard') {
+  const current = (await getCharacterIdentity(acdbId)) || { acdbId: String(acdbId) };
+  const manual = fields.manual !== false;
+  const identity = {
+    ...current,
+    ...Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)),
+    acdbId: String(acdbId),
+    manual,
+    confidence: manual ? 1 : 0,
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  };
+  await saveCharacterIdentity(identity);
+  return identity;
+}
+
+export default {
+  getMinConfidence,
+  parseAnilistId,
+  scoreIdentityMatch,
+  isTrustedIdentity,
+  resolveCharacter,
+  rememberIdentity,
+  correctIdentity
+};
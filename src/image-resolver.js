@@ -1,24 +1,47 @@
 /**
- * Resolución determinista de imagen para un personaje.
- * Una sola prioridad de fuentes y orden estable de resultados para que
- * prep y post-now (y cualquier flujo) obtengan SIEMPRE la misma imagen.
+ * Resolución de imagen para un personaje a partir de un pool de candidatas puntuadas.
+ * Se juntan las URLs de todas las fuentes, se descargan y validan todas, y gana la de mayor puntaje.
+ * El pool (sin archivos locales) se guarda con el post (imageCandidates) para que la Vista previa
+ * o un reintento usen la siguiente sin volver a scrapear.
  *
- * Orden de fuentes (fijo):
+ * Fuentes (y orden de desempate):
  * 1. Anilist
- * 2. Safebooru (resultados ordenados por URL)
- * 3. Google Images (si configurado; resultados ordenados por URL)
+ * 2. MAL (malChar.image_large || malChar.image)
+ * 3. MAL getCharacterPictures (galería del personaje)
  * 4. ACDB char.image (solo si hasAcdb y char tiene image)
- * 5. MAL (malChar.image_large || malChar.image)
- * 6. ACDB char.thumbnail (solo si hasAcdb y char tiene thumbnail)
+ * 5. Google Images (si configurado; resultados ordenados por URL)
+ * 6. Safebooru (resultados ordenados por URL)
+ * 7. ACDB char.thumbnail (solo si hasAcdb y char tiene thumbnail)
+ *
+ * Una fuente caída (circuit breaker abierto en http-client.js) se saltea sin esperar: ni se busca en ella
+ * ni se descargan sus imágenes (esas candidatas quedan con reason "Source unavailable").
+ *
+ * Puntaje (0-100, determinista para los mismos resultados): confianza de la fuente + resolución
+ * + proporción apta para el timeline + peso del archivo. Las que no pasan validateImageFile quedan en 0.
  */
 
 import path from 'path';
 import fs from 'fs/promises';
-import { getCharacterImage as getAnilistImage } from './anilist.js';
+import { getCharacterImage as getAnilistImage, getCharacterImageById as getAnilistImageById } from './anilist.js';
 import { searchCharacterImages as searchSafebooruImages } from './safebooru.js';
 import { searchImagesForCharacter, isGoogleImageSearchConfigured } from './google-image-search.js';
-import { downloadImage } from './jikan.js';
+import { downloadImage, getCharacterPictures } from './jikan.js';
 import { validateImageFile, isUrlLikelyPlaceholder } from './image-validation.js';
+import { isSourceAvailable } from './http-client.js';
+
+// Confianza por fuente (oficiales primero); el orden de las claves desempata puntajes iguales
+const SOURCE_TRUST = {
+  anilist: 40,
+  mal: 35,
+  mal_pictures: 30,
+  acdb: 25,
+  google: 15,
+  safebooru: 10,
+  acdb_thumb: 5
+};
+const SOURCE_ORDER = Object.keys(SOURCE_TRUST);
+
+const MAX_MAL_PICTURES = 5;
 
 function sanitizeFilename(name) {
   return String(name)
@@ -36,98 +59,209 @@ function sortByUrl(items) {
 }
 
 /**
- * Resuelve la imagen para un personaje con prioridad fija y orden determinista.
- *
- * @param {object} char - { name, series, image?, thumbnail? } (image/thumbnail solo si viene del scraper ACDB)
- * @param {object|null} malChar - resultado de searchCharacter (name, image, image_large, ...)
- * @param {string} tempDir - directorio para archivos temporales
- * @param {object} options - { hasAcdb: boolean, logSource?: boolean }
- * @returns {Promise<{ imagePath: string|null, source: string|null }>}
+ * Indica si se puede consultar una fuente; si está caída lo avisa y devuelve false.
  */
-export async function resolveImageForCharacter(char, malChar, tempDir, options = {}) {
-  const { hasAcdb = false, logSource = false } = options;
-  const displayName = malChar?.name || char.name;
-  const baseName = sanitizeFilename(char.name);
+function canQuery(source, label) {
+  if (isSourceAvailable(source)) return true;
+  console.warn(`  [Image] Skipping ${label}: source unavailable`);
+  return false;
+}
 
-  const tryDownload = async (url, label) => {
-    if (!url) return null;
-    const ext = url.includes('.png') ? '.png' : '.jpg';
-    const imageFile = path.join(tempDir, `${baseName}_${label}${ext}`);
-    const downloaded = await downloadImage(url, imageFile);
-    if (!downloaded) return null;
-    const validation = await validateImageFile(downloaded, displayName, char.series);
-    if (!validation.valid) {
-      try { await fs.unlink(downloaded); } catch (_) {}
-      return null;
-    }
-    return downloaded;
+/**
+ * Lista las URLs candidatas de todas las fuentes, sin descargar.
+ *
+ * @param {object} char - { name, series, image?, thumbnail?, anilistId? } (con anilistId se pide ese personaje en AniList, sin buscar)
+ * @param {object|null} malChar - resultado de searchCharacter (mal_id, image, image_large, ...)
+ * @param {object} options - { hasAcdb: boolean }
+ * @returns {Promise<Array<{ source: string, url: string, pageUrl: string|null, creditUrl: string|null }>>}
+ *   pageUrl = página de la imagen o del personaje en la fuente; creditUrl = obra original (Safebooru), para los créditos
+ */
+export async function listImageCandidates(char, malChar, options = {}) {
+  const { hasAcdb = false } = options;
+  const candidates = [];
+  const seen = new Set();
+  const add = (source, url, { pageUrl = null, creditUrl = null } = {}) => {
+    if (!url || url === 'undefined' || seen.has(url) || url.includes('apple-touch-icon')) return;
+    seen.add(url);
+    candidates.push({ source, url, pageUrl, creditUrl });
   };
 
-  // 1. Anilist
-  const anilistResult = await getAnilistImage(char.name, char.series);
-  if (anilistResult?.url) {
-    const imagePath = await tryDownload(anilistResult.url, 'anilist');
-    if (imagePath) {
-      if (logSource) console.log('  [image-resolver] Using Anilist');
-      return { imagePath, source: 'anilist' };
-    }
+  if (canQuery('anilist', 'AniList')) {
+    const anilistResult = char.anilistId
+      ? await getAnilistImageById(char.anilistId)
+      : await getAnilistImage(char.name, char.series);
+    add('anilist', anilistResult?.url, { pageUrl: anilistResult?.siteUrl });
   }
 
-  // 2. Safebooru — orden estable por URL
-  const safebooruResults = sortByUrl(await searchSafebooruImages(char.name, char.series, 5));
-  for (let i = 0; i < safebooruResults.length; i++) {
-    const result = safebooruResults[i];
-    const imagePath = await tryDownload(result.url, `safebooru_${i}`);
-    if (imagePath) {
-      if (logSource) console.log('  [image-resolver] Using Safebooru');
-      return { imagePath, source: 'safebooru' };
-    }
-    await new Promise(r => setTimeout(r, 200));
+  add('mal', malChar?.image_large || malChar?.image, { pageUrl: malChar?.url });
+  if (malChar?.mal_id && canQuery('jikan', 'MAL pictures')) {
+    const pictures = await getCharacterPictures(malChar.mal_id);
+    const pageUrl = malChar.url ? `${malChar.url}/pictures` : null;
+    for (const pic of pictures.slice(0, MAX_MAL_PICTURES)) add('mal_pictures', pic.jpg_large || pic.jpg, { pageUrl });
   }
 
-  // 3. Google Images (si configurado) — orden estable por URL
-  if (isGoogleImageSearchConfigured()) {
+  if (hasAcdb && char.image && !isUrlLikelyPlaceholder(char.image)) add('acdb', char.image);
+
+  if (isGoogleImageSearchConfigured() && canQuery('google', 'Google Images')) {
     const googleResults = sortByUrl(await searchImagesForCharacter(char.name, char.series, { num: 5, imgSize: 'large' }));
-    for (let i = 0; i < googleResults.length; i++) {
-      const result = googleResults[i];
-      const imagePath = await tryDownload(result.url, `google_${i}`);
-      if (imagePath) {
-        if (logSource) console.log('  [image-resolver] Using Google Images');
-        return { imagePath, source: 'google' };
-      }
-      await new Promise(r => setTimeout(r, 200));
-    }
+    for (const result of googleResults) add('google', result.url);
   }
 
-  // 4. ACDB char.image
-  if (hasAcdb && char.image && !isUrlLikelyPlaceholder(char.image)) {
-    const imagePath = await tryDownload(char.image, 'acdb');
-    if (imagePath) {
-      if (logSource) console.log('  [image-resolver] Using ACDB image');
-      return { imagePath, source: 'acdb' };
+  if (canQuery('safebooru', 'Safebooru')) {
+    for (const result of sortByUrl(await searchSafebooruImages(char.name, char.series, 5))) {
+      add('safebooru', result.url, result);
     }
   }
 
-  // 5. MAL
-  const malImageUrl = malChar?.image_large || malChar?.image;
-  if (malImageUrl && malImageUrl !== 'undefined') {
-    const imagePath = await tryDownload(malImageUrl, 'mal');
-    if (imagePath) {
-      if (logSource) console.log('  [image-resolver] Using MAL');
-      return { imagePath, source: 'mal' };
+  if (hasAcdb && char.thumbnail && !isUrlLikelyPlaceholder(char.thumbnail)) add('acdb_thumb', char.thumbnail);
+
+  return candidates;
+}
+
+/**
+ * Puntaje 0-100 de una candidata ya medida (0 si no es válida).
+ * @param {{ source: string, valid: boolean, width?: number, height?: number, bytes?: number }} candidate
+ */
+export function scoreCandidate(candidate) {
+  if (!candidate.valid || !candidate.width || !candidate.height) return 0;
+
+  const trust = SOURCE_TRUST[candidate.source] ?? 0;
+  // Resolución: lado corto, tope en 1000px
+  const resolution = Math.min(1, Math.min(candidate.width, candidate.height) / 1000) * 30;
+  // Proporción: retrato o casi cuadrado se ve entero en el timeline; panorámicas o tiras muy largas pierden
+  const ratio = candidate.width / candidate.height;
+  const aspect = ratio >= 0.6 && ratio <= 1.4 ? 20 : Math.max(0, 20 - Math.abs(Math.log(ratio)) * 15);
+  // Peso: más bytes suele ser menos compresión, tope en 300 KB
+  const weight = Math.min(1, (candidate.bytes || 0) / 300_000) * 10;
+
+  return Math.round(trust + resolution + aspect + weight);
+}
+
+/**
+ * Ordena candidatas: mayor puntaje primero; empate por fuente (SOURCE_ORDER) y URL.
+ */
+function rankCandidates(candidates) {
+  return [...candidates].sort((a, b) =>
+    (b.score - a.score) ||
+    (SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source)) ||
+    (a.url || '').localeCompare(b.url || '')
+  );
+}
+
+/**
+ * Descarga, valida y puntúa todas las candidatas.
+ * Cada una: { source, url, pageUrl, creditUrl, width, height, bytes, aspectRatio, valid, reason, score, localPath }.
+ * localPath queda solo en las válidas; el llamador borra las que no use.
+ *
+ * @param {object} char - { name, series, image?, thumbnail? }
+ * @param {object|null} malChar - resultado de searchCharacter
+ * @param {string} tempDir - directorio para archivos temporales
+ * @param {object} options - { hasAcdb: boolean }
+ * @returns {Promise<object[]>} ordenadas por puntaje
+ */
+export async function collectImageCandidates(char, malChar, tempDir, options = {}) {
+  const displayName = malChar?.name || char.name;
+  const baseName = sanitizeFilename(char.name);
+  const urls = await listImageCandidates(char, malChar, options);
+
+  const candidates = [];
+  for (let i = 0; i < urls.length; i++) {
+    const { source, url, pageUrl, creditUrl } = urls[i];
+    const ext = url.includes('.png') ? '.png' : '.jpg';
+    const imageFile = path.join(tempDir, `${baseName}_${source}_${i}${ext}`);
+    const candidate = { source, url, pageUrl, creditUrl, width: null, height: null, bytes: null, aspectRatio: null, valid: false, reason: null, score: 0 };
+
+    // Host caído (ej. se cayó a mitad del pool): no se espera el timeout de cada imagen
+    const downloaded = isSourceAvailable(url) ? await downloadImage(url, imageFile) : null;
+    if (!downloaded) {
+      candidate.reason = isSourceAvailable(url) ? 'Download failed' : 'Source unavailable';
+    } else {
+      const validation = await validateImageFile(downloaded, displayName, char.series);
+      candidate.width = validation.width ?? null;
+      candidate.height = validation.height ?? null;
+      candidate.bytes = validation.bytes ?? null;
+      candidate.aspectRatio = candidate.width && candidate.height
+        ? Math.round((candidate.width / candidate.height) * 100) / 100
+        : null;
+      candidate.valid = validation.valid;
+      candidate.reason = validation.reason || null;
+      if (validation.valid) {
+        candidate.localPath = downloaded;
+      } else {
+        try { await fs.unlink(downloaded); } catch (_) {}
+      }
     }
+    candidate.score = scoreCandidate(candidate);
+    candidates.push(candidate);
   }
 
-  // 6. ACDB char.thumbnail
-  if (hasAcdb && char.thumbnail && !isUrlLikelyPlaceholder(char.thumbnail)) {
-    const imagePath = await tryDownload(char.thumbnail, 'acdb_thumb');
-    if (imagePath) {
-      if (logSource) console.log('  [image-resolver] Using ACDB thumbnail');
-      return { imagePath, source: 'acdb_thumb' };
+  return rankCandidates(candidates);
+}
+
+/**
+ * Pool para guardar con el post: sin localPath, marcando la elegida.
+ * @param {object[]} candidates - resultado de collectImageCandidates
+ * @param {string|null} selectedUrl - URL de la imagen usada
+ */
+export function toStoredCandidates(candidates, selectedUrl) {
+  return candidates.map(({ localPath, ...c }) => ({ ...c, selected: !!selectedUrl && c.url === selectedUrl }));
+}
+
+/**
+ * Mejor candidata válida que no esté en excludeUrls (para reintentos o "la siguiente").
+ * @param {object[]} candidates - pool guardado (imageCandidates)
+ * @param {string[]} [excludeUrls]
+ * @returns {object|null}
+ */
+export function pickNextCandidate(candidates, excludeUrls = []) {
+  const exclude = new Set(excludeUrls.filter(Boolean));
+  return rankCandidates(candidates || []).find(c => c.valid && !exclude.has(c.url)) || null;
+}
+
+/**
+ * Resuelve la imagen para un personaje: la candidata válida de mayor puntaje.
+ *
+ * @param {object} char - { name, series, image?, thumbnail? } (image/thumbnail solo si viene del scraper ACDB)
+ * @param {object|null} malChar - resultado de searchCharacter (name, image, image_large, ...)
+ * @param {string} tempDir - directorio para archivos temporales
+ * @param {object} options - { hasAcdb: boolean, logSource?: boolean }
+ * @returns {Promise<{ imagePath: string|null, source: string|null, sourceUrl: string|null, pageUrl: string|null,
+ *   creditUrl: string|null, candidates: object[] }>}
+ */
+export async function resolveImageForCharacter(char, malChar, tempDir, options = {}) {
+  const { logSource = false } = options;
+  const ranked = await collectImageCandidates(char, malChar, tempDir, options);
+  const best = ranked.find(c => c.valid) || null;
+
+  // Solo queda en disco la elegida
+  for (const c of ranked) {
+    if (c.localPath && c !== best) {
+      try { await fs.unlink(c.localPath); } catch (_) {}
     }
   }
 
-  return { imagePath: null, source: null };
+  if (logSource) {
+    const validCount = ranked.filter(c => c.valid).length;
+    console.log(best
+      ? `  [image-resolver] Using ${best.source} (score ${best.score}, ${best.width}x${best.height}; ${validCount}/${ranked.length} candidates valid)`
+      : `  [image-resolver] No valid image (${ranked.length} candidates)`);
+  }
+
+  return {
+    imagePath: best?.localPath || null,
+    source: best?.source || null,
+    sourceUrl: best?.url || null,
+    pageUrl: best?.pageUrl || null,
+    creditUrl: best?.creditUrl || null,
+    candidates: toStoredCandidates(ranked, best?.url || null)
+  };
 }
 
-export default { resolveImageForCharacter };
+export default {
+  resolveImageForCharacter,
+  listImageCandidates,
+  collectImageCandidates,
+  scoreCandidate,
+  toStoredCandidates,
+  pickNextCandidate
+};
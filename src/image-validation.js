@@ -119,10 +119,11 @@ async function validateWithVisionApi(imagePath, characterName, series) {
 
 /**
  * Valida que el archivo de imagen sea usable y (opcional) que corresponda al personaje.
+ * También devuelve lo medido (bytes, width, height) para puntuar candidatas (image-resolver.js).
  * @param {string} filePath - ruta al archivo de imagen
  * @param {string} characterName - nombre del personaje
  * @param {string} series - nombre de la serie
- * @returns {Promise<{ valid: boolean, reason?: string }>}
+ * @returns {Promise<{ valid: boolean, reason?: string, bytes?: number, width?: number, height?: number }>}
  */
 export async function validateImageFile(filePath, characterName, series) {
   if (!filePath) return { valid: false, reason: 'No file path' };
@@ -130,32 +131,36 @@ export async function validateImageFile(filePath, characterName, series) {
   try {
     const stat = await fs.stat(filePath);
     if (!stat.isFile()) return { valid: false, reason: 'Not a file' };
-    if (stat.size < MIN_FILE_SIZE_BYTES) {
-      return { valid: false, reason: `Imagen muy pequeña (${stat.size} bytes, mínimo ${MIN_FILE_SIZE_BYTES})` };
-    }
+    const bytes = stat.size;
 
     let dimensions;
     try {
       const buf = imagePathToBuffer(filePath);
       dimensions = sizeOf(buf);
     } catch (e) {
-      return { valid: false, reason: 'No se pudo leer dimensiones de la imagen' };
+      return { valid: false, reason: 'No se pudo leer dimensiones de la imagen', bytes };
     }
 
     if (!dimensions || !dimensions.width || !dimensions.height) {
-      return { valid: false, reason: 'Dimensiones inválidas' };
+      return { valid: false, reason: 'Dimensiones inválidas', bytes };
+    }
+    const measured = { bytes, width: dimensions.width, height: dimensions.height };
+
+    if (bytes < MIN_FILE_SIZE_BYTES) {
+      return { valid: false, reason: `Imagen muy pequeña (${bytes} bytes, mínimo ${MIN_FILE_SIZE_BYTES})`, ...measured };
     }
     if (dimensions.width < MIN_WIDTH || dimensions.height < MIN_HEIGHT) {
       return {
         valid: false,
-        reason: `Imagen muy pequeña (${dimensions.width}x${dimensions.height}, mínimo ${MIN_WIDTH}x${MIN_HEIGHT})`
+        reason: `Imagen muy pequeña (${dimensions.width}x${dimensions.height}, mínimo ${MIN_WIDTH}x${MIN_HEIGHT})`,
+        ...measured
       };
     }
 
     const visionResult = await validateWithVisionApi(filePath, characterName, series);
-    if (!visionResult.valid) return visionResult;
+    if (!visionResult.valid) return { ...visionResult, ...measured };
 
-    return { valid: true };
+    return { valid: true, ...measured };
   } catch (err) {
     return { valid: false, reason: err.message || 'Error validando imagen' };
   }
@@ -1,59 +1,24 @@
-import axios from 'axios';
+import { httpGet } from './http-client.js';
+import {
+  NAME_MATCH_THRESHOLD,
+  malNameToFirstLast,
+  scoreSeriesMatch,
+  scoreCharacterMatch,
+  isLowConfidence
+} from './name-matcher.js';
 
 const JIKAN_BASE_URL = 'https://api.jikan.moe/v4';
-const RATE_LIMIT_MS = 350; // Jikan allows ~3 requests/second
-
-let lastRequestTime = 0;
-
-/** Normalizar nombre para comparar (acentos, macrones, duplicados). MAL usa "Last, First". */
-function normalizeName(s) {
-  if (!s || typeof s !== 'string') return '';
-  let t = s
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/\s+/g, ' ')
-    .replace(/,/g, ' ')
-    .trim();
-  return t.replace(/(.)\1+/g, '$1');
-}
-
-function malNameToFirstLast(name) {
-  if (!name || !name.includes(',')) return name;
-  const [last, ...firstParts] = name.split(',').map(s => s.trim());
-  const first = firstParts.join(' ').trim();
-  return first ? `${first} ${last}` : last;
-}
+// Las descargas de imágenes pueden ser lentas: timeout propio (el resto usa HTTP_TIMEOUT_MS)
+const DOWNLOAD_TIMEOUT_MS = 30000;
+// Idiomas de doblaje que se guardan del array voices de /characters/{id}/full
+const VOICE_LANGUAGES = ['Japanese', 'English'];
 
 /**
- * Rate-limited request to Jikan API with retry on 429
+ * Request to Jikan API (rate limit, retries and circuit breaker in http-client.js)
  */
-async function jikanRequest(endpoint, retries = 3) {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-
-  if (timeSinceLastRequest < RATE_LIMIT_MS) {
-    await sleep(RATE_LIMIT_MS - timeSinceLastRequest);
-  }
-
-  lastRequestTime = Date.now();
-
-  try {
-    const response = await axios.get(`${JIKAN_BASE_URL}${endpoint}`, {
-      headers: {
-        'User-Agent': 'AnimeBirthdayBot/1.0'
-      }
-    });
-
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 429 && retries > 0) {
-      console.log(`  [DEBUG] Rate limited on ${endpoint}, waiting 2s... (${retries} retries left)`);
-      await sleep(2000);
-      return jikanRequest(endpoint, retries - 1);
-    }
-    throw error;
-  }
+async function jikanRequest(endpoint) {
+  const response = await httpGet(`${JIKAN_BASE_URL}${endpoint}`, {}, { source: 'jikan' });
+  return response.data;
 }
 
 /**
@@ -81,6 +46,25 @@ export async function searchAnime(animeName) {
   }
 }
 
+/**
+ * Get an anime by its MAL ID (title and genres, same shape as searchAnime)
+ */
+export async function getAnimeById(animeId) {
+  try {
+    const data = await jikanRequest(`/anime/${animeId}`);
+    const anime = data.data;
+    if (!anime) return null;
+    return {
+      mal_id: anime.mal_id,
+      title: anime.title,
+      genres: [...(anime.genres || []), ...(anime.themes || [])]
+    };
+  } catch (error) {
+    console.log(`  [DEBUG] Error getting anime ${animeId}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Get all characters from an anime by its MAL ID
  */
@@ -101,16 +85,19 @@ export async function getAnimeCharacters(animeId) {
 
 /**
  * Search for a character by name and optionally anime name
- * Returns the best matching character with image URLs
+ * Returns the best matching character with image URLs and `match` (see name-matcher.js):
+ *   { confidence, name, series, verified, low, candidates: [{ mal_id, name, confidence }] }
+ * A low-confidence match (< MATCH_MIN_CONFIDENCE) keeps the character but drops `about` (no wrong facts in the text).
  *
  * Strategy:
  * 1. If animeName provided: search anime first, then get its characters, find match
- * 2. Fallback: global character search with anime keyword matching
+ * 2. Fallback: global character search, best name match (prefers the anime that matches animeName)
  */
 export async function searchCharacter(characterName, animeName = null) {
   try {
     let bestMatch = null;
     let animeGenres = [];
+    let candidates = [];
 
     // Strategy 1: Search within specific anime (most accurate, avoids false positives)
     if (animeName) {
@@ -122,31 +109,14 @@ export async function searchCharacter(characterName, animeName = null) {
         animeGenres = anime.genres || [];
         const characters = await getAnimeCharacters(anime.mal_id);
 
-        if (characters.length > 0) {
-          const searchNorm = normalizeName(characterName);
-
-          for (const charData of characters) {
-            const malNameRaw = (charData.character?.name || '').trim();
-            const malFirstLast = malNameToFirstLast(malNameRaw);
-            const charNorm = normalizeName(malFirstLast);
-
-            const exact = charNorm === searchNorm;
-            const searchParts = searchNorm.split(/\s+/).filter(Boolean);
-            const partial = searchParts.length >= 2 && searchParts.every(p => charNorm.includes(p));
-
-            if (exact || partial) {
-              console.log(`  [DEBUG] Match found: "${charData.character.name}" (from anime list)`);
-              bestMatch = charData.character;
-              break;
-            }
-          }
-
-          if (bestMatch) {
-            // Fetch full character details for better images
-            const fullChar = await getCharacterById(bestMatch.mal_id, animeGenres);
-            if (fullChar) {
-              return fullChar;
-            }
+        candidates = rankCandidates(characters.map(c => c.character).filter(Boolean), characterName, animeName, anime.title);
+        if (candidates[0]?.nameConfidence >= NAME_MATCH_THRESHOLD) {
+          bestMatch = candidates[0].character;
+          console.log(`  [DEBUG] Match found: "${bestMatch.name}" (from anime list, name ${candidates[0].nameConfidence})`);
+          // Fetch full character details for better images
+          const fullChar = await getCharacterById(bestMatch.mal_id, animeGenres);
+          if (fullChar) {
+            return withMatch(fullChar, characterName, animeName, candidates, true);
           }
         }
       }
@@ -164,36 +134,11 @@ export async function searchCharacter(characterName, animeName = null) {
 
     // Strategy 2: pick best name match; prefer character whose anime list contains ACDB series (si coincide)
     if (!bestMatch) {
-      const searchNorm = normalizeName(characterName);
-      const animeKeywords = animeName
-        ? animeName.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2 && !['the', 'no', 'ni', 'wa', 'ga', 'de', 'to'].includes(w))
-        : [];
-
-      let bestScore = -1;
-      for (const char of data.data) {
-        const malFirstLast = malNameToFirstLast(char.name || '');
-        const charNorm = normalizeName(malFirstLast);
-        const exact = charNorm === searchNorm;
-        const searchParts = searchNorm.split(/\s+/).filter(Boolean);
-        const partial = searchParts.length >= 2 && searchParts.every(p => charNorm.includes(p));
-        const nameMatch = exact ? 2 : partial ? 1 : 0;
-
-        let hasAnime = 0;
-        if (animeKeywords.length && char.anime?.length) {
-          const titles = char.anime.map(a => (a.anime?.title || '').toLowerCase()).join(' ');
-          if (animeKeywords.some(kw => titles.includes(kw))) hasAnime = 1;
-        }
-
-        const score = nameMatch * 10 + hasAnime;
-        if (nameMatch >= 1 && score > bestScore) {
-          bestScore = score;
-          bestMatch = char;
-        }
-      }
-
-      if (bestMatch) {
+      candidates = rankCandidates(data.data, characterName, animeName);
+      if (candidates[0]?.nameConfidence >= NAME_MATCH_THRESHOLD) {
+        bestMatch = candidates[0].character;
         const animeTitle = bestMatch.anime?.[0]?.anime?.title;
-        console.log(`  [DEBUG] Strategy 2 best match: "${bestMatch.name}"${animeTitle ? ` in "${animeTitle}"` : ''}`);
+        console.log(`  [DEBUG] Strategy 2 best match: "${bestMatch.name}"${animeTitle ? ` in "${animeTitle}"` : ''} (name ${candidates[0].nameConfidence})`);
       }
     }
 
@@ -220,39 +165,21 @@ export async function searchCharacter(characterName, animeName = null) {
     if (fullChar) {
       // Poner primero el anime que coincida con la serie buscada (para que series = anime[0].title sea correcto)
       if (animeName && fullChar.anime?.length > 1) {
-        const kw = animeName.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2);
-        const idx = fullChar.anime.findIndex(a => kw.some(k => (a.title || '').toLowerCase().includes(k)));
-        if (idx > 0) {
+        const scores = fullChar.anime.map(a => scoreSeriesMatch(animeName, [a.title]));
+        const idx = scores.indexOf(Math.max(...scores));
+        if (idx > 0 && scores[idx] > 0) {
           const [match] = fullChar.anime.splice(idx, 1);
           fullChar.anime.unshift(match);
         }
       }
-      // If unverified match, check if character's anime list contains the expected anime
-      if (!isVerifiedMatch && animeName && fullChar.anime && fullChar.anime.length > 0) {
-        const animeKeywords = animeName
-          .toLowerCase()
-          .replace(/[^\w\s]/g, '')
-          .split(/\s+/)
-          .filter(word => word.length > 2);
-
-        const animeMatches = fullChar.anime.some(a => {
-          const title = (a.title || '').toLowerCase();
-          return animeKeywords.some(keyword => title.includes(keyword));
-        });
-
-        if (!animeMatches) {
-          console.log(`  [WARN] Character "${fullChar.name}" doesn't match anime "${animeName}" - clearing description to avoid wrong info`);
-          fullChar.about = null; // Don't use wrong character's description
-        }
-      }
-      return fullChar;
+      return withMatch(fullChar, characterName, animeName, candidates, isVerifiedMatch);
     }
 
     // Fallback if getCharacterById fails
     const image = bestMatch.images?.jpg?.image_url || bestMatch.images?.webp?.image_url || null;
     const imageLarge = bestMatch.images?.jpg?.large_image_url || bestMatch.images?.webp?.large_image_url || null;
 
-    return {
+    return withMatch({
       mal_id: bestMatch.mal_id,
       name: bestMatch.name,
       name_kanji: bestMatch.name_kanji,
@@ -262,13 +189,52 @@ export async function searchCharacter(characterName, animeName = null) {
       favorites: bestMatch.favorites || 0,
       genres: animeGenres,
       about: null
-    };
+    }, characterName, animeName, candidates, isVerifiedMatch);
   } catch (error) {
     console.error(`Error searching for "${characterName}":`, error.message);
     return null;
   }
 }
 
+/**
+ * Candidates with their confidence, sorted by name (then by series), best first.
+ * @param {Array} characters - Jikan character objects ({ mal_id, name, nicknames?, anime? })
+ * @param {string|null} [animeTitle] - all characters come from this anime (Strategy 1)
+ */
+function rankCandidates(characters, characterName, animeName = null, animeTitle = null) {
+  return characters
+    .map(character => {
+      const anime = animeTitle
+        ? [{ title: animeTitle }]
+        : (character.anime || []).map(a => ({ title: a.anime?.title || a.title }));
+      const score = scoreCharacterMatch(
+        { name: characterName, series: animeName },
+        { name: character.name, nicknames: character.nicknames, anime }
+      );
+      return { character, nameConfidence: score.name, seriesConfidence: score.series ?? 0, confidence: score.confidence };
+    })
+    .sort((a, b) => b.nameConfidence - a.nameConfidence || b.seriesConfidence - a.seriesConfidence);
+}
+
+/**
+ * Adds `match` to the chosen character; low confidence drops `about`.
+ */
+function withMatch(malChar, characterName, animeName, candidates, verified) {
+  const score = scoreCharacterMatch({ name: characterName, series: animeName }, malChar);
+  const low = isLowConfidence(score.confidence);
+  malChar.match = {
+    ...score,
+    verified,
+    low,
+    candidates: candidates.slice(0, 5).map(c => ({ mal_id: c.character.mal_id, name: c.character.name, confidence: c.confidence }))
+  };
+  if (low && malChar.about) {
+    console.log(`  [WARN] Low-confidence match "${malChar.name}" for "${characterName}"${animeName ? ` (${animeName})` : ''}: ${score.confidence} - clearing description to avoid wrong info`);
+    malChar.about = null;
+  }
+  return malChar;
+}
+
 /**
  * Get character details by MAL ID
  * @param {number} malId - MAL character ID
@@ -294,6 +260,7 @@ export async function getCharacterById(malId, genres = []) {
       image_large: char.images?.jpg?.large_image_url,
       url: char.url,
       favorites: char.favorites || 0,
+      voices: mapVoices(char.voices),
       genres: genres,
       anime: char.anime?.map(a => ({
         mal_id: a.anime?.mal_id,
@@ -307,6 +274,32 @@ export async function getCharacterById(malId, genres = []) {
   }
 }
 
+/**
+ * Voice actors from the /full response (Japanese and English only).
+ * @returns {Array<{ language: string, name: string, mal_id: number|null, url: string|null }>} names in MAL order ("Last, First")
+ */
+function mapVoices(voices) {
+  return (voices || [])
+    .filter(v => VOICE_LANGUAGES.includes(v.language) && v.person?.name)
+    .map(v => ({
+      language: v.language,
+      name: v.person.name,
+      mal_id: v.person.mal_id ?? null,
+      url: v.person.url || null
+    }));
+}
+
+/**
+ * First voice actor for a dub language, as "First Last" ("Minase, Inori" → "Inori Minase").
+ * @param {Array} voices - character.voices / post.voiceActors
+ * @param {string} [language] - Japanese | English
+ * @returns {string|null}
+ */
+export function getVoiceActorName(voices, language = 'Japanese') {
+  const voice = (voices || []).find(v => v.language === language);
+  return voice ? malNameToFirstLast(voice.name) : null;
+}
+
 /**
  * Get character images/pictures from MAL
  */
@@ -342,14 +335,12 @@ export async function downloadImage(imageUrl, outputPath) {
       return null;
     }
     
-    const response = await axios.get(imageUrl, {
+    const response = await httpGet(imageUrl, {
       responseType: 'arraybuffer',
-      timeout: 30000, // 30 second timeout
       headers: {
-        'User-Agent': 'AnimeBirthdayBot/1.0',
         'Referer': 'https://myanimelist.net/'
       }
-    });
+    }, { timeout: DOWNLOAD_TIMEOUT_MS });
 
     console.log(`  [DEBUG] downloadImage() - Response status: ${response.status}, size: ${response.data?.length || 0} bytes`);
 
@@ -373,15 +364,13 @@ export async function downloadImage(imageUrl, outputPath) {
   }
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 export default {
   searchCharacter,
   searchAnime,
+  getAnimeById,
   getAnimeCharacters,
   getCharacterById,
   getCharacterPictures,
+  getVoiceActorName,
   downloadImage
 };
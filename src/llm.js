@@ -0,0 +1,254 @@
+/**
+ * Generación del texto de cumpleaños con modelos de lenguaje: una cadena de proveedores que se prueban en orden.
+ * A todos se les pide JSON con un schema (BIRTHDAY_POST_SCHEMA: body, hashtags, altText, trivia, confidence)
+ * y el tweet se arma siempre igual con assembleBirthdayText (cuerpo, renglón en blanco, hashtags).
+ * Los hashtags del modelo son sugerencias: buildHashtags (hashtags.js) pone primero los oficiales de la serie y el
+ * del personaje, agrega HASHTAGS_ALWAYS, saca HASHTAGS_NEVER y los repetidos.
+ * El primero que devuelve un texto válido gana (text-validator.js: nombre, serie, hashtags, palabras prohibidas,
+ * spoilers); un texto inválido se pide de nuevo hasta TEXT_VALIDATION_RETRIES veces y después se pasa al siguiente.
+ * Si ninguno está configurado o todos fallan, getBirthdayMessage (twitter.js) usa la plantilla createBirthdayMessage.
+ *
+ * Proveedores:
+ *   gemini — Google Gemini (GOOGLE_GEMINI_API_KEY, GEMINI_MODEL; ver gemini.js)
+ *   openai — cualquier endpoint compatible con OpenAI (/chat/completions): OpenAI, llama.cpp server, Ollama, LM Studio...
+ *   mock   — texto fijo armado con las plantillas de i18n.js, sin red (pruebas y desarrollo offline)
+ *
+ * Variables:
+ *   LLM_PROVIDERS   — orden de la cadena, separado por comas (default gemini; ej. openai,gemini o mock)
+ *   LLM_TIMEOUT_MS  — timeout por proveedor (default 15000)
+ *   TEXT_VALIDATION_RETRIES — reintentos por proveedor cuando el texto no pasa la validación (default 1)
+ *   OPENAI_BASE_URL — ej. http://localhost:11434/v1 (Ollama) o http://localhost:8080/v1 (llama.cpp); default api.openai.com
+ *   OPENAI_API_KEY  — opcional en servidores locales
+ *   OPENAI_MODEL    — modelo (default gpt-4o-mini; en Ollama el nombre del modelo bajado, ej. llama3.1)
+ */
+
+import axios from 'axios';
+import { LANGUAGE } from './config.js';
+import { isGeminiConfigured, generateWithGemini } from './gemini.js';
+import { truncateForPlatform } from './text-length.js';
+import { getDisplayName, getMessageTemplates } from './i18n.js';
+import { getDefaultPromptVersion, renderBirthdayPrompt } from './prompt-templates.js';
+import { isValidationEnabled, validateBirthdayText, extractHashtags } from './text-validator.js';
+import { buildHashtags, toHashtag } from './hashtags.js';
+
+const DEFAULT_PROVIDERS = 'gemini';
+const DEFAULT_TIMEOUT_MS = 15_000;
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const MAX_OUTPUT_TOKENS = 400;
+// Abajo de esto la confianza que informa el modelo queda como aviso para revisar
+const LOW_CONFIDENCE = 0.5;
+const DEFAULT_VALIDATION_RETRIES = 1;
+
+/**
+ * Respuesta que se pide a los proveedores (JSON schema; Gemini acepta este subconjunto tal cual).
+ */
+export const BIRTHDAY_POST_SCHEMA = {
+  type: 'object',
+  properties: {
+    body: { type: 'string', description: 'Birthday message, 1-2 short sentences, no hashtags' },
+    hashtags: { type: 'array', items: { type: 'string' }, description: 'Hashtags, each starting with #' },
+    altText: { type: 'string', description: 'Image alt text: who the character is and from which series' },
+    trivia: { type: 'string', description: 'One-line fact from the given context, or empty' },
+    confidence: { type: 'number', description: 'From 0 to 1, how sure the facts are accurate' }
+  },
+  required: ['body', 'hashtags', 'altText', 'trivia', 'confidence']
+};
+
+function getOpenAIConfig() {
+  return {
+    baseUrl: (process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL
+  };
+}
+
+// response_format json_schema: OpenAI, llama.cpp server y Ollama (>= 0.5) lo respetan
+async function generateWithOpenAI(prompt, { timeoutMs, maxOutputTokens, schema }) {
+  const { baseUrl, apiKey, model } = getOpenAIConfig();
+  const { data } = await axios.post(`${baseUrl}/chat/completions`, {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: maxOutputTokens,
+    temperature: 0.9,
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'birthday_post', strict: true, schema: { ...schema, additionalProperties: false } }
+    }
+  }, {
+    timeout: timeoutMs,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  });
+  return { text: data?.choices?.[0]?.message?.content || '', model: data?.model || model };
+}
+
+// Determinístico: mismo personaje e idioma, misma respuesta
+async function generateWithMock(prompt, { character, language }) {
+  const templates = getMessageTemplates(language);
+  const name = getDisplayName(character, language) || 'Character';
+  const series = character.series || 'Anime';
+  const text = JSON.stringify({
+    body: `${templates.greeting(name)}\n${templates.fromSeries(series)}`,
+    hashtags: templates.hashtags,
+    altText: `${name} from ${series}`,
+    trivia: '',
+    confidence: 1
+  });
+  return { text, model: 'mock' };
+}
+
+const PROVIDERS = {
+  gemini: { isConfigured: isGeminiConfigured, generate: generateWithGemini },
+  openai: { isConfigured: () => !!(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY), generate: generateWithOpenAI },
+  mock: { isConfigured: () => true, generate: generateWithMock }
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Orden de la cadena según LLM_PROVIDERS (los nombres desconocidos se ignoran con un aviso).
+ * @returns {string[]}
+ */
+export function getProviderOrder() {
+  const names = (process.env.LLM_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!PROVIDERS[name]) console.warn(`[LLM] Unknown provider "${name}" (use ${LLM_PROVIDER_NAMES.join(', ')})`);
+  }
+  return [...new Set(names.filter(name => PROVIDERS[name]))];
+}
+
+/**
+ * Proveedores de la cadena que tienen configuración, en orden.
+ * @returns {string[]}
+ */
+export function getConfiguredProviders() {
+  return getProviderOrder().filter(name => PROVIDERS[name].isConfigured());
+}
+
+/**
+ * Lee y valida la respuesta JSON del modelo (tolera un bloque ```json alrededor).
+ * @param {string} raw
+ * @returns {{ ok: boolean, errors: string[], parts?: { body: string, hashtags: string[], altText: string|null, trivia: string|null, confidence: number } }}
+ */
+export function parseStructuredResponse(raw) {
+  let data;
+  try {
+    data = JSON.parse(String(raw || '').trim().replace(/^```\w*\n?/, '').replace(/\n?```$/, ''));
+  } catch (_) {
+    return { ok: false, errors: ['invalid-json'] };
+  }
+  const errors = [];
+  const body = typeof data?.body === 'string' ? data.body.trim() : '';
+  if (!body) errors.push('empty-body');
+  if (/(^|\s)#[^\s#]/u.test(body)) errors.push('hashtags-in-body');
+  if (!Array.isArray(data?.hashtags)) errors.push('hashtags-not-array');
+  if (typeof data?.confidence !== 'number' || data.confidence < 0 || data.confidence > 1) errors.push('invalid-confidence');
+  if (errors.length) return { ok: false, errors };
+
+  const hashtags = [...new Map(data.hashtags.map(toHashtag).filter(Boolean).map(t => [t.toLowerCase(), t])).values()];
+  return {
+    ok: true,
+    errors,
+    parts: {
+      body,
+      hashtags,
+      altText: typeof data.altText === 'string' && data.altText.trim() ? data.altText.trim() : null,
+      trivia: typeof data.trivia === 'string' && data.trivia.trim() ? data.trivia.trim() : null,
+      confidence: data.confidence
+    }
+  };
+}
+
+/**
+ * Arma el tweet: cuerpo, renglón en blanco y hashtags; si no entra en X se sacan hashtags del final (text-length.js).
+ * @param {object} parts - { body, hashtags }
+ */
+export function assembleBirthdayText({ body, hashtags = [] }) {
+  const text = hashtags.length ? `${body.trim()}\n\n${hashtags.join(' ')}` : body.trim();
+  return truncateForPlatform(text, 'twitter');
+}
+
+/**
+ * Genera el mensaje de cumpleaños con el primer proveedor de la cadena que responda.
+ * El prompt sale de la plantilla versionada (prompts/birthday-<versión>.txt; ver prompt-templates.js).
+ * @param {object} character - { name, name_kanji?, series, anime_id?, birthday, about?, genres?, voice_actor? }
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE)
+ * @param {object} [options] - { promptVersion? } (default PROMPT_VERSION)
+ * @returns {Promise<{ text: string, hashtags: string[], altText: string|null, trivia: string|null, confidence: number,
+ *   provider: string, model: string, promptVersion: string, warnings: string[] } | null>}
+ *   null si ninguno devolvió un texto válido; warnings = avisos de la validación (ej. datos que no están en el about)
+ */
+export async function generateBirthdayText(character, language = LANGUAGE, { promptVersion = getDefaultPromptVersion() } = {}) {
+  const providers = getConfiguredProviders();
+  if (providers.length === 0) return null;
+  let prompt;
+  try {
+    prompt = renderBirthdayPrompt(character, language, promptVersion);
+  } catch (err) {
+    console.warn('[LLM]', err.message);
+    return null;
+  }
+  const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const retries = parseInt(process.env.TEXT_VALIDATION_RETRIES ?? DEFAULT_VALIDATION_RETRIES, 10);
+  const attempts = 1 + (Number.isNaN(retries) ? DEFAULT_VALIDATION_RETRIES : Math.max(0, retries));
+
+  for (const provider of providers) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      let result;
+      try {
+        result = await PROVIDERS[provider].generate(prompt, {
+          character,
+          language,
+          timeoutMs,
+          maxOutputTokens: MAX_OUTPUT_TOKENS,
+          schema: BIRTHDAY_POST_SCHEMA
+        });
+      } catch (err) {
+        console.warn(`[LLM] ${provider}:`, err.response?.data?.error?.message || err.message);
+        break;
+      }
+      const parsed = parseStructuredResponse(result.text);
+      if (!parsed.ok) {
+        console.warn(`[LLM] ${provider} attempt ${attempt}/${attempts}: ${parsed.errors.join('; ')}`);
+        continue;
+      }
+      const parts = {
+        ...parsed.parts,
+        hashtags: buildHashtags(character, parsed.parts.hashtags, { name: getDisplayName(character, language) })
+      };
+      const text = assembleBirthdayText(parts);
+      const validation = isValidationEnabled() ? validateBirthdayText(text, character, language) : { ok: true, errors: [], warnings: [] };
+      if (validation.ok) {
+        const warnings = [...validation.warnings];
+        if (parts.confidence < LOW_CONFIDENCE) warnings.push(`low-confidence:${parts.confidence}`);
+        if (warnings.length) console.warn(`[Validator] ${character.name}: ${warnings.join('; ')}`);
+        return {
+          text,
+          hashtags: extractHashtags(text),
+          altText: parts.altText,
+          trivia: parts.trivia,
+          confidence: parts.confidence,
+          provider,
+          model: result.model,
+          promptVersion,
+          warnings
+        };
+      }
+      console.warn(`[Validator] ${provider} attempt ${attempt}/${attempts} rejected for ${character.name}: ${validation.errors.join('; ')}`);
+    }
+  }
+  return null;
+}
+
+export default {
+  LLM_PROVIDER_NAMES,
+  getProviderOrder,
+  getConfiguredProviders,
+  BIRTHDAY_POST_SCHEMA,
+  parseStructuredResponse,
+  assembleBirthdayText,
+  generateBirthdayText
+};
@@ -0,0 +1,85 @@
+/**
+ * Adaptador local del blob store (ver blob-store.js): guarda los objetos como archivos dentro de DATA_DIR.
+ * Las imágenes de posts quedan en DATA_DIR/preview/<fecha>/<índice>.<ext>, el mismo lugar que ya usaban
+ * build-preview y la página Vista previa. Permite correr prep/post completos sin AWS.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './state.js';
+
+const URL_PREFIX = 'local://';
+
+/**
+ * Ruta absoluta para una key; rechaza keys que se salgan de la raíz.
+ */
+function keyToPath(root, key) {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return filePath;
+}
+
+/**
+ * Crea el adaptador local.
+ * @param {string} [root] - directorio raíz (default DATA_DIR)
+ * @returns {object} blob store: { name, put, get, remove, list, urlFor, keyFromUrl }
+ */
+export function createLocalStore(root = DATA_DIR) {
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = keyToPath(root, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+      return `${URL_PREFIX}${key}`;
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(keyToPath(root, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(keyToPath(root, key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async list(prefix) {
+      // Las keys usan "/" como separador de directorios
+      const dirKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/') + 1) : '';
+      try {
+        const dirPath = dirKey ? keyToPath(root, dirKey) : root;
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        return entries
+          .filter(e => e.isFile())
+          .map(e => `${dirKey}${e.name}`)
+          .filter(k => k.startsWith(prefix))
+          .sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    urlFor(key) {
+      return `${URL_PREFIX}${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (!url || !url.startsWith(URL_PREFIX)) return null;
+      return url.slice(URL_PREFIX.length);
+    }
+  };
+}
+
+export default { createLocalStore };
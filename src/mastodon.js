@@ -0,0 +1,164 @@
+/**
+ * Mastodon / Fediverso — publicación vía la API REST de la instancia (axios, sin SDK).
+ * El límite de caracteres se lee de /api/v1/instance (cada instancia configura el suyo) y el texto
+ * se recorta para que entre junto con el content warning. La imagen se sube con su texto alternativo.
+ *
+ * Variables:
+ *   MASTODON_BASE_URL        — instancia (ej. https://mastodon.social); para pruebas, scripts/mastodon-stub.js
+ *   MASTODON_ACCESS_TOKEN    — token de la app (Preferencias → Desarrollo; scopes write:media write:statuses)
+ *   MASTODON_VISIBILITY      — public | unlisted | private (default public)
+ *   MASTODON_CONTENT_WARNING — CW por defecto para todos los posts (opcional; el post puede traer el suyo)
+ *   MASTODON_ENABLED=false   — apaga la cuenta sin borrar las credenciales
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { countGraphemes, truncateForPlatform } from './text-length.js';
+
+// Límite de Mastodon sin configurar; Pleroma/Akkoma y forks informan otros
+const DEFAULT_MAX_CHARACTERS = 500;
+// Largo máximo de la descripción de un adjunto en Mastodon
+const MAX_DESCRIPTION_LENGTH = 1500;
+// Mastodon procesa la imagen en segundo plano (202); se espera a que tenga URL
+const MEDIA_POLL_ATTEMPTS = 10;
+const MEDIA_POLL_INTERVAL_MS = 1000;
+
+let instanceMaxCharacters = null;
+
+/**
+ * Config de la cuenta desde env.
+ */
+export function getMastodonConfig() {
+  return {
+    baseUrl: (process.env.MASTODON_BASE_URL || '').replace(/\/+$/, '') || null,
+    accessToken: process.env.MASTODON_ACCESS_TOKEN || null,
+    visibility: process.env.MASTODON_VISIBILITY || 'public',
+    contentWarning: process.env.MASTODON_CONTENT_WARNING || null
+  };
+}
+
+/**
+ * Indica si la cuenta de Mastodon está configurada y habilitada.
+ */
+export function isMastodonEnabled() {
+  const { baseUrl, accessToken } = getMastodonConfig();
+  return !!(baseUrl && accessToken) && (process.env.MASTODON_ENABLED || '').toLowerCase() !== 'false';
+}
+
+function api(method, apiPath, { data, headers = {} } = {}) {
+  const { baseUrl, accessToken } = getMastodonConfig();
+  return axios({
+    method,
+    url: `${baseUrl}${apiPath}`,
+    data,
+    timeout: 30000,
+    maxBodyLength: Infinity,
+    headers: { Authorization: `Bearer ${accessToken}`, ...headers }
+  });
+}
+
+/**
+ * Límite de caracteres de la instancia (se pide una vez por proceso).
+ * Mastodon 4: configuration.statuses.max_characters; Pleroma/glitch: max_toot_chars.
+ */
+export async function getInstanceMaxCharacters() {
+  if (instanceMaxCharacters) return instanceMaxCharacters;
+  try {
+    const { data } = await api('get', '/api/v1/instance');
+    instanceMaxCharacters = data?.configuration?.statuses?.max_characters || data?.max_toot_chars || DEFAULT_MAX_CHARACTERS;
+  } catch (error) {
+    console.warn(`[Mastodon] Could not read instance limits, using ${DEFAULT_MAX_CHARACTERS}:`, error.message);
+    return DEFAULT_MAX_CHARACTERS;
+  }
+  console.log(`[Mastodon] Instance limit: ${instanceMaxCharacters} characters`);
+  return instanceMaxCharacters;
+}
+
+function getImageMimeType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.png') return 'image/png';
+  if (ext === '.webp') return 'image/webp';
+  if (ext === '.gif') return 'image/gif';
+  return 'image/jpeg';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sube la imagen con su descripción (alt text) y espera a que la instancia la procese.
+ * @returns {Promise<string>} id del attachment
+ */
+async function uploadMedia(imagePath, description) {
+  const data = await fs.readFile(imagePath);
+  const form = new FormData();
+  form.append('file', new Blob([data], { type: getImageMimeType(imagePath) }), path.basename(imagePath));
+  if (description) form.append('description', description.slice(0, MAX_DESCRIPTION_LENGTH));
+
+  const response = await api('post', '/api/v2/media', { data: form });
+  const media = response.data;
+  if (response.status !== 202 || media.url) return media.id;
+
+  for (let i = 0; i < MEDIA_POLL_ATTEMPTS; i++) {
+    await sleep(MEDIA_POLL_INTERVAL_MS);
+    const { data: polled } = await api('get', `/api/v1/media/${media.id}`);
+    if (polled.url) return polled.id;
+  }
+  throw new Error(`Media ${media.id} still processing`);
+}
+
+/**
+ * Publica un status con imagen.
+ * @param {object} params - { text, imagePath?, altText?, contentWarning?, idempotencyKey?, language? }
+ * @returns {Promise<{ success: boolean, id?: string, url?: string, error?: string }>}
+ */
+export async function publishToMastodon({ text, imagePath = null, altText = '', contentWarning = null, idempotencyKey = null, language = null }) {
+  try {
+    const config = getMastodonConfig();
+    const spoilerText = (contentWarning || config.contentWarning || '').trim();
+    // El CW cuenta para el límite de la instancia
+    const maxCharacters = await getInstanceMaxCharacters();
+    const status = truncateForPlatform(text, 'mastodon', maxCharacters - countGraphemes(spoilerText));
+
+    const body = { status, visibility: config.visibility };
+    if (language) body.language = language;
+    if (spoilerText) {
+      body.spoiler_text = spoilerText;
+      body.sensitive = true;
+    }
+    if (imagePath) body.media_ids = [await uploadMedia(imagePath, altText)];
+
+    // Idempotency-Key: un reintento del mismo post no duplica el status
+    const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+    const { data } = await api('post', '/api/v1/statuses', { data: body, headers });
+    console.log(`[Mastodon] Posted: ${data.url}`);
+    return { success: true, id: data.id, url: data.url };
+  } catch (error) {
+    const message = error.response?.data?.error || error.message;
+    console.error('[Mastodon] Error posting:', message);
+    return { success: false, error: message };
+  }
+}
+
+/**
+ * Favoritos, boosts y respuestas de un status (engagement.js).
+ * @param {string} id - id del status
+ */
+export async function getMastodonEngagement(id) {
+  const { data } = await api('get', `/api/v1/statuses/${id}`);
+  return {
+    likes: data.favourites_count || 0,
+    reposts: data.reblogs_count || 0,
+    replies: data.replies_count || 0
+  };
+}
+
+export default {
+  getMastodonConfig,
+  isMastodonEnabled,
+  getInstanceMaxCharacters,
+  publishToMastodon,
+  getMastodonEngagement
+};
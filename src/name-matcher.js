@@ -0,0 +1,202 @@
+/**
+ * Comparación de nombres de personajes entre ACDB, MAL y AniList, con confianza 0-1.
+ * Lo usan la búsqueda en MAL (searchCharacter en jikan.js), el mapa de identidades y upgrade-preview-image.
+ *
+ * Antes de comparar, cada nombre pasa a una forma romaji común:
+ *   - Hepburn / Kunrei / Nihon-shiki: shi/si, chi/ti, tsu/tu, fu/hu, ji/zi, sha/sya, cho/tyo, ja/zya, du/zu
+ *   - vocales largas: ō/ô/ou/oh/oo → o, ū/uu → u (también ā, ī, ē); n antes de b/m/p (Shimbun = Shinbun)
+ *   - sin acentos, apóstrofos (Shin'ichi), letras dobles ni honoríficos (-san, -chan, -sama, ...; no si son la primera palabra)
+ *   - MAL usa "Last, First": se compara en cualquier orden
+ *
+ * Confianza del nombre: 1 igual, 0.95 mismo nombre en otro orden, 0.85 todas las partes (≥ 2),
+ * 0.8 solo el nombre de pila ("Kaguya-sama" → "Shinomiya, Kaguya"; es el umbral), 0.7 otra parte sola,
+ * 0.9 × la del apodo, y si no, parecido por bigramas (× 0.9).
+ * Confianza del personaje (scoreCharacterMatch): 0.6 × nombre + 0.4 × serie (solo nombre si no hay serie).
+ *
+ * Variables:
+ *   MATCH_MIN_CONFIDENCE — debajo de esto la coincidencia es dudosa: se marca en el post y en el dashboard (default 0.6)
+ */
+
+// Confianza de nombre para aceptar un personaje en la búsqueda (equivale a "todas las partes")
+export const NAME_MATCH_THRESHOLD = 0.8;
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const NAME_WEIGHT = 0.6;
+const SERIES_WEIGHT = 0.4;
+
+const HONORIFICS = new Set(['san', 'chan', 'kun', 'sama', 'sensei', 'senpai', 'sempai', 'dono', 'kouhai', 'kohai']);
+// Palabras de títulos que no dicen nada de la serie
+const TITLE_STOPWORDS = new Set(['the', 'no', 'ni', 'wa', 'ga', 'de', 'to', 'wo', 'of', 'and', 'season', 'movie', 'tv', 'part']);
+
+const LONG_VOWELS = { ā: 'aa', â: 'aa', ī: 'ii', î: 'ii', ū: 'uu', û: 'uu', ē: 'ee', ê: 'ee', ō: 'ou', ô: 'ou' };
+
+// Hepburn → forma común (en orden: primero las combinaciones de tres letras)
+const ROMAJI_RULES = [
+  [/sh(?=[auo])/g, 'sy'],
+  [/ch(?=[auo])/g, 'ty'],
+  [/j(?=[auo])/g, 'zy'],
+  [/shi/g, 'si'],
+  [/chi/g, 'ti'],
+  [/tsu/g, 'tu'],
+  [/dzu|du/g, 'zu'],
+  [/ji|di/g, 'zi'],
+  [/fu/g, 'hu'],
+  [/m(?=[bmp])/g, 'n'],
+  [/oh(?![aeiouy])/g, 'o'],
+  [/ou/g, 'o'],
+  [/(.)\1+/g, '$1']
+];
+
+/**
+ * Confianza mínima configurada (MATCH_MIN_CONFIDENCE, 0-1).
+ */
+export function getMinMatchConfidence() {
+  const value = parseFloat(process.env.MATCH_MIN_CONFIDENCE);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Indica si una confianza queda debajo de MATCH_MIN_CONFIDENCE (null = sin dato, no se marca).
+ */
+export function isLowConfidence(confidence) {
+  return typeof confidence === 'number' && confidence < getMinMatchConfidence();
+}
+
+/**
+ * "Last, First" (MAL) → "First Last"; sin coma queda igual.
+ */
+export function malNameToFirstLast(name) {
+  if (!name || !name.includes(',')) return name;
+  const [last, ...firstParts] = name.split(',').map(s => s.trim());
+  const first = firstParts.join(' ').trim();
+  return first ? `${first} ${last}` : last;
+}
+
+/**
+ * Una palabra en la forma romaji común ("Shōtarō" → "syotaro", "Tsukishima" → "tukisima").
+ */
+export function normalizeRomaji(word) {
+  let t = String(word || '').toLowerCase().replace(/[āâīîūûēêōô]/g, c => LONG_VOWELS[c]);
+  t = t.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/['’]/g, '');
+  for (const [pattern, replacement] of ROMAJI_RULES) t = t.replace(pattern, replacement);
+  return t;
+}
+
+/**
+ * Partes de un nombre ya normalizadas, sin honoríficos ("Kaguya-sama" → ["kaguya"], "Natsuki, Subaru" → ["subaru", "natuki"]).
+ * @returns {string[]}
+ */
+export function nameTokens(name) {
+  const words = malNameToFirstLast(String(name || '').trim())
+    .split(/[^\p{L}\p{N}'’]+/u)
+    .filter(Boolean);
+  const kept = words.filter((w, i) => i === 0 || !HONORIFICS.has(w.toLowerCase()));
+  return kept.map(normalizeRomaji).filter(Boolean);
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Parecido 0-1 entre dos textos (coeficiente de Dice sobre bigramas).
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const ga = bigrams(a);
+  const gb = bigrams(b);
+  if (ga.length === 0 || gb.length === 0) return 0;
+  const counts = new Map();
+  for (const g of ga) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of gb) {
+    if (counts.get(g) > 0) {
+      shared++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  return (2 * shared) / (ga.length + gb.length);
+}
+
+function scoreTokens(q, c) {
+  if (q.length === 0 || c.length === 0) return 0;
+  if (q.join(' ') === c.join(' ')) return 1;
+  const sortedQ = [...q].sort().join(' ');
+  const sortedC = [...c].sort().join(' ');
+  if (sortedQ === sortedC) return 0.95;
+  const [shorter, longer] = q.length <= c.length ? [q, c] : [c, q];
+  if (shorter.every(t => longer.includes(t))) {
+    if (shorter.length >= 2) return 0.85;
+    // Una sola parte: el nombre de pila (primera, ya en orden "First Last") es como se suele llamar al personaje
+    return shorter[0] === longer[0] ? NAME_MATCH_THRESHOLD : 0.7;
+  }
+  return Math.round(similarity(sortedQ, sortedC) * 0.9 * 100) / 100;
+}
+
+/**
+ * Confianza 0-1 de que dos nombres sean el mismo personaje.
+ * @param {string} query - nombre buscado (ACDB, "First Last")
+ * @param {string} candidate - nombre del candidato (MAL "Last, First" o AniList)
+ * @param {string[]} [nicknames] - apodos del candidato (MAL)
+ */
+export function scoreNameMatch(query, candidate, nicknames = []) {
+  const q = nameTokens(query);
+  const byName = scoreTokens(q, nameTokens(candidate));
+  const byNickname = Math.max(0, ...(nicknames || []).map(n => scoreTokens(q, nameTokens(n)) * 0.9));
+  return Math.round(Math.max(byName, byNickname) * 100) / 100;
+}
+
+function titleKeywords(title) {
+  return String(title || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(w => w.toLowerCase())
+    .filter(w => w.length > 1 && !TITLE_STOPWORDS.has(w))
+    .map(normalizeRomaji);
+}
+
+/**
+ * Confianza 0-1 de que la serie buscada sea alguno de los títulos (parte de las palabras de la serie que aparecen).
+ * @param {string} series - serie de ACDB
+ * @param {string[]} titles - títulos del candidato (anime de MAL, media de AniList)
+ */
+export function scoreSeriesMatch(series, titles = []) {
+  const wanted = titleKeywords(series);
+  if (wanted.length === 0) return 0;
+  let best = 0;
+  for (const title of titles) {
+    const words = titleKeywords(title);
+    const joined = words.join('');
+    if (joined && joined === wanted.join('')) return 1;
+    const found = wanted.filter(w => words.includes(w) || (w.length > 3 && joined.includes(w))).length;
+    best = Math.max(best, found / wanted.length);
+  }
+  return Math.round(best * 100) / 100;
+}
+
+/**
+ * Confianza 0-1 de que un personaje de MAL sea el buscado, con el detalle por nombre y serie.
+ * @param {object} char - { name, series } (ACDB)
+ * @param {object|null} malChar - { name, nicknames?, anime?: [{ title }] }
+ * @returns {{ confidence: number, name: number, series: number|null }}
+ */
+export function scoreCharacterMatch(char, malChar) {
+  if (!malChar?.name) return { confidence: 0, name: 0, series: null };
+  const name = scoreNameMatch(char.name, malChar.name, malChar.nicknames);
+  if (!char.series) return { confidence: name, name, series: null };
+  const series = scoreSeriesMatch(char.series, (malChar.anime || []).map(a => a.title));
+  const confidence = Math.round((NAME_WEIGHT * name + SERIES_WEIGHT * series) * 100) / 100;
+  return { confidence, name, series };
+}
+
+export default {
+  NAME_MATCH_THRESHOLD,
+  getMinMatchConfidence,
+  isLowConfidence,
+  malNameToFirstLast,
+  normalizeRomaji,
+  nameTokens,
+  scoreNameMatch,
+  scoreSeriesMatch,
+  scoreCharacterMatch
+};
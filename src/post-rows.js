@@ -0,0 +1,121 @@
+/**
+ * Conversión post ↔ fila para los backends SQL del StateStore (Supabase y SQLite).
+ * Los campos con columna propia van a su columna; el resto del post (acdbId, tweetId, ...) va en `extra`
+ * para que agregar campos al post no obligue a migrar la tabla.
+ * También la conversión identidad ↔ fila de character_identities (ver identity-map.js).
+ */
+
+// Campo del post → columna de daily_posts
+const POST_COLUMNS = {
+  index: 'post_index',
+  character: 'character',
+  series: 'series',
+  scheduledTime: 'scheduled_time',
+  previewText: 'preview_text',
+  imageUrl: 'image_url',
+  status: 'status',
+  postedAt: 'posted_at',
+  tweetUrl: 'tweet_url',
+  error: 'error'
+};
+
+/**
+ * Fila → post del día (las claves de `extra` se mezclan en el post).
+ * @param {object} row
+ * @param {object} [extra] - contenido de la columna extra ya parseado
+ */
+export function rowToPost(row, extra = {}) {
+  return {
+    ...(extra || {}),
+    index: row.post_index,
+    character: row.character,
+    series: row.series,
+    scheduledTime: row.scheduled_time ?? '',
+    previewText: row.preview_text ?? '',
+    imageUrl: row.image_url ?? null,
+    status: row.status ?? 'pending',
+    postedAt: row.posted_at ?? null,
+    tweetUrl: row.tweet_url ?? null,
+    error: row.error ?? null
+  };
+}
+
+/**
+ * Post del día → fila (sin serializar `extra`).
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} preparedAt - ISO
+ * @param {object} post
+ */
+export function postToRow(date, preparedAt, post) {
+  const { extra } = splitPostUpdate(post);
+  return {
+    date,
+    post_index: post.index ?? 0,
+    character: post.character ?? '',
+    series: post.series ?? '',
+    scheduled_time: post.scheduledTime ?? '',
+    preview_text: post.previewText ?? '',
+    image_url: post.imageUrl ?? null,
+    status: post.status ?? 'pending',
+    posted_at: post.postedAt ?? null,
+    tweet_url: post.tweetUrl ?? null,
+    error: post.error ?? null,
+    prepared_at: preparedAt,
+    extra
+  };
+}
+
+/**
+ * Separa un update parcial en columnas propias y campos de `extra` (ignora valores undefined).
+ * @returns {{ columns: object, extra: object }}
+ */
+export function splitPostUpdate(update) {
+  const columns = {};
+  const extra = {};
+  for (const [key, value] of Object.entries(update || {})) {
+    if (value === undefined) continue;
+    if (POST_COLUMNS[key]) columns[POST_COLUMNS[key]] = value;
+    else extra[key] = value;
+  }
+  return { columns, extra };
+}
+
+/**
+ * Fila de character_identities → identidad.
+ * @param {object} row
+ */
+export function rowToIdentity(row) {
+  return {
+    acdbId: row.acdb_id,
+    malId: row.mal_id ?? null,
+    anilistId: row.anilist_id ?? null,
+    animeMalId: row.anime_mal_id ?? null,
+    name: row.name ?? null,
+    series: row.series ?? null,
+    confidence: row.confidence ?? 0,
+    manual: !!row.manual,
+    updatedAt: row.updated_at ?? null,
+    updatedBy: row.updated_by ?? null
+  };
+}
+
+/**
+ * Identidad → fila de character_identities (manual como booleano; SQLite lo pasa a 0/1).
+ * @param {object} identity - { acdbId, malId?, anilistId?, animeMalId?, name?, series?, confidence?, manual?, updatedBy? }
+ */
+export function identityToRow(identity) {
+  return {
+    acdb_id: String(identity.acdbId),
+    mal_id: identity.malId ?? null,
+    anilist_id: identity.anilistId ?? null,
+    anime_mal_id: identity.animeMalId ?? null,
+    name: identity.name ?? null,
+    series: identity.series ?? null,
+    confidence: identity.confidence ?? 0,
+    manual: !!identity.manual,
+    updated_at: identity.updatedAt ?? new Date().toISOString(),
+    updated_by: identity.updatedBy ?? null
+  };
+}
+
+export default { rowToPost, postToRow, splitPostUpdate, rowToIdentity, identityToRow };
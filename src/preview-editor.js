@@ -0,0 +1,194 @@
+/**
+ * Edición de posts desde la Vista previa: texto, alt text de la imagen, regenerar con la cadena de LLM (llm.js) y cambiar la imagen por otra candidata
+ * (del pool imageCandidates que guarda el prep; ver image-resolver.js).
+ * Reemplaza a mano scripts/refresh-preview-texts.js y scripts/upgrade-preview-image.js; todo se guarda en el día (StateStore).
+ * Con REQUIRE_APPROVAL, cambiar el texto o la imagen de un post aprobado lo vuelve a dejar por aprobar.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { getDayDoc, updatePostStatus } from './state-store.js';
+import { uploadPostImage } from './blob-store.js';
+import { generatePreviewTexts, getPostCharacter } from './publishers.js';
+import { LANGUAGE } from './config.js';
+import { extractHashtags } from './text-validator.js';
+import { createAltText } from './twitter.js';
+import { downloadImage } from './jikan.js';
+import { resolveCharacter } from './identity-map.js';
+import { getCharacterDetailsById } from './scraper.js';
+import { collectImageCandidates, toStoredCandidates } from './image-resolver.js';
+import { validateImageFile } from './image-validation.js';
+import { AWAITING_APPROVAL, isApprovalRequired } from './approval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+/**
+ * Post editable del día (no publicado).
+ * @returns {Promise<{ post?: object, error?: string }>}
+ */
+async function getEditablePost(date, index) {
+  const doc = await getDayDoc(date);
+  const post = doc?.posts?.find(p => p.index === index);
+  if (!post) return { error: 'Post not found' };
+  if (post.status === 'posted') return { error: 'Post already published' };
+  return { post };
+}
+
+/**
+ * Campos para sacar la aprobación de un post cuyo contenido cambió (lo aprobado era otro texto u otra imagen).
+ * Sin REQUIRE_APPROVAL, o si el post no estaba aprobado, no cambia nada.
+ */
+function getReapprovalUpdate(post) {
+  if (!isApprovalRequired() || !post.approvedBy) return {};
+  return { status: AWAITING_APPROVAL, approvedBy: null, approvedAt: null };
+}
+
+/**
+ * Guarda el texto editado a mano.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {string} text - texto del tweet
+ * @param {string} editedBy - quién editó
+ * @param {string} [contentWarning] - CW para Mastodon ('' lo borra; undefined lo deja como está)
+ * @param {string} [altText] - texto alternativo de la imagen ('' vuelve al de la plantilla; undefined lo deja como está)
+ */
+export async function savePreviewText(date, index, text, editedBy, contentWarning, altText) {
+  const { post, error } = await getEditablePost(date, index);
+  if (error) return { ok: false, error };
+  const previewText = String(text ?? '').replace(/\r\n/g, '\n').trim();
+  if (!previewText) return { ok: false, error: 'Text is empty' };
+
+  const update = { previewText, textEditedBy: editedBy || 'dashboard', textEditedAt: new Date().toISOString() };
+  update.hashtags = extractHashtags(previewText);
+  const language = post.language || LANGUAGE;
+  update.textSources = { ...(post.textSources || {}), [language]: { provider: 'manual', model: null, promptVersion: null } };
+  // Las traducciones eran del texto anterior: se sacan y las cuentas en otro idioma publican el editado
+  // ("Regenerar texto" las vuelve a armar)
+  if (previewText !== post.previewText && Object.keys(post.previewTexts || {}).length) {
+    update.previewTexts = {};
+    update.textSources = { [language]: update.textSources[language] };
+  }
+  if (contentWarning !== undefined) update.contentWarning = String(contentWarning ?? '').trim() || null;
+  if (altText !== undefined) {
+    const character = getPostCharacter(post);
+    update.altText = String(altText ?? '').replace(/\s+/g, ' ').trim() || createAltText(character, post.language || LANGUAGE);
+  }
+  Object.assign(update, getReapprovalUpdate(post));
+  await updatePostStatus(date, index, update);
+  console.log(`[Preview] ${date} #${index} text edited by ${update.textEditedBy}`);
+  return { ok: true, post: { ...post, ...update } };
+}
+
+/**
+ * Regenera el texto con la cadena de LLM (o la plantilla si ninguno responde) y lo guarda, junto con los de otros idiomas.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ */
+export async function regeneratePreviewText(date, index) {
+  const { post, error } = await getEditablePost(date, index);
+  if (error) return { ok: false, error };
+
+  const character = getPostCharacter(post);
+  const texts = await generatePreviewTexts(character, { promptVersion: post.promptVersion || undefined });
+  if (!texts.previewText) return { ok: false, error: 'Could not generate text' };
+
+  const update = { ...texts, textEditedBy: null, textEditedAt: new Date().toISOString(), ...getReapprovalUpdate(post) };
+  await updatePostStatus(date, index, update);
+  console.log(`[Preview] ${date} #${index} text regenerated`);
+  return { ok: true, post: { ...post, ...update } };
+}
+
+/**
+ * Candidatas de imagen para un post: el pool guardado en el prep (imageCandidates).
+ * Con refresh (o si el post no tiene pool) se vuelve a armar desde las fuentes y se guarda.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {object} [options] - { refresh?: boolean }
+ */
+export async function getImageCandidatesForPost(date, index, options = {}) {
+  const { post, error } = await getEditablePost(date, index);
+  if (error) return { ok: false, error };
+  if (post.imageCandidates?.length && !options.refresh) {
+    return { ok: true, candidates: post.imageCandidates, cached: true };
+  }
+
+  const char = { name: post.character, series: post.series };
+  if (post.acdbId) {
+    const details = await getCharacterDetailsById(post.acdbId).catch(() => null);
+    if (details) {
+      char.image = details.image;
+      char.thumbnail = details.thumbnail;
+    }
+  }
+  const { malChar, anilistId } = await resolveCharacter({ id: post.acdbId, name: post.character, series: post.series });
+  char.anilistId = anilistId ?? post.anilistId ?? null;
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const ranked = await collectImageCandidates(char, malChar, TEMP_DIR, { hasAcdb: !!post.acdbId });
+  for (const c of ranked) {
+    if (c.localPath) {
+      try { await fs.unlink(c.localPath); } catch (_) {}
+    }
+  }
+  const candidates = toStoredCandidates(ranked, post.imageSourceUrl || null);
+  await updatePostStatus(date, index, { imageCandidates: candidates });
+  return { ok: true, candidates, cached: false };
+}
+
+/**
+ * Reemplaza la imagen del post por una URL candidata (descarga, sube al blob store y actualiza imageUrl).
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {string} url - URL http(s) de la imagen elegida
+ * @param {string} [source] - fuente de la candidata (anilist, mal, ...)
+ * @param {string} [editedBy] - quién la eligió
+ * @param {object} [options] - { keepApproval?: no sacar la aprobación (la siguiente candidata que usa runPost al publicar,
+ *   cuando la aprobada no se puede leer del blob store) }
+ */
+export async function replacePostImage(date, index, url, source = null, editedBy = null, options = {}) {
+  const { post, error } = await getEditablePost(date, index);
+  if (error) return { ok: false, error };
+  if (!/^https?:\/\//i.test(url || '')) return { ok: false, error: 'Invalid image URL' };
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const ext = /\.png(\?|$)/i.test(url) ? '.png' : '.jpg';
+  const tempPath = path.join(TEMP_DIR, `swap_${date}_${index}_${Date.now()}${ext}`);
+  try {
+    const downloaded = await downloadImage(url, tempPath);
+    if (!downloaded) return { ok: false, error: 'Could not download image' };
+    // Las mismas reglas que en el prep (tamaño, dimensiones, formato y Vision si está configurado)
+    const validation = await validateImageFile(downloaded, post.character, post.series);
+    if (!validation.valid) return { ok: false, error: `Invalid image: ${validation.reason}` };
+
+    const imageUrl = await uploadPostImage(downloaded, date, index);
+    const candidate = post.imageCandidates?.find(c => c.url === url);
+    const update = {
+      imageUrl,
+      imageSource: source || null,
+      imageSourceUrl: url,
+      // Créditos para el hilo (thread.js): los de la candidata si la URL es del pool
+      imagePageUrl: candidate?.pageUrl || null,
+      imageCreditUrl: candidate?.creditUrl || null,
+      imageEditedBy: editedBy || 'dashboard',
+      imageEditedAt: new Date().toISOString(),
+      ...(options.keepApproval ? {} : getReapprovalUpdate(post))
+    };
+    if (post.imageCandidates?.length) {
+      update.imageCandidates = post.imageCandidates.map(c => ({ ...c, selected: c.url === url }));
+    }
+    await updatePostStatus(date, index, update);
+    console.log(`[Preview] ${date} #${index} image replaced (${source || url}) by ${update.imageEditedBy}`);
+    return { ok: true, post: { ...post, ...update } };
+  } finally {
+    try { await fs.unlink(tempPath); } catch (_) {}
+  }
+}
+
+export default {
+  savePreviewText,
+  regeneratePreviewText,
+  getImageCandidatesForPost,
+  replacePostImage
+};
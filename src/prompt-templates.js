@@ -0,0 +1,154 @@
+/**
+ * Plantillas de prompt versionadas: un archivo por versión en prompts/ (birthday-v1.txt, birthday-v2.txt, ...).
+ * Se leen en cada generación, así que para ajustar el tono alcanza con editar o agregar un archivo
+ * (en Railway, PROMPTS_DIR puede apuntar al volumen).
+ *
+ * Variables ({{variable}}): name, romanized, series, birthday, about, genres, kanji, voice_actor (seiyuu japonés),
+ * voice_actor_en (doblaje en inglés), language_rule.
+ * Un renglón con una variable vacía se saca entero (ej. "- Voiced by: {{voice_actor}}" si no hay seiyuu).
+ *
+ * Variables de entorno:
+ *   PROMPT_VERSION     — versión fija (default v1)
+ *   PROMPT_AB_VERSIONS — modo A/B: versiones separadas por coma (ej. v1,v2); cada slot del día recibe una,
+ *                        rotando por día para que una versión no quede siempre en el mismo horario
+ *   PROMPTS_DIR        — carpeta de las plantillas (default prompts/ en la raíz)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatBirthday, getDisplayName, getPromptLanguageRule } from './i18n.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const DEFAULT_VERSION = 'v1';
+const FILE_PATTERN = /^birthday-(v[\w.-]+)\.txt$/;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Avisos de versiones sin archivo, uno por proceso
+const warnedVersions = new Set();
+
+function getPromptsDir() {
+  return process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+}
+
+/**
+ * Versiones disponibles (según los archivos de prompts/), ordenadas.
+ * @returns {string[]}
+ */
+export function listPromptVersions() {
+  let files = [];
+  try {
+    files = fs.readdirSync(getPromptsDir());
+  } catch (_) {
+    return [];
+  }
+  return files
+    .map(f => f.match(FILE_PATTERN)?.[1])
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Texto de la plantilla de una versión.
+ * @param {string} version - ej. v1
+ */
+export function loadPromptTemplate(version) {
+  const file = path.join(getPromptsDir(), `birthday-${version}.txt`);
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Prompt template ${version} not found (${file})`);
+  }
+}
+
+/**
+ * Reemplaza las variables; los renglones con alguna variable vacía se sacan.
+ * @param {string} template
+ * @param {object} variables - { name: 'Rem', ... }
+ */
+export function renderPrompt(template, variables) {
+  return template
+    .split('\n')
+    .filter(line => [...line.matchAll(VARIABLE)].every(([, key]) => variables[key]))
+    .map(line => line.replace(VARIABLE, (_, key) => variables[key]))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Variables del prompt para un personaje en un idioma.
+ * @param {object} character - { name, name_kanji?, series, birthday, about?, genres?, voice_actor?, voice_actor_en? }
+ * @param {string} language - en | es | ja
+ */
+export function buildPromptVariables(character, language) {
+  const name = getDisplayName(character, language) || 'Character';
+  return {
+    name,
+    romanized: name !== character.name ? character.name : '',
+    series: character.series || 'Anime',
+    birthday: formatBirthday(character.birthday, language),
+    about: character.about ? String(character.about).slice(0, 500) : '',
+    genres: (character.genres || []).slice(0, 3).map(g => g.name || g).join(', '),
+    kanji: character.name_kanji || '',
+    voice_actor: character.voice_actor || '',
+    voice_actor_en: character.voice_actor_en || '',
+    language_rule: getPromptLanguageRule(language)
+  };
+}
+
+/**
+ * Versión fija (PROMPT_VERSION, default v1).
+ */
+export function getDefaultPromptVersion() {
+  return process.env.PROMPT_VERSION || DEFAULT_VERSION;
+}
+
+/**
+ * Versiones del modo A/B (PROMPT_AB_VERSIONS), solo las que tienen archivo; [] si el modo está apagado.
+ * @returns {string[]}
+ */
+export function getABVersions() {
+  const available = listPromptVersions();
+  const requested = (process.env.PROMPT_AB_VERSIONS || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const version of requested) {
+    if (available.includes(version) || warnedVersions.has(version)) continue;
+    warnedVersions.add(version);
+    console.warn(`[Prompt] Version ${version} has no template in ${getPromptsDir()}`);
+  }
+  return requested.filter(v => available.includes(v));
+}
+
+/**
+ * Versión de prompt para un slot del día: PROMPT_VERSION, o la que toca en el modo A/B.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ */
+export function getPromptVersionForSlot(date, index) {
+  const versions = getABVersions();
+  if (versions.length < 2) return versions[0] || getDefaultPromptVersion();
+  // Rota por día: el slot 0 recibe v1 un día, v2 el siguiente, ...
+  const day = Math.floor(Date.parse(`${date}T00:00:00Z`) / 86_400_000) || 0;
+  return versions[(index + day) % versions.length];
+}
+
+/**
+ * Prompt armado para un personaje con la plantilla de una versión.
+ * @param {object} character
+ * @param {string} language
+ * @param {string} [version] - default PROMPT_VERSION
+ */
+export function renderBirthdayPrompt(character, language, version = getDefaultPromptVersion()) {
+  return renderPrompt(loadPromptTemplate(version), buildPromptVariables(character, language));
+}
+
+export default {
+  listPromptVersions,
+  loadPromptTemplate,
+  renderPrompt,
+  buildPromptVariables,
+  getDefaultPromptVersion,
+  getABVersions,
+  getPromptVersionForSlot,
+  renderBirthdayPrompt
+};
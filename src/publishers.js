@@ -0,0 +1,214 @@
+/**
+ * Publicadores: cada cuenta (Twitter, Bluesky, Mastodon) o comunidad (Discord, Telegram) es un canal
+ * que se prende o apaga por env (<CANAL>_ENABLED=false, además de tener credenciales).
+ * publishPost publica el post del día en todos los habilitados y guarda el resultado por canal:
+ *   post.platforms = { twitter: { status, id, url, postedAt, error, threadIds? }, bluesky: { ... }, discord: { ... }, ... }
+ * Se publica en el orden del registro: Twitter primero, así Discord y Telegram pueden linkear el tweet.
+ * El post queda 'posted' cuando salió en todas; si alguna falla queda 'error' y el reintento
+ * solo vuelve a publicar en las que faltan.
+ * Idioma: cada cuenta publica en <CANAL>_LANGUAGE (ej. MASTODON_LANGUAGE=ja) o en BOT_LANGUAGE; el prep
+ * genera previewText en BOT_LANGUAGE y previewTexts = { ja: '...' } para los otros idiomas que hagan falta.
+ */
+
+import { updatePostStatus } from './state-store.js';
+import { LANGUAGE } from './config.js';
+import { parseLanguage } from './i18n.js';
+import { getDefaultPromptVersion } from './prompt-templates.js';
+import { getVoiceActorName } from './jikan.js';
+import { ensureHashtagsOnNewLine } from './gemini.js';
+import { limitHashtagsForPlatform } from './hashtags.js';
+import { isTwitterEnabled, publishToTwitter, getTweetEngagement, getBirthdayMessageWithSource } from './twitter.js';
+import { isBlueskyEnabled, publishToBluesky, getBlueskyEngagement } from './bluesky.js';
+import { isMastodonEnabled, publishToMastodon, getMastodonEngagement } from './mastodon.js';
+import { isDiscordEnabled, publishToDiscord } from './discord.js';
+import { isTelegramEnabled, publishToTelegram } from './telegram.js';
+
+const PUBLISHERS = {
+  twitter: { label: 'Twitter', isEnabled: isTwitterEnabled, publish: publishToTwitter, engagement: getTweetEngagement },
+  bluesky: { label: 'Bluesky', isEnabled: isBlueskyEnabled, publish: publishToBluesky, engagement: getBlueskyEngagement },
+  mastodon: { label: 'Mastodon', isEnabled: isMastodonEnabled, publish: publishToMastodon, engagement: getMastodonEngagement },
+  discord: { label: 'Discord', isEnabled: isDiscordEnabled, publish: publishToDiscord },
+  telegram: { label: 'Telegram', isEnabled: isTelegramEnabled, publish: publishToTelegram }
+};
+
+export const PUBLISHER_NAMES = Object.keys(PUBLISHERS);
+
+/**
+ * Nombre legible de una plataforma (para el dashboard).
+ */
+export function getPublisherLabel(name) {
+  return PUBLISHERS[name]?.label || name;
+}
+
+/**
+ * Métricas de un post publicado ({ likes, reposts, replies }); null si la plataforma no las expone (Discord, Telegram).
+ * @param {string} name - plataforma
+ * @param {string} id - id que devolvió el publish
+ */
+export async function getPublisherEngagement(name, id) {
+  const engagement = PUBLISHERS[name]?.engagement;
+  return engagement ? engagement(id) : null;
+}
+
+/**
+ * Plataformas habilitadas, en orden de registro.
+ * @returns {string[]}
+ */
+export function getEnabledPublishers() {
+  return PUBLISHER_NAMES.filter(name => PUBLISHERS[name].isEnabled());
+}
+
+/**
+ * Idioma de una cuenta: <CANAL>_LANGUAGE o BOT_LANGUAGE.
+ * @param {string} name - twitter | bluesky | mastodon | discord | telegram
+ */
+export function getPublisherLanguage(name) {
+  return parseLanguage(process.env[`${name.toUpperCase()}_LANGUAGE`]) || LANGUAGE;
+}
+
+/**
+ * Idiomas que usan las cuentas habilitadas (BOT_LANGUAGE primero).
+ * @returns {string[]}
+ */
+export function getRequiredLanguages() {
+  return [...new Set([LANGUAGE, ...getEnabledPublishers().map(getPublisherLanguage)])];
+}
+
+/**
+ * Personaje para los generadores de texto a partir de un post guardado (regenerar o publicar sin previewText).
+ * Sin about ni géneros: esos no se guardan en el día.
+ * @param {object} post - post del día
+ */
+export function getPostCharacter(post) {
+  return {
+    name: post.character,
+    name_kanji: post.nameKanji,
+    series: post.series,
+    anime_id: post.animeMalId,
+    voice_actor: getVoiceActorName(post.voiceActors, 'Japanese'),
+    voice_actor_en: getVoiceActorName(post.voiceActors, 'English')
+  };
+}
+
+/**
+ * Textos de un post para el prep: previewText en BOT_LANGUAGE y previewTexts con los demás idiomas de las cuentas.
+ * Del texto principal también quedan sus partes: hashtags, altText y trivia (la respuesta JSON del modelo; ver llm.js).
+ * textSources dice qué proveedor, modelo y plantilla de prompt escribió cada uno, con la confianza y los avisos:
+ *   { en: { provider: 'gemini', model: 'gemini-2.0-flash', promptVersion: 'v1', confidence: 0.9, warnings: [] }, ... }
+ * (provider 'template' = createBirthdayMessage; ver llm.js y prompt-templates.js).
+ * @param {object} character - { name, name_kanji?, series, birthday, about?, genres?, voice_actor? }
+ * @param {object} [options] - { promptVersion? } versión asignada al slot (getPromptVersionForSlot)
+ * @returns {Promise<{ language: string, previewText: string, previewTexts: object, hashtags: string[], altText: string|null,
+ *   trivia: string|null, textSources: object, promptVersion: string }>}
+ */
+export async function generatePreviewTexts(character, { promptVersion = getDefaultPromptVersion() } = {}) {
+  const previewTexts = {};
+  const textSources = {};
+  for (const language of getRequiredLanguages().filter(l => l !== LANGUAGE)) {
+    const { text, hashtags, altText, trivia, ...source } = await getBirthdayMessageWithSource(character, language, { promptVersion });
+    previewTexts[language] = text;
+    textSources[language] = source;
+  }
+  const { text, hashtags, altText, trivia, ...source } = await getBirthdayMessageWithSource(character, LANGUAGE, { promptVersion });
+  textSources[LANGUAGE] = source;
+  return { language: LANGUAGE, previewText: text, previewTexts, hashtags, altText, trivia, textSources, promptVersion };
+}
+
+/**
+ * Texto para una cuenta: el del post si es su idioma, si no el de previewTexts (o el del post si falta),
+ * con los hashtags recortados al tope de la plataforma (PLATFORM_HASHTAG_LIMITS en hashtags.js).
+ */
+function getTextForPublisher(name, post, content, language) {
+  const translated = language !== (post.language || LANGUAGE) ? post.previewTexts?.[language] : null;
+  const text = translated ? ensureHashtagsOnNewLine(translated) : content.text;
+  return limitHashtagsForPlatform(text, name);
+}
+
+/**
+ * Respuestas del hilo que devolvió el publicador (solo Twitter, ver thread.js).
+ */
+function getThreadFields(result) {
+  if (!result.threadIds) return {};
+  return { threadIds: result.threadIds, ...(result.threadError ? { threadError: result.threadError } : {}) };
+}
+
+/**
+ * Publica un post en todas las plataformas habilitadas que todavía no lo tengan.
+ * Cada plataforma es independiente: una que falla no frena a las demás.
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} post - post del día (index, platforms?, contentWarning?, language?, previewTexts?)
+ * @param {object} content - { text, imagePath, altText? }
+ * @returns {Promise<{ success: boolean, platforms: object, error?: string }>}
+ */
+export async function publishPost(date, post, content) {
+  const enabled = getEnabledPublishers();
+  if (enabled.length === 0) {
+    return { success: false, platforms: post.platforms || {}, error: 'No publishers enabled' };
+  }
+
+  const platforms = { ...(post.platforms || {}) };
+  // platforms va por referencia: cada canal ve los links de los que ya salieron
+  const payload = {
+    post,
+    platforms,
+    contentWarning: post.contentWarning || null,
+    idempotencyKey: `${date}-${post.index}`,
+    ...content
+  };
+  for (const name of enabled) {
+    if (platforms[name]?.status === 'posted') {
+      console.log(`[Publish] ${name}: already posted (${platforms[name].url})`);
+      continue;
+    }
+    let result;
+    try {
+      const language = getPublisherLanguage(name);
+      result = await PUBLISHERS[name].publish({ ...payload, language, text: getTextForPublisher(name, post, content, language) });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    platforms[name] = result.success
+      ? { status: 'posted', id: result.id, url: result.url, postedAt: new Date().toISOString(), error: null, ...getThreadFields(result) }
+      : { status: 'error', id: null, url: null, postedAt: null, error: result.error || 'Unknown error', lastAttempt: new Date().toISOString() };
+    console.log(result.success ? `[Publish] ${name}: ${result.url}` : `[Publish] ${name} failed: ${result.error}`);
+    // Se guarda cada plataforma al terminar: si el proceso se corta, el reintento no vuelve a publicar en ella
+    try {
+      await updatePostStatus(date, post.index, { platforms });
+    } catch (error) {
+      console.error(`[Publish] Could not save ${name} result:`, error.message);
+    }
+  }
+
+  const failed = enabled.filter(name => platforms[name]?.status !== 'posted');
+  const update = { platforms };
+  // tweetId/tweetUrl se mantienen para el dashboard y las columnas existentes
+  if (platforms.twitter?.status === 'posted') {
+    update.tweetId = platforms.twitter.id;
+    update.tweetUrl = platforms.twitter.url;
+    // Todos los tweets del hilo, el principal primero (ver thread.js)
+    if (platforms.twitter.threadIds) update.threadTweetIds = [platforms.twitter.id, ...platforms.twitter.threadIds];
+  }
+  if (failed.length === 0) {
+    Object.assign(update, { status: 'posted', postedAt: new Date().toISOString(), error: null });
+  } else {
+    const error = failed.map(name => `${name}: ${platforms[name].error}`).join('; ');
+    Object.assign(update, { status: 'error', error, lastAttempt: new Date().toISOString() });
+  }
+  await updatePostStatus(date, post.index, update);
+
+  return failed.length === 0
+    ? { success: true, platforms }
+    : { success: false, platforms, error: update.error };
+}
+
+export default {
+  PUBLISHER_NAMES,
+  getPublisherLabel,
+  getEnabledPublishers,
+  getPublisherEngagement,
+  getPublisherLanguage,
+  getRequiredLanguages,
+  getPostCharacter,
+  generatePreviewTexts,
+  publishPost
+};
@@ -0,0 +1,119 @@
+/**
+ * Adaptador S3 del blob store (ver blob-store.js).
+ * Sirve para AWS S3 y para cualquier endpoint compatible (MinIO, R2, etc.) vía S3_ENDPOINT.
+ *
+ * Variables: S3_BUCKET (o AWS_BUCKET), AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY.
+ * Opcionales: S3_ENDPOINT (MinIO), S3_FORCE_PATH_STYLE, S3_PUBLIC_BASE_URL (CDN/dominio custom).
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+/**
+ * Lee la configuración de S3 desde el entorno.
+ * @returns {{ bucket: string|null, region: string, endpoint: string|null, forcePathStyle: boolean, publicBaseUrl: string|null }}
+ */
+export function getS3Config() {
+  const endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : null;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE != null
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : !!endpoint; // MinIO necesita path-style por defecto
+  return {
+    bucket: process.env.S3_BUCKET || process.env.AWS_BUCKET || null,
+    region: process.env.AWS_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle,
+    publicBaseUrl: process.env.S3_PUBLIC_BASE_URL ? process.env.S3_PUBLIC_BASE_URL.replace(/\/+$/, '') : null
+  };
+}
+
+/**
+ * Indica si hay bucket configurado (S3 o MinIO).
+ */
+export function isS3Configured() {
+  return !!getS3Config().bucket;
+}
+
+/**
+ * URL base pública de los objetos: CDN si hay, si no endpoint/bucket (MinIO) o el host virtual de AWS.
+ */
+function getBaseUrl(config) {
+  if (config.publicBaseUrl) return config.publicBaseUrl;
+  if (config.endpoint) return `${config.endpoint}/${config.bucket}`;
+  return `https://${config.bucket}.s3.${config.region}.amazonaws.com`;
+}
+
+/**
+ * Crea el adaptador S3.
+ * @returns {object} blob store: { name, put, get, remove, list, urlFor, keyFromUrl }
+ */
+export function createS3Store() {
+  const config = getS3Config();
+  if (!config.bucket) throw new Error('S3_BUCKET (or AWS_BUCKET) is required for the s3 blob store');
+
+  const client = new S3Client({
+    region: config.region,
+    ...(config.endpoint ? { endpoint: config.endpoint } : {}),
+    forcePathStyle: config.forcePathStyle
+  });
+  const baseUrl = getBaseUrl(config);
+
+  return {
+    name: config.endpoint ? 's3-compatible' : 's3',
+
+    async put(key, body, contentType = 'application/octet-stream') {
+      await client.send(new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    async get(key) {
+      try {
+        const res = await client.send(new GetObjectCommand({ Bucket: config.bucket, Key: key }));
+        return Buffer.from(await res.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: key }));
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let token;
+      do {
+        const res = await client.send(new ListObjectsV2Command({
+          Bucket: config.bucket,
+          Prefix: prefix,
+          ContinuationToken: token
+        }));
+        for (const obj of res.Contents || []) keys.push(obj.Key);
+        token = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (token);
+      return keys.sort();
+    },
+
+    urlFor(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (!url || !url.startsWith(baseUrl + '/')) return null;
+      return decodeURIComponent(url.slice(baseUrl.length + 1));
+    }
+  };
+}
+
+export default { createS3Store, getS3Config, isS3Configured };
@@ -3,9 +3,10 @@
  * Sin API key. SFW. Docs: https://safebooru.org/index.php?page=help&topic=dapi
  */
 
-import axios from 'axios';
+import { httpGet } from './http-client.js';
 
 const SAFEBOORU_API = 'https://safebooru.org/index.php';
+const SAFEBOORU_POST_URL = 'https://safebooru.org/index.php?page=post&s=view&id=';
 
 /**
  * Convierte nombre/serie a tags para Safebooru (espacios → guión bajo, sin caracteres raros).
@@ -21,11 +22,12 @@ function toTag(str) {
 }
 
 /**
- * Busca imágenes por personaje y serie. Devuelve URLs de imágenes en tamaño completo.
+ * Busca imágenes por personaje y serie. Devuelve URLs de imágenes en tamaño completo,
+ * con la página del post y la fuente original que cargó el usuario (el link al artista, si la puso).
  * @param {string} characterName
  * @param {string} series
  * @param {number} limit - máx. resultados
- * @returns {Promise<{ url: string }[]>}
+ * @returns {Promise<{ url: string, pageUrl: string|null, creditUrl: string|null }[]>}
  */
 export async function searchCharacterImages(characterName, series, limit = 5) {
   const charTag = toTag(characterName);
@@ -35,7 +37,7 @@ export async function searchCharacterImages(characterName, series, limit = 5) {
   if (!tags) return [];
 
   try {
-    const response = await axios.get(SAFEBOORU_API, {
+    const response = await httpGet(SAFEBOORU_API, {
       params: {
         page: 'dapi',
         s: 'post',
@@ -43,9 +45,8 @@ export async function searchCharacterImages(characterName, series, limit = 5) {
         tags,
         limit: Math.min(limit, 10),
         json: 1
-      },
-      timeout: 10000
-    });
+      }
+    }, { source: 'safebooru', timeout: 10000 });
 
     const data = response.data;
     const posts = Array.isArray(data) ? data : [];
@@ -53,7 +54,9 @@ export async function searchCharacterImages(characterName, series, limit = 5) {
     return posts
       .filter(p => p.file_url)
       .map(p => ({
-        url: p.file_url.startsWith('http') ? p.file_url : `https:${p.file_url}`
+        url: p.file_url.startsWith('http') ? p.file_url : `https:${p.file_url}`,
+        pageUrl: p.id ? `${SAFEBOORU_POST_URL}${p.id}` : null,
+        creditUrl: /^https?:\/\//i.test(p.source || '') ? p.source : null
       }))
       .slice(0, limit);
   } catch (error) {
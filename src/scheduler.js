@@ -1,21 +1,18 @@
 import schedule from 'node-schedule';
+import { TIMEZONE, PREP_TIME, POST_TIMES, formatTime } from './config.js';
+import {
+  getDateStringInTimezone,
+  getMinutesOfDayInTimezone,
+  addDaysToDateString,
+  zonedTimeToDate,
+  formatTimeInTimezone
+} from './timezone.js';
 
-// Argentina timezone (UTC-3)
-const ARGENTINA_TZ = 'America/Argentina/Buenos_Aires';
+// Horarios desde config.js (BOT_TIMEZONE, PREP_TIME, POST_TIMES)
+export { TIMEZONE, PREP_TIME, POST_TIMES };
 
-// Post times in Argentina time (24h format) — cada 2 horas desde las 9
-export const POST_TIMES = [
-  { hour: 9, minute: 0 },   // 9:00
-  { hour: 11, minute: 0 },  // 11:00
-  { hour: 13, minute: 0 },  // 13:00
-  { hour: 15, minute: 0 },  // 15:00
-  { hour: 17, minute: 0 },  // 17:00
-  { hour: 19, minute: 0 },  // 19:00
-  { hour: 21, minute: 0 }   // 21:00
-];
-
-// Time to prepare posts (run scraper and download images)
-export const PREP_TIME = { hour: 8, minute: 30 }; // 8:30 AM Argentina
+// Ventana en minutos para el modo "1 solo cron"
+const CRON_WINDOW_MINUTES = 30;
 
 /**
  * Schedule the daily preparation job
@@ -25,7 +22,7 @@ export function scheduleDailyPrep(prepCallback) {
   const rule = new schedule.RecurrenceRule();
   rule.hour = PREP_TIME.hour;
   rule.minute = PREP_TIME.minute;
-  rule.tz = ARGENTINA_TZ;
+  rule.tz = TIMEZONE;
 
   const job = schedule.scheduleJob('daily-prep', rule, async () => {
     console.log(`[${new Date().toISOString()}] Running daily preparation...`);
@@ -37,7 +34,30 @@ export function scheduleDailyPrep(prepCallback) {
     }
   });
 
-  console.log(`Daily preparation scheduled for ${PREP_TIME.hour}:${PREP_TIME.minute.toString().padStart(2, '0')} (Argentina)`);
+  console.log(`Daily preparation scheduled for ${formatTime(PREP_TIME)} (${TIMEZONE})`);
+  return job;
+}
+
+/**
+ * Chequeo diario del índice de cumpleaños (birthday-index.js): a las 04:00 en BOT_TIMEZONE, fuera de los horarios
+ * de prep y posteo. El callback decide si toca refrescar (BIRTHDAY_INDEX_REFRESH_DAYS).
+ * @param {Function} refreshCallback
+ */
+export function scheduleBirthdayIndexRefresh(refreshCallback) {
+  const rule = new schedule.RecurrenceRule();
+  rule.hour = 4;
+  rule.minute = 0;
+  rule.tz = TIMEZONE;
+
+  const job = schedule.scheduleJob('birthday-index-refresh', rule, async () => {
+    try {
+      await refreshCallback();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Birthday index refresh failed:`, error.message);
+    }
+  });
+
+  console.log(`Birthday index refresh check scheduled daily (04:00 ${TIMEZONE})`);
   return job;
 }
 
@@ -57,11 +77,11 @@ export function schedulePosts(posts, postCallback) {
     }
 
     const time = POST_TIMES[index];
-    const scheduledTime = getNextTimeInTimezone(time.hour, time.minute, ARGENTINA_TZ);
+    const scheduledTime = getNextTimeInTimezone(time.hour, time.minute, TIMEZONE);
 
     // Skip if the time has already passed today
     if (scheduledTime <= now) {
-      console.log(`Skipping post for ${post.character?.name || 'unknown'} - time ${time.hour}:${time.minute.toString().padStart(2, '0')} has passed`);
+      console.log(`Skipping post for ${post.character?.name || 'unknown'} - time ${formatTime(time)} has passed`);
       return;
     }
 
@@ -81,7 +101,7 @@ export function schedulePosts(posts, postCallback) {
       scheduledTime
     });
 
-    console.log(`Scheduled post for ${post.character?.name} at ${formatTimeInTimezone(scheduledTime, ARGENTINA_TZ)}`);
+    console.log(`Scheduled post for ${post.character?.name} at ${formatTimeInTimezone(scheduledTime, TIMEZONE)}`);
   });
 
   return jobs;
@@ -91,7 +111,7 @@ export function schedulePosts(posts, postCallback) {
  * Schedule a single post at a specific time
  */
 export function schedulePost(post, time, postCallback) {
-  const scheduledTime = getNextTimeInTimezone(time.hour, time.minute, ARGENTINA_TZ);
+  const scheduledTime = getNextTimeInTimezone(time.hour, time.minute, TIMEZONE);
 
   const job = schedule.scheduleJob(scheduledTime, async () => {
     console.log(`[${new Date().toISOString()}] Posting scheduled content...`);
@@ -106,43 +126,38 @@ export function schedulePost(post, time, postCallback) {
 }
 
 /**
- * Get the next occurrence of a specific time in a timezone
+ * Get the next occurrence of a specific wall-clock time in a timezone (DST-aware)
  */
 function getNextTimeInTimezone(hour, minute, timezone) {
   const now = new Date();
+  const today = getDateStringInTimezone(now, timezone);
 
-  // Create a date string for today at the specified time (in Argentina timezone)
-  const dateStr = now.toLocaleDateString('en-CA', { timeZone: timezone }); // YYYY-MM-DD format
-  const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00`;
-
-  // Create date in the target timezone
-  const targetTime = new Date(`${dateStr}T${timeStr}`);
-
-  // Adjust for timezone offset
-  const localOffset = now.getTimezoneOffset();
-  const argentinaOffset = -180; // UTC-3 in minutes
+  const targetTime = zonedTimeToDate(today, hour, minute, timezone);
+  if (targetTime > now) return targetTime;
 
-  const offsetDiff = (localOffset - argentinaOffset) * 60 * 1000;
-  targetTime.setTime(targetTime.getTime() + offsetDiff);
-
-  // If the time has passed today, schedule for tomorrow
-  if (targetTime <= now) {
-    targetTime.setDate(targetTime.getDate() + 1);
-  }
-
-  return targetTime;
+  // If the time has passed today, schedule for tomorrow (mismo horario de pared aunque cambie el offset)
+  return zonedTimeToDate(addDaysToDateString(today, 1), hour, minute, timezone);
 }
 
 /**
- * Format a date in Argentina timezone
+ * Con 1 solo cron (ej. cada 30 min): decide por la hora local del bot si hacer prep o post N.
+ * Ventana de 30 min por slot.
+ * @param {Date} [now]
+ * @returns {'prep'|number|null}
  */
-function formatTimeInTimezone(date, timezone) {
-  return date.toLocaleString('es-AR', {
-    timeZone: timezone,
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false
-  });
+export function getScheduledActionNow(now = new Date()) {
+  const slot = getMinutesOfDayInTimezone(now, TIMEZONE);
+
+  const inWindow = (h, m) => {
+    const start = h * 60 + m;
+    return slot >= start && slot < start + CRON_WINDOW_MINUTES;
+  };
+  if (inWindow(PREP_TIME.hour, PREP_TIME.minute)) return 'prep';
+  for (let i = 0; i < POST_TIMES.length; i++) {
+    const t = POST_TIMES[i];
+    if (inWindow(t.hour, t.minute)) return i;
+  }
+  return null;
 }
 
 /**
@@ -168,11 +183,13 @@ export function getScheduledJobs() {
 
 export default {
   scheduleDailyPrep,
+  scheduleBirthdayIndexRefresh,
   schedulePosts,
   schedulePost,
   cancelAllJobs,
   getScheduledJobs,
+  getScheduledActionNow,
   POST_TIMES,
   PREP_TIME,
-  ARGENTINA_TZ
+  TIMEZONE
 };
@@ -1,8 +1,14 @@
-import axios from 'axios';
+import { httpGet } from './http-client.js';
 import * as cheerio from 'cheerio';
 import { isUrlLikelyPlaceholder } from './image-validation.js';
+import { TIMEZONE } from './config.js';
+import { getZonedParts } from './timezone.js';
 
 const BIRTHDAYS_BASE = 'https://www.animecharactersdatabase.com/birthdays.php';
+// ACDB responde mejor a un navegador que al User-Agent del bot
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
 
 const MONTH_NAMES = [
   'January', 'February', 'March', 'April', 'May', 'June',
@@ -11,11 +17,11 @@ const MONTH_NAMES = [
 
 /**
  * URL de cumpleaños para una fecha concreta (evita que el servidor use su timezone y devuelva el día anterior).
- * @param {Date} [date] - Fecha a usar; por defecto hoy (local).
+ * @param {Date} [date] - Fecha a usar; por defecto hoy (día y mes en BOT_TIMEZONE).
  */
 function getBirthdaysUrl(date = new Date()) {
-  const day = date.getDate();
-  const month = MONTH_NAMES[date.getMonth()];
+  const { day, month: monthNumber } = getZonedParts(date, TIMEZONE);
+  const month = MONTH_NAMES[monthNumber - 1];
   return `${BIRTHDAYS_BASE}?theday=${day}&themonth=${encodeURIComponent(month)}`;
 }
 
@@ -43,11 +49,7 @@ function getBirthdaysUrl(date = new Date()) {
 export async function getTodaysBirthdays(limit = 6, date = new Date()) {
   try {
     const url = getBirthdaysUrl(date);
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const response = await httpGet(url, { headers: BROWSER_HEADERS }, { source: 'acdb' });
 
     const $ = cheerio.load(response.data);
     const characters = [];
@@ -89,40 +91,49 @@ export async function getTodaysBirthdays(limit = 6, date = new Date()) {
 
     // Quitar duplicados por ID (se mantiene la primera aparición, que tiene el orden correcto).
     const uniqueChars = [...new Map(characters.map(c => [c.id, c])).values()];
+    return await getTopBirthdayDetails(uniqueChars, limit);
+  } catch (error) {
+    console.error('Error scraping birthdays:', error.message);
+    throw error;
+  }
+}
 
-    // Ordenar por favoritos (más populares primero) usando los datos de la página del día.
-    uniqueChars.sort((a, b) => (b.favorites ?? 0) - (a.favorites ?? 0));
-
-    // Solo pedir detalles (nombre, serie, imagen) para los top N que vamos a publicar.
-    const topChars = uniqueChars.slice(0, limit);
-    const detailedChars = [];
-    for (const char of topChars) {
-      try {
-        const details = await getCharacterDetails(char.id);
-        if (details) {
-          detailedChars.push({
-            ...char,
-            ...details,
-            favorites: char.favorites ?? details.favorites ?? 0
-          });
-        } else {
-          detailedChars.push({ ...char, series: 'Unknown Anime', birthday: formatTodaysBirthday(), image: null });
-        }
-        await sleep(300);
-      } catch (e) {
-        console.error(`Failed to get details for ${char.name}:`, e.message);
+/**
+ * Top N de una lista del día (de la página o del índice local, ver birthday-index.js) por favoritos,
+ * con la ficha de cada uno (nombre, serie, imagen).
+ * @param {Array<{ id: string, name: string, thumbnail: string|null, url: string, favorites: number }>} list
+ * @param {number} limit
+ */
+export async function getTopBirthdayDetails(list, limit = 6) {
+  // Ordenar por favoritos (más populares primero) usando los datos de la página del día.
+  const sorted = [...list].sort((a, b) => (b.favorites ?? 0) - (a.favorites ?? 0));
+
+  // Solo pedir detalles (nombre, serie, imagen) para los top N que vamos a publicar.
+  const topChars = sorted.slice(0, limit);
+  const detailedChars = [];
+  for (const char of topChars) {
+    try {
+      const details = await getCharacterDetails(char.id);
+      if (details) {
+        detailedChars.push({
+          ...char,
+          ...details,
+          favorites: char.favorites ?? details.favorites ?? 0
+        });
+      } else {
         detailedChars.push({ ...char, series: 'Unknown Anime', birthday: formatTodaysBirthday(), image: null });
       }
+      await sleep(300);
+    } catch (e) {
+      console.error(`Failed to get details for ${char.name}:`, e.message);
+      detailedChars.push({ ...char, series: 'Unknown Anime', birthday: formatTodaysBirthday(), image: null });
     }
+  }
 
-    console.log(`[DEBUG] Top ${limit} por favoritos (página del día):`,
-      detailedChars.map(c => `${c.name} (${c.favorites ?? 0} favs)`).join(', '));
+  console.log(`[DEBUG] Top ${limit} por favoritos:`,
+    detailedChars.map(c => `${c.name} (${c.favorites ?? 0} favs)`).join(', '));
 
-    return detailedChars;
-  } catch (error) {
-    console.error('Error scraping birthdays:', error.message);
-    throw error;
-  }
+  return detailedChars;
 }
 
 /**
@@ -133,11 +144,7 @@ export async function getTodaysBirthdays(limit = 6, date = new Date()) {
 async function getCharacterDetails(charId) {
   try {
     const url = `https://www.animecharactersdatabase.com/characters.php?id=${charId}`;
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const response = await httpGet(url, { headers: BROWSER_HEADERS }, { source: 'acdb' });
 
     const $ = cheerio.load(response.data);
 
@@ -255,15 +262,19 @@ function cleanName(name) {
 }
 
 /**
- * Format today's date as "Month Day" (e.g., "January 31")
+ * Format a date as "Month Day" (e.g., "January 31") in BOT_TIMEZONE
+ * @param {Date} [date]
+ */
+export function formatBirthdayDate(date = new Date()) {
+  const { day, month } = getZonedParts(date, TIMEZONE);
+  return `${MONTH_NAMES[month - 1]} ${day}`;
+}
+
+/**
+ * Format today's date as "Month Day" (e.g., "January 31") in BOT_TIMEZONE
  */
 function formatTodaysBirthday() {
-  const months = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-  const today = new Date();
-  return `${months[today.getMonth()]} ${today.getDate()}`;
+  return formatBirthdayDate(new Date());
 }
 
 function sleep(ms) {
@@ -284,11 +295,7 @@ export async function getCharacterDetailsById(charId) {
 export async function getTodaysBirthdaysListOnly(date = new Date()) {
   try {
     const url = getBirthdaysUrl(date);
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const response = await httpGet(url, { headers: BROWSER_HEADERS }, { source: 'acdb' });
 
     const $ = cheerio.load(response.data);
     const byId = new Map();
@@ -357,4 +364,4 @@ export async function getTodaysBirthdaysListOnly(date = new Date()) {
   }
 }
 
-export default { getTodaysBirthdays, getCharacterDetailsById, getTodaysBirthdaysListOnly };
+export default { getTodaysBirthdays, getTopBirthdayDetails, getCharacterDetailsById, getTodaysBirthdaysListOnly, formatBirthdayDate };
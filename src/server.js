@@ -2,11 +2,21 @@ import http from 'http';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
-import { getCurrentState, loadState, canRecoverFromState, getAvailableDates } from './state.js';
-import { getDayDoc as getDayDocSupabase, getAvailableDates as getAvailableDatesSupabase } from './supabase.js';
-import { getScheduledJobs } from './scheduler.js';
+import { DATA_DIR, getTodayDateString } from './state.js';
+import { getCurrentState, getDayDoc, canRecoverFromState, getAvailableDates, getStateStore, listCharacterIdentities } from './state-store.js';
+import { getScheduledJobs, scheduleBirthdayIndexRefresh } from './scheduler.js';
+import { refreshBirthdayIndexInBackground } from './birthday-index.js';
+import { TIMEZONE, PREP_TIME, POST_TIMES, LANGUAGE, formatTime } from './config.js';
+import { getMinutesOfDayInTimezone } from './timezone.js';
+import { AWAITING_APPROVAL, REJECTED, approvePost, rejectPost, getAutoApproveAt } from './approval.js';
+import { savePreviewText, regeneratePreviewText, getImageCandidatesForPost, replacePostImage } from './preview-editor.js';
+import { readPostImage } from './blob-store.js';
+import { getPublisherLabel, getEnabledPublishers } from './publishers.js';
+import { getVoiceActorName } from './jikan.js';
+import { correctIdentity, getMinConfidence } from './identity-map.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,52 +27,35 @@ try {
   appVersion = JSON.parse(fsSync.readFileSync(pkgPath, 'utf-8')).version || appVersion;
 } catch (_) {}
 
-// Misma lógica que state.js para el directorio de datos
-const DATA_DIR = process.env.RAILWAY_ENVIRONMENT
-  ? '/data'
-  : path.join(__dirname, '..', 'data');
-
 const PORT = process.env.PORT || 3000;
-const ARGENTINA_TZ = 'America/Argentina/Buenos_Aires';
 const PROJECT_ROOT = path.join(__dirname, '..');
+// Mismo módulo que usa el bot para medir textos; el contador de la Vista previa lo importa desde acá
+const TEXT_LENGTH_MODULE = path.join(__dirname, 'text-length.js');
+// Plataformas con límite corto que muestra el contador (Discord y Telegram sobran)
+const COUNTER_PLATFORMS = ['twitter', 'bluesky', 'mastodon'];
+// ?date= de las páginas del dashboard
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
 
 async function getDatesForDashboard() {
-  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    try {
-      return await getAvailableDatesSupabase(7);
-    } catch (e) {
-      return await getAvailableDates();
-    }
-  }
-  return await getAvailableDates();
+  return await getAvailableDates(7);
 }
 
 async function getStateForDashboard(dateString) {
-  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    try {
-      const doc = await getDayDocSupabase(dateString);
-      return doc ? { date: doc.date, preparedAt: doc.preparedAt, posts: doc.posts || [] } : null;
-    } catch (e) {
-      return await loadState(dateString);
-    }
-  }
-  return await loadState(dateString);
+  const doc = await getDayDoc(dateString);
+  return doc ? { date: doc.date, preparedAt: doc.preparedAt, posts: doc.posts || [] } : null;
 }
 
 /**
- * Indica si la hora programada ya pasó (según hora Argentina).
+ * Indica si la hora programada ya pasó (según hora local del bot, BOT_TIMEZONE).
  * @param {string} stateDate - YYYY-MM-DD
  * @param {string} scheduledTime - "HH:MM" o "HH:MM:SS"
  */
 function scheduledTimeHasPassed(stateDate, scheduledTime) {
-  const todayStr = new Date().toLocaleDateString('en-CA', { timeZone: ARGENTINA_TZ });
+  const todayStr = getTodayDateString();
   if (stateDate < todayStr) return true;
   if (stateDate > todayStr) return false;
   const [h, m] = (scheduledTime || '00:00').split(':').map(Number);
-  const now = new Date();
-  const nowHour = parseInt(now.toLocaleString('en-US', { timeZone: ARGENTINA_TZ, hour: 'numeric', hour12: false }), 10);
-  const nowMinute = parseInt(now.toLocaleString('en-US', { timeZone: ARGENTINA_TZ, minute: '2-digit' }), 10);
-  return nowHour > h || (nowHour === h && nowMinute >= (m || 0));
+  return getMinutesOfDayInTimezone(new Date(), TIMEZONE) >= h * 60 + (m || 0);
 }
 
 /**
@@ -71,6 +64,8 @@ function scheduledTimeHasPassed(stateDate, scheduledTime) {
 function getPlanStatusDisplay(post, stateDate) {
   if (post.status === 'posted') return { label: 'Enviado', class: 'status-posted', emoji: '✅' };
   if (post.status === 'error') return { label: 'Error', class: 'status-error', emoji: '❌' };
+  if (post.status === AWAITING_APPROVAL) return { label: 'Por aprobar', class: 'status-awaiting', emoji: '📝' };
+  if (post.status === REJECTED) return { label: 'Rechazado', class: 'status-rejected', emoji: '🚫' };
   if (post.status === 'pending') {
     const passed = scheduledTimeHasPassed(stateDate, post.scheduledTime);
     return passed
@@ -87,7 +82,7 @@ function formatDate(dateString) {
   if (!dateString) return 'N/A';
   const date = new Date(dateString);
   return date.toLocaleString('es-AR', {
-    timeZone: 'America/Argentina/Buenos_Aires',
+    timeZone: TIMEZONE,
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
@@ -100,9 +95,10 @@ function formatDate(dateString) {
  */
 function formatFullDate(dateString) {
   if (!dateString) return 'Sin fecha';
-  const date = new Date(dateString + 'T12:00:00');
+  // Fecha de calendario: mediodía UTC formateado en UTC, así no se corre de día en ninguna zona
+  const date = new Date(dateString + 'T12:00:00Z');
   return date.toLocaleDateString('es-AR', {
-    timeZone: 'America/Argentina/Buenos_Aires',
+    timeZone: 'UTC',
     weekday: 'long',
     day: 'numeric',
     month: 'long',
@@ -121,10 +117,99 @@ function getStatusDisplay(post, stateDate) {
     return { emoji: '⏳', text: 'Pendiente', color: '#f59e0b' };
   }
   const plan = getPlanStatusDisplay(post, stateDate);
-  const colors = { 'status-posted': '#22c55e', 'status-error': '#ef4444', 'status-sending': '#3b82f6', 'status-pending': '#f59e0b' };
+  const colors = { 'status-posted': '#22c55e', 'status-error': '#ef4444', 'status-sending': '#3b82f6', 'status-pending': '#f59e0b', 'status-awaiting': '#a78bfa', 'status-rejected': '#9ca3af' };
   return { emoji: plan.emoji, text: plan.label, color: colors[plan.class] || '#f59e0b' };
 }
 
+/**
+ * Quién aprobó/rechazó un post (línea chica debajo del estado).
+ */
+function formatApproval(post) {
+  if (post.status === REJECTED && post.rejectedBy) {
+    return `<br><span class="approver">por ${escapeHtml(post.rejectedBy)}${post.rejectReason ? ` · ${escapeHtml(post.rejectReason)}` : ''}</span>`;
+  }
+  if (post.approvedBy) {
+    return `<br><span class="approver">aprobado por ${escapeHtml(post.approvedBy)}${post.approvedAt ? ` · ${formatDate(post.approvedAt)}` : ''}</span>`;
+  }
+  return '';
+}
+
+/**
+ * Quién escribió el texto de un idioma (post.textSources): "gemini/gemini-2.0-flash", "template", "manual".
+ * Posts viejos sin textSources: nada.
+ */
+function formatTextSource(post, language, prefix = '') {
+  const source = post.textSources?.[language || LANGUAGE];
+  if (!source?.provider) return '';
+  return `${prefix}${escapeHtml(source.model ? `${source.provider}/${source.model}` : source.provider)}`;
+}
+
+/**
+ * Seiyuu del post (post.voiceActors, de Jikan) con link a su página en MAL: "CV: Inori Minase (JP), Erica Mendez (EN)".
+ */
+function formatVoiceActors(post, prefix = '') {
+  const voices = post.voiceActors || [];
+  if (voices.length === 0) return '';
+  const list = voices.map(v => {
+    const name = escapeHtml(getVoiceActorName([v], v.language));
+    const lang = v.language === 'Japanese' ? 'JP' : 'EN';
+    return v.url ? `<a href="${escapeHtml(v.url)}" target="_blank">${name}</a> (${lang})` : `${name} (${lang})`;
+  });
+  return `${prefix}CV: ${list.join(', ')}`;
+}
+
+/**
+ * Avisos de la validación del texto principal (text-validator.js), ej. datos que no están en el about de MAL.
+ */
+function formatTextWarnings(post) {
+  const warnings = post.textSources?.[post.language || LANGUAGE]?.warnings || [];
+  if (warnings.length === 0) return '';
+  const text = warnings.map(w => w.replace(/^unverified:/, 'no está en MAL: ').replace(/^low-confidence:/, 'confianza baja: ')).join(' · ');
+  return `<div class="text-warning">⚠ Revisar: ${escapeHtml(text)}</div>`;
+}
+
+/**
+ * Aviso de coincidencia dudosa con MAL (post.lowConfidenceMatch, ver name-matcher.js), con link para corregirla en /identidades.
+ * Las otras candidatas de la búsqueda van en el title.
+ */
+function formatMatchWarning(post) {
+  if (!post.lowConfidenceMatch) return '';
+  const confidence = typeof post.matchConfidence === 'number' ? ` (${post.matchConfidence.toFixed(2)})` : '';
+  const candidates = (post.matchCandidates || []).map(c => `${c.name} (${c.confidence})`).join(', ');
+  const fix = post.acdbId ? ` — <a href="/identidades?q=${encodeURIComponent(post.acdbId)}">corregir en Identidades</a>` : '';
+  return `<div class="text-warning"${candidates ? ` title="Candidatas: ${escapeHtml(candidates)}"` : ''}>⚠ Coincidencia dudosa con MAL${confidence}: revisar que sea el personaje correcto${fix}</div>`;
+}
+
+/**
+ * Fuentes que listaron al personaje en el descubrimiento (post.discoverySources, ver discovery.js), con la popularidad.
+ */
+function formatDiscoverySources(post, prefix = '') {
+  if (!post.discoverySources?.length) return '';
+  const labels = { acdb: 'ACDB', anilist: 'AniList' };
+  const sources = post.discoverySources.map(s => labels[s] || s).join(' + ');
+  const popularity = typeof post.popularity === 'number' ? ` (${post.popularity.toFixed(2)})` : '';
+  return `${prefix}${escapeHtml(sources)}${popularity}`;
+}
+
+/**
+ * Links del post por plataforma (post.platforms); los que fallaron quedan marcados con el error en el title.
+ * Posts viejos sin platforms: solo tweetUrl.
+ */
+function formatPlatformLinks(post, linkClass = '') {
+  const cls = linkClass ? ` class="${linkClass}"` : '';
+  const entries = Object.entries(post.platforms || {});
+  if (entries.length === 0) {
+    return post.tweetUrl ? `<a href="${escapeHtml(post.tweetUrl)}" target="_blank"${cls}>Ver tweet</a>` : '-';
+  }
+  return entries.map(([name, p]) => {
+    const label = escapeHtml(getPublisherLabel(name));
+    if (p.url) return `<a href="${escapeHtml(p.url)}" target="_blank"${cls}>${label}</a>`;
+    return p.status === 'error'
+      ? `<span class="status-error" title="${escapeHtml(p.error || '')}">✗ ${label}</span>`
+      : `<span>${label}</span>`;
+  }).join(' · ');
+}
+
 /**
  * Generate HTML dashboard
  */
@@ -237,6 +322,8 @@ async function generateDashboard() {
     .status-pending { background: rgba(245,158,11,0.2); color: #f59e0b; }
     .status-sending { background: rgba(59,130,246,0.2); color: #3b82f6; }
     .status-error { background: rgba(239,68,68,0.2); color: #ef4444; }
+    .status-awaiting { background: rgba(167,139,250,0.2); color: #a78bfa; }
+    .status-rejected { background: rgba(156,163,175,0.2); color: #9ca3af; }
     .tweet-link {
       color: #60a5fa;
       text-decoration: none;
@@ -252,6 +339,10 @@ async function generateDashboard() {
       font-size: 0.85rem;
       color: #8b8b8b;
     }
+    .text-warning {
+      font-size: 0.8rem;
+      color: #f59e0b;
+    }
     footer {
       text-align: center;
       margin-top: 30px;
@@ -267,6 +358,11 @@ async function generateDashboard() {
       padding: 40px;
       color: #8b8b8b;
     }
+    .approval-note {
+      text-align: center;
+      margin: -15px 0 20px;
+      color: #a78bfa;
+    }
     @media (max-width: 600px) {
       .stats { grid-template-columns: 1fr; }
       th, td { padding: 10px 8px; font-size: 0.9rem; }
@@ -297,6 +393,9 @@ async function generateDashboard() {
         <div class="stat-label">Errores</div>
       </div>
     </div>
+    ${state.posts.some(p => p.status === AWAITING_APPROVAL) ? `
+    <p class="approval-note">📝 ${state.posts.filter(p => p.status === AWAITING_APPROVAL).length} post(s) esperando aprobación — <a href="/vista-previa?date=${state.date}" class="tweet-link">revisar en Vista previa</a></p>
+    ` : ''}
 
     <table>
       <thead>
@@ -312,13 +411,14 @@ async function generateDashboard() {
       <tbody>
         ${state.posts.map((post, i) => {
           const status = getStatusDisplay(post, state.date);
-          const badgeClass = post.status === 'pending' && scheduledTimeHasPassed(state.date, post.scheduledTime) ? 'status-sending' : `status-${post.status}`;
+          const badgeClass = getPlanStatusDisplay(post, state.date).class;
           return `
           <tr>
             <td>${i + 1}</td>
             <td>
               <div class="character-name">${escapeHtml(post.character)}</div>
               <div class="series-name">${escapeHtml(post.series)}</div>
+              ${formatMatchWarning(post)}
             </td>
             <td>${post.scheduledTime}</td>
             <td>
@@ -327,11 +427,7 @@ async function generateDashboard() {
               </span>
             </td>
             <td>${post.postedAt ? formatDate(post.postedAt) : '-'}</td>
-            <td>
-              ${post.tweetUrl
-                ? `<a href="${post.tweetUrl}" target="_blank" class="tweet-link">Ver tweet</a>`
-                : '-'}
-            </td>
+            <td>${formatPlatformLinks(post, 'tweet-link')}</td>
           </tr>
           `;
         }).join('')}
@@ -340,14 +436,14 @@ async function generateDashboard() {
     ` : `
     <div class="no-posts">
       <p>No hay posts programados para hoy.</p>
-      <p style="margin-top: 10px;">Los posts se preparan a las 8:30 AM (Argentina).</p>
+      <p style="margin-top: 10px;">Los posts se preparan a las ${formatTime(PREP_TIME)} (${TIMEZONE}).</p>
     </div>
     `}
 
     <footer>
       <p>Auto-refresh cada 30 segundos</p>
       <p style="margin-top: 5px;">Bot activo | ${jobs.length} jobs programados | v${appVersion}</p>
-      <p style="margin-top: 8px;"><a href="/planificado" style="color: #60a5fa;">Planificado</a> · <a href="/vista-previa" style="color: #60a5fa;">Vista previa (cómo queda cada post antes de publicar)</a></p>
+      <p style="margin-top: 8px;"><a href="/planificado" style="color: #60a5fa;">Planificado</a> · <a href="/vista-previa" style="color: #60a5fa;">Vista previa (cómo queda cada post antes de publicar)</a> · <a href="/identidades" style="color: #60a5fa;">Identidades</a></p>
     </footer>
   </div>
 </body>
@@ -379,6 +475,10 @@ async function generatePlanificadoPage(dates, selectedDate, state) {
     .status-pending { color: #f59e0b; }
     .status-sending { color: #3b82f6; }
     .status-error { color: #ef4444; }
+    .status-awaiting { color: #a78bfa; }
+    .status-rejected { color: #9ca3af; }
+    .approver { color: #8b8b8b; font-size: 0.85em; }
+    .text-warning { color: #f59e0b; font-size: 0.85em; }
     .no-posts { text-align: center; padding: 40px; color: #8b8b8b; }
   `;
   const options = dates.map(d => `<option value="${d}" ${d === selectedDate ? 'selected' : ''}>${formatFullDate(d)} (${d})</option>`).join('');
@@ -386,11 +486,11 @@ async function generatePlanificadoPage(dates, selectedDate, state) {
     const plan = getPlanStatusDisplay(post, selectedDate);
     return `<tr>
       <td>${i + 1}</td>
-      <td><strong>${escapeHtml(post.character)}</strong><br><span style="color:#8b8b8b;font-size:0.9em">${escapeHtml(post.series)}</span></td>
+      <td><strong>${escapeHtml(post.character)}</strong><br><span style="color:#8b8b8b;font-size:0.9em">${escapeHtml(post.series)}</span>${formatMatchWarning(post)}</td>
       <td>${post.scheduledTime}</td>
-      <td class="${plan.class}">${plan.emoji} ${plan.label}</td>
+      <td class="${plan.class}">${plan.emoji} ${plan.label}${formatApproval(post)}</td>
       <td>${post.postedAt ? formatDate(post.postedAt) : '-'}</td>
-      <td>${post.tweetUrl ? `<a href="${escapeHtml(post.tweetUrl)}" target="_blank">Ver tweet</a>` : '-'}</td>
+      <td>${formatPlatformLinks(post)}</td>
     </tr>`;
   }).join('');
   return `<!DOCTYPE html>
@@ -419,7 +519,270 @@ async function generatePlanificadoPage(dates, selectedDate, state) {
 }
 
 /**
- * Página Vista previa: cómo quedaría cada post (mockup de tweet)
+ * Página Identidades: personaje de ACDB → MAL / AniList (ver identity-map.js), con un form por fila para corregirlo.
+ * Al guardar la identidad queda manual y el prep la usa siempre; "Volver a automática" hace que el próximo prep busque de nuevo.
+ * @param {Array} identities - listCharacterIdentities()
+ * @param {string} query - filtro ?q= (acdbId, nombre o serie)
+ */
+function generateIdentitiesPage(identities, query) {
+  const baseStyle = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Segoe UI', system-ui, sans-serif; background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%); min-height: 100vh; color: #e0e0e0; padding: 20px; }
+    .container { max-width: 1200px; margin: 0 auto; }
+    header { text-align: center; margin-bottom: 24px; padding: 20px; background: rgba(255,255,255,0.05); border-radius: 16px; }
+    h1 { font-size: 1.75rem; color: #ff6b9d; margin-bottom: 8px; }
+    a { color: #60a5fa; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    .nav, .editor-auth { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 20px; }
+    input { padding: 6px 10px; border-radius: 8px; background: rgba(255,255,255,0.1); color: #e0e0e0; border: 1px solid rgba(255,255,255,0.2); width: 100%; min-width: 70px; }
+    .nav input, .editor-auth input { flex: 1; width: auto; min-width: 120px; }
+    table { width: 100%; border-collapse: collapse; background: rgba(255,255,255,0.05); border-radius: 12px; overflow: hidden; border: 1px solid rgba(255,255,255,0.1); }
+    th { background: rgba(255,107,157,0.2); padding: 10px; text-align: left; color: #ff6b9d; }
+    td { padding: 8px 10px; border-bottom: 1px solid rgba(255,255,255,0.05); vertical-align: top; }
+    tr:last-child td { border-bottom: none; }
+    button { padding: 6px 12px; border-radius: 8px; border: none; cursor: pointer; font-weight: 600; background: #374151; color: #e0e0e0; margin-bottom: 4px; }
+    button.save { background: #22c55e; color: #0b1a10; }
+    .manual { color: #22c55e; }
+    .low { color: #f59e0b; }
+    .small { color: #8b8b8b; font-size: 0.85em; }
+    .no-posts { text-align: center; padding: 40px; color: #8b8b8b; }
+  `;
+  const minConfidence = getMinConfidence();
+  const redirectTo = `/identidades${query ? `?q=${encodeURIComponent(query)}` : ''}`;
+  const rows = identities.map((identity) => {
+    const id = escapeHtml(String(identity.acdbId));
+    const formId = `identity-${id}`;
+    const field = (name, value, placeholder) =>
+      `<input form="${formId}" name="${name}" value="${escapeHtml(value == null ? '' : String(value))}" placeholder="${placeholder}">`;
+    const confidenceClass = identity.manual ? 'manual' : identity.confidence < minConfidence ? 'low' : '';
+    const links = [
+      identity.malId ? `<a href="https://myanimelist.net/character/${identity.malId}" target="_blank" rel="noopener">MAL</a>` : '',
+      identity.anilistId ? `<a href="https://anilist.co/character/${identity.anilistId}" target="_blank" rel="noopener">AniList</a>` : ''
+    ].filter(Boolean).join(' · ');
+    return `<tr>
+      <td><a href="https://www.animecharactersdatabase.com/characters.php?id=${id}" target="_blank" rel="noopener">${id}</a></td>
+      <td>${field('name', identity.name, 'Nombre')}${field('series', identity.series, 'Serie')}</td>
+      <td>${field('malId', identity.malId, 'MAL')}<span class="small">${links}</span></td>
+      <td>${field('anilistId', identity.anilistId, 'AniList')}</td>
+      <td>${field('animeMalId', identity.animeMalId, 'Anime MAL')}</td>
+      <td class="${confidenceClass}">${identity.manual ? '✋ manual' : (identity.confidence ?? 0).toFixed(2)}<br><span class="small">${escapeHtml(identity.updatedBy || '')}${identity.updatedAt ? ` · ${formatDate(identity.updatedAt)}` : ''}</span></td>
+      <td>
+        <form id="${formId}" method="post" action="/api/identities/${id}" onsubmit="return fillEditorFields(this)">
+          <input type="hidden" name="redirect" value="${escapeHtml(redirectTo)}">
+          <input type="hidden" name="token">
+          <input type="hidden" name="by">
+          <button type="submit" class="save">Guardar</button>
+          ${identity.manual ? `<button type="submit" formaction="/api/identities/${id}/reset">Volver a automática</button>` : ''}
+        </form>
+      </td>
+    </tr>`;
+  }).join('');
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Identidades</title><style>${baseStyle}</style></head>
+<body>
+  <div class="container">
+    <header>
+      <h1>🪪 Identidades</h1>
+      <p style="color:#8b8b8b">Personaje de ACDB → MyAnimeList / AniList. Lo que se corrige acá queda <strong>manual</strong> y el prep lo usa en las próximas corridas.</p>
+      <p style="color:#6b7280; font-size:0.9em; margin-top:6px;">Las automáticas con confianza menor a ${minConfidence} se vuelven a buscar en cada prep (en amarillo).</p>
+      <p style="margin-top:8px"><a href="/">← Dashboard</a> · <a href="/planificado">Planificado</a> · <a href="/vista-previa">Vista previa</a></p>
+    </header>
+    <form class="nav" method="get" action="/identidades">
+      <input type="search" name="q" value="${escapeHtml(query)}" placeholder="Buscar por id de ACDB, nombre o serie">
+      <button type="submit">Buscar</button>
+    </form>
+    <div class="editor-auth">
+      <input type="password" id="dashboard-token" placeholder="Token (DASHBOARD_TOKEN)" autocomplete="off">
+      <input type="text" id="editor-name" placeholder="Tu nombre">
+    </div>
+    ${rows ? `
+    <table>
+      <thead><tr><th>ACDB</th><th>Personaje / serie</th><th>MAL</th><th>AniList</th><th>Anime (MAL)</th><th>Confianza</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ` : `<div class="no-posts">${query ? 'Ninguna identidad coincide con la búsqueda.' : 'Todavía no hay identidades (se guardan en cada prep).'}</div>`}
+  </div>
+  <script>${REMEMBER_TOKEN_SCRIPT}
+    function fillEditorFields(form) {
+      var token = document.getElementById('dashboard-token').value.trim();
+      var name = document.getElementById('editor-name').value.trim();
+      if (!token || !name) {
+        alert('Completá token y nombre arriba');
+        return false;
+      }
+      form.token.value = token;
+      form.by.value = name;
+      return true;
+    }
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Recuerda el token de la barra de arriba en sessionStorage (solo esta pestaña) para no pedirlo después de cada form.
+ * El token nunca va en la URL: se manda en el header Authorization o en el body del POST.
+ */
+const REMEMBER_TOKEN_SCRIPT = String.raw`
+  (function () {
+    var input = document.getElementById('dashboard-token');
+    if (!input) return;
+    input.value = sessionStorage.getItem('dashboardToken') || '';
+    input.addEventListener('input', function () { sessionStorage.setItem('dashboardToken', input.value.trim()); });
+  })();
+`;
+
+/**
+ * Script de la Vista previa (módulo): contador por plataforma con src/text-length.js (servido en /text-length.js),
+ * guardar/regenerar texto y elegir otra imagen.
+ * Usa las acciones de /api/posts/:date/:index/* con el token y el nombre de la barra de arriba.
+ */
+const PREVIEW_EDITOR_SCRIPT = String.raw`
+  import { measureText, getPlatformLimit } from '/text-length.js';
+
+  // Plataformas habilitadas con límite corto (data-platforms del body)
+  var COUNTER_PLATFORMS = (document.body.dataset.platforms || 'twitter').split(',');
+  var PLATFORM_LABELS = { twitter: 'X', bluesky: 'Bluesky', mastodon: 'Mastodon' };
+
+  function updateCounter(textarea) {
+    var card = textarea.closest('.tweet-mock');
+    var counter = card.querySelector('.counter');
+    var over = false;
+    counter.textContent = COUNTER_PLATFORMS.map(function (platform) {
+      var len = measureText(textarea.value, platform);
+      var max = getPlatformLimit(platform);
+      if (len > max) over = true;
+      return (PLATFORM_LABELS[platform] || platform) + ' ' + len + ' / ' + max;
+    }).join(' · ');
+    counter.classList.toggle('over', over);
+  }
+
+  function editorToken() { return document.getElementById('dashboard-token').value; }
+  function editorName() { return document.getElementById('editor-name').value.trim(); }
+
+  function showMessage(card, text, isError) {
+    var msg = card.querySelector('.editor-msg');
+    msg.textContent = text;
+    msg.classList.toggle('error', !!isError);
+  }
+
+  function callPostAction(card, action, body) {
+    var url = '/api/posts/' + card.dataset.date + '/' + card.dataset.index + '/' + action;
+    var opts = { method: body ? 'POST' : 'GET', headers: { 'Authorization': 'Bearer ' + editorToken() } };
+    if (body) {
+      opts.headers['Content-Type'] = 'application/json';
+      opts.body = JSON.stringify(Object.assign({ by: editorName() }, body));
+    }
+    return fetch(url, opts).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+        return data;
+      });
+    });
+  }
+
+  function saveText(button) {
+    var card = button.closest('.tweet-mock');
+    var textarea = card.querySelector('textarea');
+    var over = COUNTER_PLATFORMS.filter(function (p) { return measureText(textarea.value, p) > getPlatformLimit(p); });
+    if (over.length && !confirm('El texto supera el límite de ' + over.map(function (p) { return PLATFORM_LABELS[p] || p; }).join(', ') + ' (se recorta al publicar). ¿Guardar igual?')) return;
+    showMessage(card, 'Guardando...');
+    var cw = card.querySelector('input[name="contentWarning"]');
+    var alt = card.querySelector('input[name="altText"]');
+    callPostAction(card, 'text', { text: textarea.value, contentWarning: cw ? cw.value : undefined, altText: alt ? alt.value : undefined })
+      .then(function () { showMessage(card, 'Texto guardado'); })
+      .catch(function (e) { showMessage(card, e.message, true); });
+  }
+
+  function regenerateText(button) {
+    var card = button.closest('.tweet-mock');
+    showMessage(card, 'Regenerando texto...');
+    callPostAction(card, 'regenerate', {})
+      .then(function (data) {
+        var textarea = card.querySelector('textarea');
+        textarea.value = data.post.previewText;
+        updateCounter(textarea);
+        var alt = card.querySelector('input[name="altText"]');
+        if (alt) alt.value = data.post.altText || '';
+        showMessage(card, 'Texto regenerado y guardado');
+      })
+      .catch(function (e) { showMessage(card, e.message, true); });
+  }
+
+  function loadCandidates(button, refresh) {
+    var card = button.closest('.tweet-mock');
+    var box = card.querySelector('.candidates');
+    showMessage(card, refresh ? 'Buscando imágenes en las fuentes (puede tardar)...' : 'Cargando candidatas...');
+    callPostAction(card, refresh ? 'candidates?refresh=1' : 'candidates')
+      .then(function (data) {
+        box.innerHTML = '';
+        data.candidates.forEach(function (c) {
+          var item = document.createElement('button');
+          item.type = 'button';
+          item.className = 'candidate' + (c.selected ? ' selected' : '') + (c.valid === false ? ' invalid' : '');
+          item.title = c.source + ' — ' + c.url + (c.reason ? ' — ' + c.reason : '');
+          var img = document.createElement('img');
+          img.src = c.url;
+          img.loading = 'lazy';
+          img.referrerPolicy = 'no-referrer';
+          var label = document.createElement('span');
+          label.textContent = c.source + (c.width ? ' · ' + c.width + 'x' + c.height : '') + (c.score != null ? ' · ' + c.score : '');
+          item.appendChild(img);
+          item.appendChild(label);
+          item.onclick = function () { chooseImage(card, c); };
+          box.appendChild(item);
+        });
+        var again = document.createElement('button');
+        again.type = 'button';
+        again.className = 'tool';
+        again.textContent = 'Buscar de nuevo';
+        again.onclick = function () { loadCandidates(again, true); };
+        box.appendChild(again);
+        showMessage(card, data.candidates.length ? 'Elegí una imagen (fuente · tamaño · puntaje)' : 'No se encontraron otras imágenes', !data.candidates.length);
+      })
+      .catch(function (e) { showMessage(card, e.message, true); });
+  }
+
+  function chooseImage(card, candidate) {
+    showMessage(card, 'Guardando imagen (' + candidate.source + ')...');
+    callPostAction(card, 'image', { url: candidate.url, source: candidate.source })
+      .then(function () {
+        var img = card.querySelector('img.post-image');
+        img.style.display = 'block';
+        img.src = img.src.split('?')[0] + '?v=' + Date.now();
+        card.querySelector('.candidates').innerHTML = '';
+        showMessage(card, 'Imagen reemplazada');
+      })
+      .catch(function (e) { showMessage(card, e.message, true); });
+  }
+
+  // Forms de aprobación: toman token y nombre de la barra de arriba
+  function fillEditorFields(form) {
+    if (!editorToken() || !editorName()) {
+      alert('Completá token y nombre arriba');
+      return false;
+    }
+    form.token.value = editorToken();
+    form.by.value = editorName();
+    return true;
+  }
+
+  document.querySelectorAll('.tweet-mock textarea').forEach(function (t) {
+    t.addEventListener('input', function () { updateCounter(t); });
+    updateCounter(t);
+  });
+
+  // Es un módulo: lo que usan los onclick/onsubmit del HTML va a window
+  window.saveText = saveText;
+  window.regenerateText = regenerateText;
+  window.loadCandidates = loadCandidates;
+  window.fillEditorFields = fillEditorFields;
+`;
+
+/**
+ * Página Vista previa: cómo quedaría cada post (mockup de tweet).
+ * Los no publicados se pueden editar: texto (con contador), regenerar, cambiar imagen, aprobar/rechazar.
  */
 async function generateVistaPreviaPage(dates, selectedDate, state) {
   const baseStyle = `
@@ -434,40 +797,122 @@ async function generateVistaPreviaPage(dates, selectedDate, state) {
     select { padding: 8px 12px; border-radius: 8px; background: rgba(255,255,255,0.1); color: #e0e0e0; border: 1px solid rgba(255,255,255,0.2); cursor: pointer; }
     .tweet-mock { background: #15202b; border: 1px solid #38444d; border-radius: 16px; padding: 16px; margin-bottom: 16px; }
     .tweet-mock .text { white-space: pre-wrap; word-break: break-word; margin-bottom: 12px; line-height: 1.4; }
+    .tweet-mock textarea { width: 100%; min-height: 140px; padding: 10px; border-radius: 12px; background: #192734; color: #e0e0e0; border: 1px solid #38444d; font: inherit; line-height: 1.4; resize: vertical; }
+    .tweet-mock .cw, .tweet-mock .alt { width: 100%; margin-bottom: 8px; padding: 6px 10px; border-radius: 8px; background: #192734; color: #e0e0e0; border: 1px solid #38444d; }
     .tweet-mock img { max-width: 100%; border-radius: 12px; display: block; }
     .tweet-mock .meta { color: #8b8b8b; font-size: 0.85em; margin-top: 8px; }
+    .tweet-mock .text-warning { color: #f59e0b; font-size: 0.85em; margin-top: 8px; }
     .tweet-mock .no-image { background: rgba(255,255,255,0.05); border: 1px dashed #555; border-radius: 12px; padding: 24px; text-align: center; color: #8b8b8b; font-size: 0.9em; margin-top: 8px; }
     .no-posts { text-align: center; padding: 40px; color: #8b8b8b; }
+    .status { font-size: 0.85em; margin-top: 8px; }
+    .status-posted { color: #22c55e; }
+    .status-pending { color: #f59e0b; }
+    .status-sending { color: #3b82f6; }
+    .status-error { color: #ef4444; }
+    .status-awaiting { color: #a78bfa; }
+    .status-rejected { color: #9ca3af; }
+    .approver { color: #8b8b8b; }
+    .editor-auth { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 20px; }
+    .editor-auth input, .approval input { flex: 1; min-width: 120px; padding: 6px 10px; border-radius: 8px; background: rgba(255,255,255,0.1); color: #e0e0e0; border: 1px solid rgba(255,255,255,0.2); }
+    .editor-tools { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin: 8px 0 12px; }
+    .editor-tools .counter { margin-left: auto; color: #8b8b8b; font-size: 0.85em; font-variant-numeric: tabular-nums; }
+    .editor-tools .counter.over { color: #ef4444; font-weight: 600; }
+    .editor-msg { color: #8b8b8b; font-size: 0.85em; margin-top: 6px; min-height: 1em; }
+    .editor-msg.error { color: #ef4444; }
+    .candidates { display: grid; grid-template-columns: repeat(auto-fill, minmax(90px, 1fr)); gap: 8px; margin-top: 8px; }
+    .candidate { background: #192734; border: 1px solid #38444d; border-radius: 8px; padding: 4px; cursor: pointer; color: #8b8b8b; font-size: 0.75em; }
+    .candidate:hover { border-color: #60a5fa; }
+    .candidate.selected { border-color: #22c55e; }
+    .candidate.invalid { opacity: 0.45; }
+    .candidate img { width: 100%; height: 90px; object-fit: cover; border-radius: 6px; margin-bottom: 2px; }
+    button.tool, .approval button { padding: 6px 14px; border-radius: 8px; border: none; cursor: pointer; font-weight: 600; background: #374151; color: #e0e0e0; }
+    .approval { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; padding-top: 12px; border-top: 1px solid #38444d; }
+    .approval .approve { background: #22c55e; color: #0b1a10; }
+    .approval .reject { background: #4b5563; color: #e0e0e0; }
   `;
   const options = dates.map(d => `<option value="${d}" ${d === selectedDate ? 'selected' : ''}>${formatFullDate(d)} (${d})</option>`).join('');
   const posts = state?.posts || [];
+  const autoApproveAt = getAutoApproveAt(state);
+  const redirectTo = `/vista-previa?date=${selectedDate}`;
   const cards = posts.map((post, i) => {
-    const text = post.previewText || `🎂 Happy Birthday to ${escapeHtml(post.character)}! 🎉\n\nFrom ${escapeHtml(post.series)}.`;
+    const text = post.previewText || `🎂 Happy Birthday to ${post.character}! 🎉\n\nFrom ${post.series}.`;
     const imgUrl = `/preview-image/${selectedDate}/${i}`;
-    return `<div class="tweet-mock">
-      <div class="text">${escapeHtml(text).replace(/\n/g, '<br>')}</div>
-      <img src="${imgUrl}" alt="" width="400" onerror="this.style.display='none'; var n=this.nextElementSibling; if(n) n.style.display='block';" />
+    const plan = getPlanStatusDisplay(post, selectedDate);
+    const index = post.index ?? i;
+    const editable = post.status !== 'posted';
+    // Texto: editable con contador ponderado (POST text/regenerate) salvo los ya publicados
+    const textBlock = editable ? `
+      <input type="text" name="contentWarning" class="cw" placeholder="Content warning para Mastodon (opcional)" value="${escapeHtml(post.contentWarning || '')}">
+      <textarea name="text">${escapeHtml(text)}</textarea>
+      <input type="text" name="altText" class="alt" placeholder="Texto alternativo de la imagen (vacío = el de la plantilla)" value="${escapeHtml(post.altText || '')}">
+      <div class="editor-tools">
+        <button type="button" class="tool" onclick="saveText(this)">Guardar texto</button>
+        <button type="button" class="tool" onclick="regenerateText(this)">Regenerar texto</button>
+        <button type="button" class="tool" onclick="loadCandidates(this)">Cambiar imagen</button>
+        <span class="counter"></span>
+      </div>` : `<div class="text">${escapeHtml(text).replace(/\n/g, '<br>')}</div>`;
+    // Aprobar / rechazar (POST /api/posts/:date/:index/approve|reject); no aplica a los ya publicados
+    const approvalForm = editable ? `
+      <form class="approval" method="post" action="/api/posts/${selectedDate}/${index}/approve" onsubmit="return fillEditorFields(this)">
+        <input type="hidden" name="redirect" value="${escapeHtml(redirectTo)}">
+        <input type="hidden" name="token">
+        <input type="hidden" name="by">
+        <input type="text" name="reason" placeholder="Motivo (si rechazás)">
+        ${post.status === 'pending' && post.approvedBy ? '' : '<button type="submit" class="approve">Aprobar</button>'}
+        ${post.status === REJECTED ? '' : `<button type="submit" class="reject" formaction="/api/posts/${selectedDate}/${index}/reject">Rechazar</button>`}
+      </form>` : '';
+    // Textos en otros idiomas (cuentas con <CANAL>_LANGUAGE); se regeneran con "Regenerar texto"
+    const otherTexts = Object.entries(post.previewTexts || {}).filter(([, t]) => t);
+    const translations = otherTexts.length ? `
+      <details class="meta">
+        <summary>Otros idiomas (${otherTexts.map(([lang]) => lang).join(', ')})</summary>
+        ${otherTexts.map(([lang, t]) => `<div class="text"><strong>${escapeHtml(lang)}:</strong> ${escapeHtml(t).replace(/\n/g, '<br>')}${formatTextSource(post, lang, ' · ')}</div>`).join('')}
+      </details>` : '';
+    // Partes de la respuesta del modelo (llm.js): alt text de la imagen (editable arriba) y un dato del personaje
+    const extras = [
+      !editable && post.altText ? `<div><strong>Alt text:</strong> ${escapeHtml(post.altText)}</div>` : '',
+      post.trivia ? `<div><strong>Trivia:</strong> ${escapeHtml(post.trivia)}</div>` : ''
+    ].join('');
+    const details = extras ? `<div class="meta">${extras}</div>` : '';
+    return `<div class="tweet-mock" data-date="${selectedDate}" data-index="${index}">
+      ${textBlock}
+      ${formatMatchWarning(post)}
+      ${editable ? formatTextWarnings(post) : ''}
+      ${translations}
+      ${details}
+      <img class="post-image" src="${imgUrl}" alt="${escapeHtml(post.altText || '')}" width="400" onerror="this.style.display='none'; var n=this.nextElementSibling; if(n) n.style.display='block';" />
       <div class="no-image" style="display:none;">Imagen no disponible aún (se guarda cuando el bot hace la preparación del día)</div>
-      <div class="meta">Post #${i + 1} · ${post.scheduledTime} · ${post.character}</div>
+      ${editable ? '<div class="candidates"></div><div class="editor-msg"></div>' : ''}
+      <div class="meta">Post #${i + 1} · ${post.scheduledTime} · ${escapeHtml(post.character)}${formatVoiceActors(post, ' · ')}${formatDiscoverySources(post, ' · fuentes: ')}${formatTextSource(post, post.language, ' · texto: ')}${post.promptVersion ? ` · prompt ${escapeHtml(post.promptVersion)}` : ''}${post.imageSource ? ` · imagen: ${escapeHtml(post.imageSource)}` : ''}${post.contentWarning ? ` · CW: ${escapeHtml(post.contentWarning)}` : ''}</div>
+      <div class="status ${plan.class}">${plan.emoji} ${plan.label}${formatApproval(post)}${post.status === AWAITING_APPROVAL && autoApproveAt ? `<br><span class="approver">se auto-aprueba a las ${formatDate(autoApproveAt.toISOString())}</span>` : ''}</div>
+      ${approvalForm}
     </div>`;
   }).join('');
+  const hasEditable = posts.some(p => p.status !== 'posted');
+  const counterPlatforms = getEnabledPublishers().filter(p => COUNTER_PLATFORMS.includes(p));
   return `<!DOCTYPE html>
 <html lang="es">
 <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Vista previa</title><style>${baseStyle}</style></head>
-<body>
+<body data-platforms="${(counterPlatforms.length ? counterPlatforms : ['twitter']).join(',')}">
   <div class="container">
     <header>
       <h1>👁 Vista previa</h1>
       <p style="color:#8b8b8b">Así quedaría cada post <strong>antes de publicar</strong> (texto + foto). Sirve para corroborar que la foto es la correcta.</p>
-      <p style="color:#6b7280; font-size:0.9em; margin-top:6px;">Las imágenes se guardan cuando el bot hace la preparación del día (7 días en /data).</p>
+      <p style="color:#6b7280; font-size:0.9em; margin-top:6px;">Las imágenes se guardan cuando el bot hace la preparación del día (7 días en /data). Los cambios de texto e imagen se guardan en el día.</p>
       <p style="margin-top:10px"><a href="/">← Dashboard</a> · <a href="/planificado?date=${selectedDate}">Ver planificado</a></p>
     </header>
     <div class="nav">
       <label>Fecha: </label>
       <select onchange="location.href='/vista-previa?date='+this.value">${options}</select>
     </div>
+    ${hasEditable ? `
+    <div class="editor-auth">
+      <input type="password" id="dashboard-token" placeholder="Token (DASHBOARD_TOKEN)" autocomplete="off">
+      <input type="text" id="editor-name" placeholder="Tu nombre">
+    </div>` : ''}
     ${cards || '<div class="no-posts">No hay posts para esta fecha.</div>'}
   </div>
+  ${hasEditable ? `<script type="module">${REMEMBER_TOKEN_SCRIPT}${PREVIEW_EDITOR_SCRIPT}</script>` : ''}
 </body>
 </html>`;
 }
@@ -485,6 +930,176 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
+/**
+ * Lee el body de un POST (JSON o form urlencoded) como objeto plano.
+ */
+function readRequestBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk.toString();
+      if (raw.length > limit) {
+        reject(new Error('Body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!raw) return resolve({});
+      const type = req.headers['content-type'] || '';
+      try {
+        if (type.includes('application/json')) return resolve(JSON.parse(raw) || {});
+        resolve(Object.fromEntries(new URLSearchParams(raw)));
+      } catch (e) {
+        reject(new Error('Invalid body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Compara dos secretos en tiempo constante (los hashes igualan el largo para timingSafeEqual).
+ */
+function secretsMatch(given, expected) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Token del dashboard: header Authorization: Bearer o campo token del body del POST (nunca en la URL).
+ */
+function isDashboardAuthorized(req, body) {
+  const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN;
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const token = bearer || body?.token;
+  return !!DASHBOARD_TOKEN && !!token && secretsMatch(token, DASHBOARD_TOKEN);
+}
+
+/**
+ * Responde 303 al `redirect` de un form del dashboard, solo si es una ruta local ("/..."). El navegador abre como
+ * otro sitio "//host", "/\host" y las rutas con espacios o caracteres de control (los saca antes de resolverla).
+ * @returns {boolean} true si redirigió
+ */
+function redirectBack(res, redirect) {
+  if (typeof redirect !== 'string' || !/^\/(?![\/\\])/.test(redirect) || /[\s\x00-\x1f\x7f]/.test(redirect)) return false;
+  res.writeHead(303, { Location: redirect });
+  res.end();
+  return true;
+}
+
+/**
+ * Acciones sobre un post del día (dashboard + API), todas con DASHBOARD_TOKEN:
+ *   POST approve | reject     — { by, reason? }
+ *   POST text                 — { text, by }  (texto editado a mano)
+ *   POST regenerate           — regenera el texto (cadena de LLM, ver llm.js)
+ *   POST image                — { url, source?, by }  (otra imagen candidata)
+ *   GET  candidates           — pool de imágenes candidatas del post (?refresh=1 lo vuelve a armar)
+ * Body JSON o form; con `redirect` (form de Vista previa) responde 303 de vuelta.
+ */
+async function handlePostAction(req, res, url, [, date, indexStr, action]) {
+  const sendJson = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  let body = {};
+  if (req.method === 'POST') {
+    try {
+      body = await readRequestBody(req);
+    } catch (err) {
+      sendJson(400, { ok: false, error: err.message });
+      return;
+    }
+  }
+  if (!isDashboardAuthorized(req, body)) {
+    sendJson(401, { ok: false, error: 'Unauthorized' });
+    return;
+  }
+
+  const index = parseInt(indexStr, 10);
+  const by = (body.by || req.headers['x-approved-by'] || '').toString().trim() || 'api';
+  try {
+    let result;
+    if (action === 'approve') result = await approvePost(date, index, by);
+    else if (action === 'reject') result = await rejectPost(date, index, by, (body.reason || '').toString().trim() || null);
+    else if (action === 'text') result = await savePreviewText(date, index, body.text, by, body.contentWarning, body.altText);
+    else if (action === 'regenerate') result = await regeneratePreviewText(date, index);
+    else if (action === 'image') result = await replacePostImage(date, index, (body.url || '').toString(), body.source || null, by);
+    else result = await getImageCandidatesForPost(date, index, { refresh: url.searchParams.get('refresh') === '1' });
+
+    if (!result.ok) {
+      sendJson(result.error === 'Post not found' ? 404 : 409, { ok: false, action, date, index, error: result.error });
+      return;
+    }
+    if (redirectBack(res, body.redirect)) return;
+    sendJson(200, { action, date, index, ...result });
+  } catch (err) {
+    sendJson(500, { ok: false, action, date, index, error: err.message });
+  }
+}
+
+/**
+ * Id numérico de un form de identidades: vacío = null, ausente = undefined (no se toca).
+ */
+function parseIdentityId(value, field) {
+  if (value === undefined) return undefined;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (!/^\d+$/.test(text)) throw new Error(`${field} must be a number`);
+  return Number(text);
+}
+
+/**
+ * Corrección de una identidad (dashboard /identidades + API), con DASHBOARD_TOKEN:
+ *   POST /api/identities/:acdbId        — { malId?, anilistId?, animeMalId?, name?, series?, by } → queda manual
+ *   POST /api/identities/:acdbId/reset  — vuelve a automática (el próximo prep busca de nuevo)
+ * Body JSON o form; con `redirect` responde 303 de vuelta.
+ */
+async function handleIdentityAction(req, res, url, [, acdbId, action]) {
+  const sendJson = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  let body;
+  try {
+    body = await readRequestBody(req);
+  } catch (err) {
+    sendJson(400, { ok: false, error: err.message });
+    return;
+  }
+  if (!isDashboardAuthorized(req, body)) {
+    sendJson(401, { ok: false, error: 'Unauthorized' });
+    return;
+  }
+
+  const by = (body.by || '').toString().trim() || 'api';
+  let fields;
+  try {
+    fields = action === 'reset'
+      ? { manual: false }
+      : {
+        malId: parseIdentityId(body.malId, 'malId'),
+        anilistId: parseIdentityId(body.anilistId, 'anilistId'),
+        animeMalId: parseIdentityId(body.animeMalId, 'animeMalId'),
+        name: body.name === undefined ? undefined : body.name.toString().trim() || null,
+        series: body.series === undefined ? undefined : body.series.toString().trim() || null
+      };
+  } catch (err) {
+    sendJson(400, { ok: false, acdbId, error: err.message });
+    return;
+  }
+
+  try {
+    const identity = await correctIdentity(acdbId, fields, by);
+    console.log(`[Identity] ${acdbId} ${action === 'reset' ? 'reset to automatic' : 'corrected'} by ${by}`);
+    if (redirectBack(res, body.redirect)) return;
+    sendJson(200, { ok: true, identity });
+  } catch (err) {
+    sendJson(500, { ok: false, acdbId, error: err.message });
+  }
+}
+
 /**
  * Start the HTTP server
  */
@@ -539,9 +1154,9 @@ export function startServer() {
       if (action === 'post') {
         const indexStr = url.searchParams.get('index');
         const index = indexStr != null ? parseInt(indexStr, 10) : NaN;
-        if (isNaN(index) || index < 0 || index > 6) {
+        if (isNaN(index) || index < 0 || index >= POST_TIMES.length) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, error: 'index must be 0-6' }));
+          res.end(JSON.stringify({ ok: false, error: `index must be 0-${POST_TIMES.length - 1}` }));
           return;
         }
         try {
@@ -559,6 +1174,20 @@ export function startServer() {
       return;
     }
 
+    // Aprobación y edición de posts (dashboard + API), protegido con DASHBOARD_TOKEN
+    const postActionMatch = url.pathname.match(/^\/api\/posts\/(\d{4}-\d{2}-\d{2})\/(\d+)\/(approve|reject|text|regenerate|image|candidates)$/);
+    if (postActionMatch && req.method === (postActionMatch[3] === 'candidates' ? 'GET' : 'POST')) {
+      await handlePostAction(req, res, url, postActionMatch);
+      return;
+    }
+
+    // Corrección de identidades de personajes (dashboard /identidades), protegido con DASHBOARD_TOKEN
+    const identityActionMatch = url.pathname.match(/^\/api\/identities\/([\w-]+)(?:\/(reset))?$/);
+    if (identityActionMatch && req.method === 'POST') {
+      await handleIdentityAction(req, res, url, identityActionMatch);
+      return;
+    }
+
     if (url.pathname === '/api/status') {
       // JSON API endpoint
       try {
@@ -587,8 +1216,8 @@ export function startServer() {
     } else if (url.pathname === '/api/state-check') {
       // Diagnóstico: por qué se recupera o no el estado
       try {
-        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' });
-        const state = await loadState(today);
+        const today = getTodayDateString();
+        const state = await getDayDoc(today);
         const canRecover = await canRecoverFromState(today);
 
         let dataDirExists = false;
@@ -612,6 +1241,8 @@ export function startServer() {
         const payload = {
           version: appVersion,
           today,
+          stateStore: getStateStore().name,
+          timezone: TIMEZONE,
           dataDir: DATA_DIR,
           railway: !!process.env.RAILWAY_ENVIRONMENT,
           dataDirExists,
@@ -624,8 +1255,8 @@ export function startServer() {
           reason: canRecover
             ? 'Hay estado de hoy con acdbId → al arrancar se recuperan los mismos personajes (no re-scrape).'
             : !state
-              ? 'No hay archivo de estado para hoy → al arrancar se scrapea de nuevo.'
-              : !state.posts?.every(p => p.acdbId)
+              ? 'No hay estado para hoy en el StateStore → al arrancar se scrapea de nuevo.'
+              : !state.posts?.every(p => p.acdbId || p.anilistId)
                 ? 'El estado no tiene acdbId en todos los posts (estado viejo o primera vez) → se scrapea.'
                 : 'Estado sin posts o vacío.',
           postsWithAcdbId: state?.posts?.filter(p => p.acdbId).length ?? 0,
@@ -641,9 +1272,15 @@ export function startServer() {
     } else if (url.pathname === '/planificado') {
       try {
         let dates = await getDatesForDashboard();
-        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' });
+        const today = getTodayDateString();
         if (dates.length === 0) dates = [today];
         const selectedDate = url.searchParams.get('date') || dates[0] || today;
+        // La fecha va al HTML y a los forms: solo YYYY-MM-DD
+        if (!DATE_PARAM.test(selectedDate)) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end('Bad request');
+          return;
+        }
         const state = await getStateForDashboard(selectedDate);
         const html = await generatePlanificadoPage(dates, selectedDate, state);
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
@@ -655,9 +1292,15 @@ export function startServer() {
     } else if (url.pathname === '/vista-previa') {
       try {
         let dates = await getDatesForDashboard();
-        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' });
+        const today = getTodayDateString();
         if (dates.length === 0) dates = [today];
         const selectedDate = url.searchParams.get('date') || dates[0] || today;
+        // La fecha va al HTML y a los forms: solo YYYY-MM-DD
+        if (!DATE_PARAM.test(selectedDate)) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end('Bad request');
+          return;
+        }
         const state = await getStateForDashboard(selectedDate);
         const html = await generateVistaPreviaPage(dates, selectedDate, state);
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
@@ -666,6 +1309,27 @@ export function startServer() {
         res.writeHead(500, { 'Content-Type': 'text/plain' });
         res.end(`Error: ${error.message}`);
       }
+    } else if (url.pathname === '/identidades') {
+      try {
+        const query = (url.searchParams.get('q') || '').trim();
+        const needle = query.toLowerCase();
+        const identities = (await listCharacterIdentities()).filter(i => !needle ||
+          [i.acdbId, i.name, i.series].some(v => String(v ?? '').toLowerCase().includes(needle)));
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(generateIdentitiesPage(identities, query));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Error: ${error.message}`);
+      }
+    } else if (url.pathname === '/text-length.js') {
+      try {
+        const source = await fs.readFile(TEXT_LENGTH_MODULE, 'utf-8');
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-cache' });
+        res.end(source);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Error: ${error.message}`);
+      }
     } else if (url.pathname.startsWith('/preview-image/')) {
       const parts = url.pathname.replace('/preview-image/', '').split('/');
       const date = parts[0];
@@ -675,23 +1339,16 @@ export function startServer() {
         res.end('Bad request');
         return;
       }
-      const previewDir = path.join(DATA_DIR, 'preview', date);
       let found = false;
       try {
-        const files = await fs.readdir(previewDir);
-        const prefix = index.includes('.') ? index : index + '.';
-        const match = files.find(f => f === index || f.startsWith(prefix));
-        if (match) {
-          const filePath = path.join(previewDir, match);
-          const data = await fs.readFile(filePath);
-          const ext = path.extname(match).toLowerCase();
-          const mime = ext === '.png' ? 'image/png' : ext === '.webp' ? 'image/webp' : ext === '.gif' ? 'image/gif' : 'image/jpeg';
-          res.writeHead(200, { 'Content-Type': mime });
-          res.end(data);
+        const image = await readPostImage(date, index.replace(/\.[^.]+$/, ''));
+        if (image) {
+          res.writeHead(200, { 'Content-Type': image.contentType });
+          res.end(image.data);
           found = true;
         }
       } catch (e) {
-        if (e.code !== 'ENOENT') console.warn('[preview-image]', e.message);
+        console.warn('[preview-image]', e.message);
       }
       if (!found) {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -715,6 +1372,12 @@ export function startServer() {
     console.log(`API: http://localhost:${PORT}/api/status | Diagnóstico estado: http://localhost:${PORT}/api/state-check`);
   });
 
+  // Índice de cumpleaños: al arrancar y todos los días se refresca si le faltan días o pasó BIRTHDAY_INDEX_REFRESH_DAYS
+  if (process.env.BIRTHDAY_INDEX_REFRESH !== 'false') {
+    refreshBirthdayIndexInBackground().catch(error => console.error('[BirthdayIndex] Refresh failed:', error.message));
+    scheduleBirthdayIndexRefresh(() => refreshBirthdayIndexInBackground());
+  }
+
   return server;
 }
 
@@ -0,0 +1,165 @@
+/**
+ * Backend SQLite del StateStore (ver state-store.js): mismas tablas que Supabase (daily_posts, character_identities), en un archivo local.
+ * Útil para correr sin Supabase pero con consultas/historial (default DATA_DIR/bot.sqlite, o SQLITE_PATH).
+ * better-sqlite3 se carga recién al usar el backend, así los otros backends no dependen del módulo nativo.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './state.js';
+import { rowToPost, postToRow, splitPostUpdate, rowToIdentity, identityToRow } from './post-rows.js';
+
+const SCHEMA = `
+  create table if not exists daily_posts (
+    date text not null,
+    post_index integer not null,
+    character text not null,
+    series text,
+    scheduled_time text,
+    preview_text text,
+    image_url text,
+    status text default 'pending',
+    posted_at text,
+    tweet_url text,
+    error text,
+    prepared_at text,
+    extra text default '{}',
+    primary key (date, post_index)
+  );
+
+  create table if not exists character_identities (
+    acdb_id text primary key,
+    mal_id integer,
+    anilist_id integer,
+    anime_mal_id integer,
+    name text,
+    series text,
+    confidence real default 0,
+    manual integer default 0,
+    updated_at text,
+    updated_by text
+  );
+`;
+
+function parseExtra(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Crea el backend SQLite del StateStore.
+ * @param {string} [filePath] - archivo de la base (default SQLITE_PATH o DATA_DIR/bot.sqlite)
+ * @returns {object} state store: { name, getDayDoc, saveDayDoc, updatePost, getAvailableDates, getIdentity, saveIdentity, listIdentities, close }
+ */
+export function createSqliteStateStore(filePath = process.env.SQLITE_PATH || path.join(DATA_DIR, 'bot.sqlite')) {
+  let db = null;
+
+  async function getDb() {
+    if (db) return db;
+    const { default: Database } = await import('better-sqlite3');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    return db;
+  }
+
+  return {
+    name: 'sqlite',
+
+    async getDayDoc(date) {
+      const conn = await getDb();
+      const rows = conn
+        .prepare('select * from daily_posts where date = ? order by post_index asc')
+        .all(date);
+      if (rows.length === 0) return null;
+      const posts = rows.map((r) => rowToPost(r, parseExtra(r.extra)));
+      return { date, preparedAt: rows[0].prepared_at ?? null, updatedAt: null, posts };
+    },
+
+    async saveDayDoc(doc) {
+      if (!doc?.date) throw new Error('doc.date is required');
+      const conn = await getDb();
+      const preparedAt = doc.preparedAt ?? new Date().toISOString();
+      const insert = conn.prepare(`
+        insert into daily_posts
+          (date, post_index, character, series, scheduled_time, preview_text, image_url, status, posted_at, tweet_url, error, prepared_at, extra)
+        values
+          (@date, @post_index, @character, @series, @scheduled_time, @preview_text, @image_url, @status, @posted_at, @tweet_url, @error, @prepared_at, @extra)
+      `);
+      // Igual que Supabase: se reemplazan todas las filas del día
+      conn.transaction(() => {
+        conn.prepare('delete from daily_posts where date = ?').run(doc.date);
+        for (const post of doc.posts ?? []) {
+          const row = postToRow(doc.date, preparedAt, post);
+          insert.run({ ...row, extra: JSON.stringify(row.extra) });
+        }
+      })();
+    },
+
+    async updatePost(date, index, update) {
+      const conn = await getDb();
+      const { columns, extra } = splitPostUpdate(update);
+      const set = { ...columns };
+
+      if (Object.keys(extra).length > 0) {
+        const row = conn
+          .prepare('select extra from daily_posts where date = ? and post_index = ?')
+          .get(date, index);
+        set.extra = JSON.stringify({ ...parseExtra(row?.extra), ...extra });
+      }
+      const keys = Object.keys(set);
+      if (keys.length === 0) return;
+
+      conn
+        .prepare(`update daily_posts set ${keys.map(k => `${k} = @${k}`).join(', ')} where date = @date and post_index = @post_index`)
+        .run({ ...set, date, post_index: index });
+    },
+
+    async getAvailableDates(limit = 7) {
+      const conn = await getDb();
+      return conn
+        .prepare('select distinct date from daily_posts order by date desc limit ?')
+        .all(limit)
+        .map(r => r.date);
+    },
+
+    async getIdentity(acdbId) {
+      const conn = await getDb();
+      const row = conn.prepare('select * from character_identities where acdb_id = ?').get(String(acdbId));
+      return row ? rowToIdentity(row) : null;
+    },
+
+    async saveIdentity(identity) {
+      if (!identity?.acdbId) throw new Error('identity.acdbId is required');
+      const conn = await getDb();
+      const row = identityToRow(identity);
+      const keys = Object.keys(row);
+      conn
+        .prepare(`
+          insert into character_identities (${keys.join(', ')}) values (${keys.map(k => `@${k}`).join(', ')})
+          on conflict (acdb_id) do update set ${keys.filter(k => k !== 'acdb_id').map(k => `${k} = excluded.${k}`).join(', ')}
+        `)
+        .run({ ...row, manual: row.manual ? 1 : 0 });
+    },
+
+    async listIdentities() {
+      const conn = await getDb();
+      return conn
+        .prepare('select * from character_identities order by manual desc, confidence asc, name asc')
+        .all()
+        .map(rowToIdentity);
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+    }
+  };
+}
+
+export default { createSqliteStateStore };
@@ -0,0 +1,202 @@
+/**
+ * StateStore — única interfaz para el estado de los posts por día.
+ * Todos los llamadores (index.js, twitter.js, server.js, scripts) leen y escriben por acá,
+ * así prep, post y el dashboard ven siempre los mismos datos.
+ *
+ * Backends (STATE_STORE):
+ *   - json     → archivos posts-YYYY-MM-DD.json en DATA_DIR (state.js)
+ *   - sqlite   → DATA_DIR/bot.sqlite o SQLITE_PATH (sqlite.js)
+ *   - supabase → tabla daily_posts (supabase.js)
+ * Sin STATE_STORE: supabase si hay SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY, si no json.
+ *
+ * Día: { date, preparedAt, updatedAt, posts: [{ index, acdbId, anilistId, discoverySources, popularity, character, series, scheduledTime,
+ *        nameKanji, animeMalId, language, previewText, previewTexts, hashtags, altText, trivia, textSources, promptVersion,
+ *        aboutQuote, voiceActors, malUrl, anilistUrl, matchConfidence, lowConfidenceMatch, matchCandidates, imageUrl, imageSource, imagePageUrl, imageCreditUrl,
+ *        status, postedAt, tweetId, tweetUrl, threadTweetIds, platforms, engagement, error, approvedBy, approvedAt, ... }] }
+ * status: pending | awaiting_approval | rejected | posted | error (ver approval.js)
+ *
+ * Identidad (por acdbId, ver identity-map.js): { acdbId, malId, anilistId, animeMalId, name, series,
+ *        confidence, manual, updatedAt, updatedBy }
+ */
+
+import { createJsonStateStore, getTodayDateString } from './state.js';
+import { createSqliteStateStore } from './sqlite.js';
+import { createSupabaseStateStore, isSupabaseConfigured } from './supabase.js';
+
+export const STATE_STORE_TYPES = ['json', 'sqlite', 'supabase'];
+
+let store = null;
+
+/**
+ * Nombre del backend configurado.
+ */
+export function getStateStoreType() {
+  const type = (process.env.STATE_STORE || '').toLowerCase();
+  if (STATE_STORE_TYPES.includes(type)) return type;
+  return isSupabaseConfigured() ? 'supabase' : 'json';
+}
+
+/**
+ * Crea un backend por nombre (para el store configurado o para migrar entre backends).
+ * @param {'json'|'sqlite'|'supabase'} type
+ */
+export function createStateStore(type) {
+  if (type === 'json') return createJsonStateStore();
+  if (type === 'sqlite') return createSqliteStateStore();
+  if (type === 'supabase') return createSupabaseStateStore();
+  throw new Error(`Unknown state store "${type}" (use ${STATE_STORE_TYPES.join(', ')})`);
+}
+
+/**
+ * StateStore configurado (singleton).
+ */
+export function getStateStore() {
+  if (store) return store;
+  store = createStateStore(getStateStoreType());
+  console.log(`[StateStore] Using ${store.name} backend`);
+  return store;
+}
+
+/**
+ * Día completo o null si no hay posts para esa fecha.
+ * @param {string} date - YYYY-MM-DD
+ */
+export async function getDayDoc(date) {
+  return getStateStore().getDayDoc(date);
+}
+
+/**
+ * Guarda el día completo (reemplaza los posts existentes de esa fecha).
+ * @param {object} doc - { date, preparedAt, posts: [...] }
+ */
+export async function saveDayDoc(doc) {
+  return getStateStore().saveDayDoc(doc);
+}
+
+/**
+ * Actualiza campos de un post (los undefined se ignoran).
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - índice del post
+ * @param {object} update - { status?, postedAt?, tweetUrl?, error?, ... }
+ */
+export async function updatePostStatus(date, index, update) {
+  return getStateStore().updatePost(date, index, update);
+}
+
+/**
+ * Fechas con posts, más recientes primero.
+ * @param {number} limit
+ */
+export async function getAvailableDates(limit = 7) {
+  return getStateStore().getAvailableDates(limit);
+}
+
+/**
+ * Identidad guardada de un personaje de ACDB, o null.
+ * @param {string|number} acdbId
+ */
+export async function getCharacterIdentity(acdbId) {
+  return getStateStore().getIdentity(acdbId);
+}
+
+/**
+ * Guarda (o reemplaza) la identidad de un personaje.
+ * @param {object} identity - { acdbId, malId, anilistId, animeMalId, name, series, confidence, manual, updatedBy? }
+ */
+export async function saveCharacterIdentity(identity) {
+  return getStateStore().saveIdentity(identity);
+}
+
+/**
+ * Todas las identidades: manuales primero, después de menor a mayor confianza.
+ */
+export async function listCharacterIdentities() {
+  return getStateStore().listIdentities();
+}
+
+/**
+ * Cierra conexiones del backend (al terminar un proceso de prep/post).
+ */
+export async function closeStateStore() {
+  if (store) await store.close();
+}
+
+/**
+ * Día para el dashboard: nunca null (día vacío si no hay posts).
+ * @param {string} [date] - YYYY-MM-DD (default hoy)
+ */
+export async function getCurrentState(date = getTodayDateString()) {
+  const doc = await getDayDoc(date);
+  return doc ?? { date, preparedAt: null, posts: [] };
+}
+
+/**
+ * Check if a post has already been sent
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - Post index
+ */
+export async function isPostAlreadySent(date, index) {
+  const doc = await getDayDoc(date);
+  return doc?.posts?.find(p => p.index === index)?.status === 'posted';
+}
+
+/**
+ * Mark a post as sent
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - Post index
+ * @param {string} tweetId - Tweet ID
+ * @param {string} tweetUrl - Tweet URL
+ */
+export async function markPostAsSent(date, index, tweetId, tweetUrl) {
+  await updatePostStatus(date, index, {
+    status: 'posted',
+    postedAt: new Date().toISOString(),
+    tweetId,
+    tweetUrl
+  });
+  console.log(`Marked post ${index} as sent: ${tweetUrl}`);
+}
+
+/**
+ * Mark a post as failed
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - Post index
+ * @param {string} error - Error message
+ */
+export async function markPostAsFailed(date, index, error) {
+  await updatePostStatus(date, index, {
+    status: 'error',
+    error,
+    lastAttempt: new Date().toISOString()
+  });
+  console.log(`Marked post ${index} as failed: ${error}`);
+}
+
+/**
+ * Check if we can recover a day's posts from state (same characters, no re-scrape)
+ * Returns true if state exists, has posts, and all have acdbId (or anilistId, for AniList-only characters)
+ */
+export async function canRecoverFromState(date = getTodayDateString()) {
+  const doc = await getDayDoc(date);
+  if (!doc || !doc.posts || doc.posts.length === 0) return false;
+  return doc.posts.every(p => p.acdbId || p.anilistId);
+}
+
+export default {
+  getStateStore,
+  getStateStoreType,
+  createStateStore,
+  getDayDoc,
+  saveDayDoc,
+  updatePostStatus,
+  getAvailableDates,
+  getCharacterIdentity,
+  saveCharacterIdentity,
+  listCharacterIdentities,
+  closeStateStore,
+  getCurrentState,
+  isPostAlreadySent,
+  markPostAsSent,
+  markPostAsFailed,
+  canRecoverFromState
+};
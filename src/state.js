@@ -1,6 +1,14 @@
+/**
+ * Backend JSON del StateStore (ver state-store.js): un archivo posts-YYYY-MM-DD.json por día en DATA_DIR
+ * y las identidades de personajes en DATA_DIR/identities.json.
+ * También define DATA_DIR (volumen /data en Railway) y la fecha "de hoy" del bot.
+ */
+
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { TIMEZONE } from './config.js';
+import { getDateStringInTimezone } from './timezone.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,29 +20,29 @@ export const DATA_DIR = process.env.RAILWAY_ENVIRONMENT
 
 console.log(`[State] Using data directory: ${DATA_DIR} (Railway: ${!!process.env.RAILWAY_ENVIRONMENT})`);
 
-// Argentina timezone
-const ARGENTINA_TZ = 'America/Argentina/Buenos_Aires';
+const IDENTITIES_FILE = 'identities.json';
 
 /**
- * Get today's date string in YYYY-MM-DD format (Argentina time)
+ * Get today's date string in YYYY-MM-DD format (BOT_TIMEZONE, ver config.js)
  */
 export function getTodayDateString() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: ARGENTINA_TZ });
+  return getDateStringInTimezone(new Date(), TIMEZONE);
 }
 
 /**
  * Get the state file path for a specific date
  */
-function getStateFilePath(dateString = getTodayDateString()) {
-  return path.join(DATA_DIR, `posts-${dateString}.json`);
+function getStateFilePath(dir, dateString) {
+  return path.join(dir, `posts-${dateString}.json`);
 }
 
 /**
  * Load state from file
- * @param {string} dateString - Optional date string (YYYY-MM-DD)
+ * @param {string} dir - data directory
+ * @param {string} dateString - YYYY-MM-DD
  */
-export async function loadState(dateString = getTodayDateString()) {
-  const filePath = getStateFilePath(dateString);
+async function loadState(dir, dateString) {
+  const filePath = getStateFilePath(dir, dateString);
 
   try {
     const data = await fs.readFile(filePath, 'utf-8');
@@ -50,13 +58,14 @@ export async function loadState(dateString = getTodayDateString()) {
 
 /**
  * Save state to file
+ * @param {string} dir - data directory
  * @param {object} state - State object to save
  */
-export async function saveState(state) {
-  const filePath = getStateFilePath(state.date);
+async function saveState(dir, state) {
+  const filePath = getStateFilePath(dir, state.date);
 
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(dir, { recursive: true });
     await fs.writeFile(filePath, JSON.stringify(state, null, 2), 'utf-8');
     console.log(`State saved to ${filePath}`);
   } catch (error) {
@@ -66,181 +75,95 @@ export async function saveState(state) {
 }
 
 /**
- * Initialize state for today with prepared posts
- * @param {Array} posts - Array of post data from preparePostsWithImages
- * @param {Array} postTimes - Array of {hour, minute} objects
+ * Identidades de personajes (identities.json, un objeto por acdbId)
+ * @param {string} dir - data directory
  */
-export async function initializeTodaysState(posts, postTimes) {
-  const todayDate = getTodayDateString();
-
-  // Check if we already have state for today
-  const existingState = await loadState(todayDate);
-  if (existingState) {
-    console.log(`State for ${todayDate} already exists, merging...`);
-    return mergeState(existingState, posts, postTimes);
+async function loadIdentities(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, IDENTITIES_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error loading ${IDENTITIES_FILE}:`, error.message);
+    return {};
   }
-
-  const state = {
-    date: todayDate,
-    preparedAt: new Date().toISOString(),
-    posts: posts.map((post, index) => ({
-      index,
-      acdbId: post.acdbId ?? null,
-      character: post.character.name,
-      series: post.character.series,
-      scheduledTime: formatTime(postTimes[index]),
-      status: 'pending',
-      postedAt: null,
-      tweetId: null,
-      tweetUrl: null,
-      previewText: post.previewText ?? null
-    }))
-  };
-
-  await saveState(state);
-  return state;
 }
 
 /**
- * Merge existing state with new posts (preserves posted status)
+ * Crea el backend JSON del StateStore.
+ * @param {string} [dir] - directorio de los archivos (default DATA_DIR)
+ * @returns {object} state store: { name, getDayDoc, saveDayDoc, updatePost, getAvailableDates, getIdentity, saveIdentity, listIdentities, close }
  */
-function mergeState(existingState, posts, postTimes) {
-  const newState = {
-    ...existingState,
-    posts: posts.map((post, index) => {
-      const existingPost = existingState.posts.find(
-        p => p.index === index && p.character === post.character.name
-      );
-
-      if (existingPost && existingPost.status === 'posted') {
-        return existingPost;
+export function createJsonStateStore(dir = DATA_DIR) {
+  return {
+    name: 'json',
+
+    async getDayDoc(date) {
+      const state = await loadState(dir, date);
+      if (!state) return null;
+      return { updatedAt: null, ...state, posts: state.posts || [] };
+    },
+
+    async saveDayDoc(doc) {
+      if (!doc?.date) throw new Error('doc.date is required');
+      await saveState(dir, {
+        ...doc,
+        preparedAt: doc.preparedAt ?? new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        posts: doc.posts ?? []
+      });
+    },
+
+    async updatePost(date, index, update) {
+      const state = await loadState(dir, date);
+      const post = state?.posts?.find(p => p.index === index) ?? state?.posts?.[index];
+      if (!post) {
+        console.error(`No post ${index} in state for ${date}`);
+        return;
       }
-
-      return {
-        index,
-        acdbId: post.acdbId ?? existingPost?.acdbId ?? null,
-        character: post.character.name,
-        series: post.character.series,
-        scheduledTime: formatTime(postTimes[index]),
-        status: existingPost?.status || 'pending',
-        postedAt: existingPost?.postedAt || null,
-        tweetId: existingPost?.tweetId || null,
-        tweetUrl: existingPost?.tweetUrl || null,
-        previewText: post.previewText ?? existingPost?.previewText ?? null
-      };
-    })
+      for (const [key, value] of Object.entries(update)) {
+        if (value !== undefined) post[key] = value;
+      }
+      state.updatedAt = new Date().toISOString();
+      await saveState(dir, state);
+    },
+
+    async getAvailableDates(limit = 7) {
+      try {
+        const files = await fs.readdir(dir);
+        return files
+          .map(f => f.match(/^posts-(\d{4}-\d{2}-\d{2})\.json$/))
+          .filter(Boolean)
+          .map(m => m[1])
+          .sort((a, b) => b.localeCompare(a))
+          .slice(0, limit);
+      } catch (error) {
+        return [];
+      }
+    },
+
+    async getIdentity(acdbId) {
+      const identities = await loadIdentities(dir);
+      return identities[String(acdbId)] ?? null;
+    },
+
+    async saveIdentity(identity) {
+      if (!identity?.acdbId) throw new Error('identity.acdbId is required');
+      const identities = await loadIdentities(dir);
+      const acdbId = String(identity.acdbId);
+      identities[acdbId] = { ...identity, acdbId, updatedAt: identity.updatedAt ?? new Date().toISOString() };
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, IDENTITIES_FILE), JSON.stringify(identities, null, 2), 'utf-8');
+    },
+
+    async listIdentities() {
+      const identities = Object.values(await loadIdentities(dir));
+      return identities.sort((a, b) =>
+        Number(!!b.manual) - Number(!!a.manual) ||
+        (a.confidence ?? 0) - (b.confidence ?? 0) ||
+        String(a.name ?? '').localeCompare(String(b.name ?? '')));
+    },
+
+    async close() {}
   };
-
-  saveState(newState);
-  return newState;
-}
-
-/**
- * Format time object to HH:MM string
- */
-function formatTime(timeObj) {
-  if (!timeObj) return 'N/A';
-  return `${timeObj.hour.toString().padStart(2, '0')}:${timeObj.minute.toString().padStart(2, '0')}`;
-}
-
-/**
- * Check if a post has already been sent
- * @param {number} index - Post index
- */
-export async function isPostAlreadySent(index) {
-  const state = await loadState();
-  if (!state || !state.posts[index]) {
-    return false;
-  }
-  return state.posts[index].status === 'posted';
-}
-
-/**
- * Mark a post as sent
- * @param {number} index - Post index
- * @param {string} tweetId - Tweet ID
- * @param {string} tweetUrl - Tweet URL
- */
-export async function markPostAsSent(index, tweetId, tweetUrl) {
-  const state = await loadState();
-  if (!state) {
-    console.error('No state found for today');
-    return;
-  }
-
-  if (state.posts[index]) {
-    state.posts[index].status = 'posted';
-    state.posts[index].postedAt = new Date().toISOString();
-    state.posts[index].tweetId = tweetId;
-    state.posts[index].tweetUrl = tweetUrl;
-    await saveState(state);
-    console.log(`Marked post ${index} as sent: ${tweetUrl}`);
-  }
-}
-
-/**
- * Mark a post as failed
- * @param {number} index - Post index
- * @param {string} error - Error message
- */
-export async function markPostAsFailed(index, error) {
-  const state = await loadState();
-  if (!state) {
-    console.error('No state found for today');
-    return;
-  }
-
-  if (state.posts[index]) {
-    state.posts[index].status = 'error';
-    state.posts[index].error = error;
-    state.posts[index].lastAttempt = new Date().toISOString();
-    await saveState(state);
-    console.log(`Marked post ${index} as failed: ${error}`);
-  }
-}
-
-/**
- * Get current state for dashboard
- */
-export async function getCurrentState() {
-  const state = await loadState();
-  if (!state) {
-    return {
-      date: getTodayDateString(),
-      preparedAt: null,
-      posts: []
-    };
-  }
-  return state;
-}
-
-/**
- * Check if we can recover today's posts from state (same characters, no re-scrape)
- * Returns true if state exists, has posts, and all have acdbId
- */
-export async function canRecoverFromState(dateString = getTodayDateString()) {
-  const state = await loadState(dateString);
-  if (!state || !state.posts || state.posts.length === 0) return false;
-  return state.posts.every(p => p.acdbId);
-}
-
-/**
- * List available state dates (last 7 days)
- */
-export async function getAvailableDates() {
-  try {
-    const files = await fs.readdir(DATA_DIR);
-    const stateFiles = files.filter(f => f.startsWith('posts-') && f.endsWith('.json'));
-    const dates = stateFiles
-      .map(f => f.match(/posts-(\d{4}-\d{2}-\d{2})\.json/))
-      .filter(Boolean)
-      .map(m => m[1])
-      .sort((a, b) => b.localeCompare(a))
-      .slice(0, 7);
-    return dates;
-  } catch (error) {
-    return [];
-  }
 }
 
 /**
@@ -293,14 +216,8 @@ export async function cleanupOldStateFiles() {
 }
 
 export default {
-  loadState,
-  saveState,
-  initializeTodaysState,
-  canRecoverFromState,
-  getAvailableDates,
-  isPostAlreadySent,
-  markPostAsSent,
-  markPostAsFailed,
-  getCurrentState,
+  DATA_DIR,
+  getTodayDateString,
+  createJsonStateStore,
   cleanupOldStateFiles
 };
@@ -0,0 +1,84 @@
+/**
+ * Telegram — cada post del día como foto con caption en un canal o grupo (Bot API, sendPhoto).
+ * El bot tiene que ser admin del canal (o miembro del grupo) para poder publicar.
+ *
+ * Variables:
+ *   TELEGRAM_BOT_TOKEN     — token de @BotFather
+ *   TELEGRAM_CHAT_ID       — @nombre_del_canal o id numérico (-100...)
+ *   TELEGRAM_ENABLED=false — apaga el canal sin borrar el token
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { getPlatformLimit, truncateForPlatform } from './text-length.js';
+
+/**
+ * Indica si Telegram está configurado y habilitado.
+ */
+export function isTelegramEnabled() {
+  return !!(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) &&
+    (process.env.TELEGRAM_ENABLED || '').toLowerCase() !== 'false';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Caption en HTML: texto del post y link al tweet si ya salió.
+ * @param {string} text - texto del post
+ * @param {string|null} tweetUrl
+ */
+export function buildTelegramCaption(text, tweetUrl = null) {
+  const link = tweetUrl ? `\n\n<a href="${escapeHtml(tweetUrl)}">View on X</a>` : '';
+  const budget = getPlatformLimit('telegram') - (tweetUrl ? '\n\nView on X'.length : 0);
+  return escapeHtml(truncateForPlatform(text, 'telegram', budget)) + link;
+}
+
+/**
+ * Link público al mensaje: t.me/canal/id para canales con @nombre, t.me/c/id/id para privados.
+ */
+function messageUrl(chat, messageId) {
+  if (chat?.username) return `https://t.me/${chat.username}/${messageId}`;
+  const id = String(chat?.id || '');
+  return id.startsWith('-100') ? `https://t.me/c/${id.slice(4)}/${messageId}` : null;
+}
+
+/**
+ * Publica la foto con caption en TELEGRAM_CHAT_ID.
+ * @param {object} params - { text, imagePath?, post, platforms? }
+ * @returns {Promise<{ success: boolean, id?: string, url?: string|null, error?: string }>}
+ */
+export async function publishToTelegram({ text, imagePath = null, post, platforms = {} }) {
+  try {
+    if (!imagePath) throw new Error('sendPhoto requires an image');
+    const tweetUrl = platforms.twitter?.url || post?.tweetUrl || null;
+
+    const form = new FormData();
+    form.append('chat_id', process.env.TELEGRAM_CHAT_ID);
+    form.append('caption', buildTelegramCaption(text, tweetUrl));
+    form.append('parse_mode', 'HTML');
+    const data = await fs.readFile(imagePath);
+    form.append('photo', new Blob([data]), path.basename(imagePath));
+
+    const response = await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendPhoto`, form, {
+      timeout: 30000,
+      maxBodyLength: Infinity
+    });
+    const message = response.data.result;
+    const url = messageUrl(message.chat, message.message_id);
+    console.log(`[Telegram] Posted message ${message.message_id}`);
+    return { success: true, id: String(message.message_id), url };
+  } catch (error) {
+    const message = error.response?.data?.description || error.message;
+    console.error('[Telegram] Error posting:', message);
+    return { success: false, error: message };
+  }
+}
+
+export default {
+  isTelegramEnabled,
+  buildTelegramCaption,
+  publishToTelegram
+};
@@ -0,0 +1,149 @@
+/**
+ * Largo de texto según cada plataforma y recorte que respeta hashtags.
+ * Sin dependencias de Node: el server lo sirve tal cual en /text-length.js para el contador de la Vista previa.
+ *
+ * Reglas:
+ *   twitter  — peso de X (twitter-text v3): latín/puntuación 1, CJK, emoji y el resto 2, URLs 23; máx. 280
+ *   bluesky  — grafemas; máx. 300
+ *   mastodon — grafemas, URLs 23; máx. el de la instancia (500 por defecto)
+ *   telegram — caption de sendPhoto; máx. 1024
+ *   discord  — description de un embed; máx. 4096
+ *
+ * Recorte: primero se sacan hashtags del final (de a uno) y recién si el texto sin hashtags no entra
+ * se corta el cuerpo, en un espacio si hay uno cerca, con "…".
+ */
+
+const URL_REGEX = /https?:\/\/\S+/g;
+const TRAILING_HASHTAG = /\s*#[^\s#]+$/u;
+const ELLIPSIS = '…';
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+export const PLATFORM_RULES = {
+  twitter: { maxLength: 280, count: 'weighted', urlLength: 23 },
+  bluesky: { maxLength: 300, count: 'graphemes' },
+  mastodon: { maxLength: 500, count: 'graphemes', urlLength: 23 },
+  telegram: { maxLength: 1024, count: 'graphemes' },
+  discord: { maxLength: 4096, count: 'graphemes' }
+};
+
+function splitGraphemes(text) {
+  return Array.from(segmenter.segment(text || ''), s => s.segment);
+}
+
+/**
+ * Cantidad de grafemas (un emoji con ZWJ o una letra con tilde combinada cuentan 1).
+ */
+export function countGraphemes(text) {
+  let count = 0;
+  for (const _ of segmenter.segment(text || '')) count++;
+  return count;
+}
+
+// Rangos de peso 1 en twitter-text v3; todo lo demás pesa 2
+function isLightCodePoint(cp) {
+  return cp <= 0x10FF ||
+    (cp >= 0x2000 && cp <= 0x200D) ||
+    (cp >= 0x2010 && cp <= 0x201F) ||
+    (cp >= 0x2032 && cp <= 0x2037);
+}
+
+/**
+ * Peso de un texto para X: URLs 23, cada emoji (aunque sea una secuencia ZWJ) 2, CJK 2.
+ */
+export function twitterWeightedLength(text) {
+  let length = 0;
+  const rest = (text || '').normalize('NFC').replace(URL_REGEX, () => {
+    length += PLATFORM_RULES.twitter.urlLength;
+    return '';
+  });
+  for (const grapheme of splitGraphemes(rest)) {
+    if (/\p{Extended_Pictographic}/u.test(grapheme)) {
+      length += 2;
+      continue;
+    }
+    for (const ch of grapheme) length += isLightCodePoint(ch.codePointAt(0)) ? 1 : 2;
+  }
+  return length;
+}
+
+/**
+ * Límite de la plataforma (o maxLength si se pasa, ej. el de la instancia de Mastodon).
+ */
+export function getPlatformLimit(platform, maxLength = null) {
+  return maxLength ?? PLATFORM_RULES[platform]?.maxLength ?? PLATFORM_RULES.twitter.maxLength;
+}
+
+/**
+ * Largo del texto según las reglas de la plataforma.
+ * @param {string} text
+ * @param {string} [platform] - twitter | bluesky | mastodon | telegram | discord
+ */
+export function measureText(text, platform = 'twitter') {
+  const rules = PLATFORM_RULES[platform] || PLATFORM_RULES.twitter;
+  if (rules.count === 'weighted') return twitterWeightedLength(text);
+  if (!rules.urlLength) return countGraphemes(text);
+  let length = 0;
+  const rest = (text || '').replace(URL_REGEX, () => {
+    length += rules.urlLength;
+    return '';
+  });
+  return length + countGraphemes(rest);
+}
+
+/**
+ * Indica si el texto entra en la plataforma.
+ */
+export function fitsPlatform(text, platform = 'twitter', maxLength = null) {
+  return measureText(text, platform) <= getPlatformLimit(platform, maxLength);
+}
+
+/**
+ * Corta el cuerpo para que entre con "…": en el último espacio si no se pierde más de un tercio, si no por grafema.
+ */
+function cutBody(text, platform, limit) {
+  const graphemes = splitGraphemes(text);
+  let low = 0;
+  let high = graphemes.length;
+  // Búsqueda binaria del prefijo más largo que entra con la elipsis
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measureText(graphemes.slice(0, mid).join('').trimEnd() + ELLIPSIS, platform) <= limit) low = mid;
+    else high = mid - 1;
+  }
+  const prefix = graphemes.slice(0, low).join('');
+  const lastSpace = prefix.search(/\s\S*$/u);
+  const cut = lastSpace > prefix.length * 2 / 3 ? prefix.slice(0, lastSpace) : prefix;
+  return cut.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Recorta el texto al límite de la plataforma: saca hashtags del final y después corta el cuerpo.
+ * @param {string} text
+ * @param {string} [platform]
+ * @param {number|null} [maxLength] - límite propio (ej. instancia de Mastodon menos el CW)
+ * @returns {string}
+ */
+export function truncateForPlatform(text, platform = 'twitter', maxLength = null) {
+  const limit = getPlatformLimit(platform, maxLength);
+  let t = (text || '').trim();
+  if (measureText(t, platform) <= limit) return t;
+
+  while (TRAILING_HASHTAG.test(t) && measureText(t, platform) > limit) {
+    const next = t.replace(TRAILING_HASHTAG, '').trimEnd();
+    if (!next) break;
+    t = next;
+  }
+  if (measureText(t, platform) <= limit) return t;
+  return cutBody(t, platform, limit);
+}
+
+export default {
+  PLATFORM_RULES,
+  countGraphemes,
+  twitterWeightedLength,
+  getPlatformLimit,
+  measureText,
+  fitsPlatform,
+  truncateForPlatform
+};
@@ -0,0 +1,223 @@
+/**
+ * Validación del texto generado antes de guardarlo como previewText (llm.js la corre sobre cada respuesta).
+ *
+ * Errores (el texto se descarta: se regenera y si sigue fallando se usa createBirthdayMessage):
+ *   missing-name    — no aparece el nombre en el cuerpo (completo, una parte, el kanji o un apodo de MAL)
+ *   missing-series  — no aparece la serie ni un alias (seriesAliases) en el cuerpo (en japonés es aviso: ver abajo)
+ *   hashtag-count   — menos o más hashtags que hashtags.min / hashtags.max
+ *   hashtag-format  — hashtag con puntuación, solo números o repetido
+ *   banned-word     — palabra de bannedWords
+ *   spoiler         — palabra clave de spoilers[serie]
+ * Avisos (el texto se guarda, marcado para revisar en la Vista previa):
+ *   unverified      — nombres propios o números que no están en el `about` de MAL ni en los datos del personaje
+ *   missing-series  — en ja: el modelo escribe la serie con su título japonés, que solo se conoce si está en los alias
+ *
+ * El nombre y la serie se buscan sin los hashtags: buildHashtags (hashtags.js) siempre agrega los de la serie y el
+ * personaje, así que en el texto armado estarían siempre. Las reglas de hashtags sí van sobre el texto armado.
+ *
+ * Las listas están en prompts/text-rules.json (o TEXT_RULES_PATH) y se leen en cada validación.
+ * TEXT_VALIDATION=false apaga la validación.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatBirthday, getDisplayName } from './i18n.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'prompts', 'text-rules.json');
+const DEFAULT_RULES = { hashtags: { min: 2, max: 8 }, bannedWords: [], seriesAliases: {}, spoilers: {} };
+
+const HASHTAG = /#[^\s#]+/gu;
+const VALID_HASHTAG = /^#[\p{L}\p{M}\p{N}_]*[\p{L}\p{M}_][\p{L}\p{M}\p{N}_]*$/u;
+const PROPER_NOUN = /\p{Lu}[\p{L}\p{M}'’-]+/gu;
+const NUMBER = /\d+/g;
+// Largo mínimo (comparable) de una clave de serie para aceptarla como parte del nombre ("Clannad" en
+// "Clannad After Story"); las más cortas tienen que ser la serie exacta ("K" no es "Kaguya-sama")
+const MIN_SERIES_KEY_LENGTH = 5;
+// Antes de estos caracteres empieza una oración: la mayúscula no dice nada
+const SENTENCE_START = /(^|[.!?¡¿…:\n\uFE0F]|\p{Extended_Pictographic})\s*$/u;
+// Palabras en mayúscula que el prompt pide o son de saludo, no datos del personaje
+const COMMON_WORDS = new Set(['happy', 'birthday', 'anime', 'manga', 'feliz', 'cumpleaños', 'cumple', 'series', 'fans', 'hbd']);
+
+/**
+ * Reglas de prompts/text-rules.json (TEXT_RULES_PATH); si no se puede leer, solo las de hashtags por defecto.
+ */
+export function loadTextRules() {
+  const file = process.env.TEXT_RULES_PATH || DEFAULT_RULES_PATH;
+  try {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...DEFAULT_RULES, ...rules, hashtags: { ...DEFAULT_RULES.hashtags, ...rules.hashtags } };
+  } catch (error) {
+    console.warn(`[Validator] Could not read ${file}, using defaults:`, error.message);
+    return DEFAULT_RULES;
+  }
+}
+
+/**
+ * Hashtags del texto, en orden (ej. para guardarlos en el post).
+ * @returns {string[]}
+ */
+export function extractHashtags(text) {
+  return String(text || '').match(HASHTAG) || [];
+}
+
+/**
+ * Indica si la validación está prendida (TEXT_VALIDATION distinto de false).
+ */
+export function isValidationEnabled() {
+  return (process.env.TEXT_VALIDATION || '').toLowerCase() !== 'false';
+}
+
+/**
+ * Forma comparable: sin tildes, minúsculas y solo letras y números ("Re:Zero" → "rezero", "#Rem" → "rem").
+ */
+function compact(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function containsAny(haystack, candidates) {
+  return candidates.some(c => {
+    const needle = compact(c);
+    return needle && haystack.includes(needle);
+  });
+}
+
+/**
+ * Entrada de un mapa por serie (seriesAliases, spoilers): la clave que coincide con la serie del post.
+ * Coincide si es la misma serie, si la serie la contiene (subtítulos; claves de MIN_SERIES_KEY_LENGTH o más) o si la
+ * serie es uno de sus alias ("Re:Zero" → "Re:Zero kara Hajimeru Isekai Seikatsu").
+ * @param {object} map
+ * @param {string} series
+ * @param {object} [aliases] - seriesAliases
+ */
+function findSeriesEntry(map, series, aliases = {}) {
+  const target = compact(series);
+  if (!target) return [];
+  const key = Object.keys(map || {}).find(k => {
+    const c = compact(k);
+    if (!c) return false;
+    if (c === target || (c.length >= MIN_SERIES_KEY_LENGTH && target.includes(c))) return true;
+    return (aliases[k] || []).some(alias => compact(alias) === target);
+  });
+  return key ? map[key] : [];
+}
+
+/**
+ * Formas del nombre que cuentan: completo, cada parte (≥ 3 letras, o ≥ 2 en CJK), kanji y apodos.
+ */
+function getNameCandidates(character, language) {
+  const names = [character.name, getDisplayName(character, language), character.name_kanji, ...(character.nicknames || [])];
+  for (const part of String(character.name || '').split(/[\s,.]+/)) {
+    if (part.length >= 3 || /\p{Script=Han}|\p{Script=Katakana}|\p{Script=Hiragana}/u.test(part)) names.push(part);
+  }
+  return names.filter(Boolean);
+}
+
+/**
+ * Formas de la serie que cuentan: completa, lo que va antes de un subtítulo (" - ", ": ", " (") y los alias.
+ */
+function getSeriesCandidates(series, rules) {
+  const prefix = String(series || '').split(/\s[-–]\s|:\s|\s\(/)[0];
+  return [series, compact(prefix).length >= 4 ? prefix : null, ...findSeriesEntry(rules.seriesAliases, series, rules.seriesAliases)].filter(Boolean);
+}
+
+function matchesWord(text, word) {
+  const w = String(word).trim().toLowerCase();
+  if (!w) return false;
+  // Palabras latinas: con límites de palabra ("rip" no salta en "trip"); el resto, contenido
+  if (/^[\p{Script=Latin}\d\s'’-]+$/u.test(w)) {
+    const escaped = w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+  }
+  return text.toLowerCase().includes(w);
+}
+
+/**
+ * Nombres propios y números del cuerpo (sin hashtags) que no salen de los datos conocidos.
+ */
+function findUnverifiedClaims(body, character, language, rules) {
+  const known = compact([
+    character.about,
+    character.name,
+    character.name_kanji,
+    ...(character.nicknames || []),
+    character.series,
+    ...findSeriesEntry(rules.seriesAliases, character.series),
+    ...(character.genres || []).map(g => g.name || g),
+    character.birthday,
+    formatBirthday(character.birthday, language),
+    character.voice_actor,
+    character.voice_actor_en
+  ].filter(Boolean).join(' '));
+
+  const claims = [];
+  for (const match of body.matchAll(PROPER_NOUN)) {
+    if (SENTENCE_START.test(body.slice(0, match.index))) continue;
+    const word = compact(match[0]);
+    if (COMMON_WORDS.has(word) || known.includes(word)) continue;
+    claims.push(match[0]);
+  }
+  for (const match of body.matchAll(NUMBER)) {
+    if (!known.includes(match[0])) claims.push(match[0]);
+  }
+  return [...new Set(claims)];
+}
+
+/**
+ * Valida un texto generado para un personaje.
+ * @param {string} text - texto (con hashtags)
+ * @param {object} character - { name, name_kanji?, nicknames?, series, birthday, about?, genres?, voice_actor? }
+ *   Con about === undefined (no se buscó en MAL, ej. al regenerar desde la Vista previa) no se revisan los datos.
+ * @param {string} language - en | es | ja
+ * @returns {{ ok: boolean, errors: string[], warnings: string[] }}
+ */
+export function validateBirthdayText(text, character, language) {
+  const rules = loadTextRules();
+  const errors = [];
+  const warnings = [];
+  const t = String(text || '');
+  const body = t.replace(HASHTAG, '').replace(/https?:\/\/\S+/g, '');
+  const haystack = compact(body);
+
+  if (!containsAny(haystack, getNameCandidates(character, language))) errors.push('missing-name');
+  if (character.series && !containsAny(haystack, getSeriesCandidates(character.series, rules))) {
+    (language === 'ja' ? warnings : errors).push('missing-series');
+  }
+
+  const hashtags = extractHashtags(t);
+  if (hashtags.length < rules.hashtags.min || hashtags.length > rules.hashtags.max) {
+    errors.push(`hashtag-count:${hashtags.length}`);
+  }
+  const seen = new Set();
+  for (const tag of hashtags) {
+    const key = tag.toLowerCase();
+    if (!VALID_HASHTAG.test(tag) || seen.has(key)) errors.push(`hashtag-format:${tag}`);
+    seen.add(key);
+  }
+
+  for (const word of rules.bannedWords || []) {
+    if (matchesWord(t, word)) errors.push(`banned-word:${word}`);
+  }
+  for (const word of findSeriesEntry(rules.spoilers, character.series, rules.seriesAliases)) {
+    if (matchesWord(t, word)) errors.push(`spoiler:${word}`);
+  }
+
+  if (character.about !== undefined) {
+    const claims = findUnverifiedClaims(body, character, language, rules);
+    if (claims.length > 0) warnings.push(`unverified:${claims.join(', ')}`);
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+export default {
+  loadTextRules,
+  extractHashtags,
+  isValidationEnabled,
+  validateBirthdayText
+};
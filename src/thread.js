@@ -0,0 +1,110 @@
+/**
+ * Hilo opcional debajo del tweet de cumpleaños (publishToTwitter en twitter.js).
+ * Cada respuesta junta partes del post:
+ *   trivia — el dato del modelo (post.trivia) o una cita / frase del `about` de MAL (post.aboutQuote)
+ *   voice  — seiyuu japonés y, en inglés y español, el actor del doblaje en inglés (post.voiceActors)
+ *   credit — fuente de la imagen: página en Safebooru / AniList / MAL y la obra original si el post la tiene
+ *   links  — páginas del personaje en MyAnimeList y AniList
+ * Una respuesta sin contenido (ej. sin trivia ni seiyuu) no se publica.
+ *
+ * Variables:
+ *   TWITTER_THREAD — composición: respuestas separadas por coma, partes de cada una con +
+ *                    (ej. trivia+voice+credit,links). true = ese default; vacío o false = sin hilo
+ */
+
+import { LANGUAGE } from './config.js';
+import { getMessageTemplates } from './i18n.js';
+import { truncateForPlatform } from './text-length.js';
+import { getVoiceActorName } from './jikan.js';
+
+export const THREAD_PARTS = ['trivia', 'voice', 'credit', 'links'];
+const DEFAULT_THREAD = 'trivia+voice+credit,links';
+
+const SOURCE_LABELS = {
+  anilist: 'AniList',
+  mal: 'MyAnimeList',
+  mal_pictures: 'MyAnimeList',
+  acdb: 'Anime Characters Database',
+  acdb_thumb: 'Anime Characters Database',
+  google: 'Google Images',
+  safebooru: 'Safebooru'
+};
+
+/**
+ * Respuestas configuradas en TWITTER_THREAD (las partes desconocidas se ignoran con un aviso).
+ * @returns {string[][]} ej. [['trivia', 'voice', 'credit'], ['links']]; vacío = sin hilo
+ */
+export function getThreadLayout() {
+  const raw = (process.env.TWITTER_THREAD || '').trim();
+  if (!raw || raw.toLowerCase() === 'false') return [];
+  const layout = raw.toLowerCase() === 'true' ? DEFAULT_THREAD : raw;
+  return layout
+    .split(',')
+    .map(reply => reply.split('+').map(s => s.trim().toLowerCase()).filter(part => {
+      if (THREAD_PARTS.includes(part)) return true;
+      if (part) console.warn(`[Thread] Unknown part "${part}" (use ${THREAD_PARTS.join(', ')})`);
+      return false;
+    }))
+    .filter(parts => parts.length > 0);
+}
+
+/**
+ * Cita del `about` de MAL ("..." o “...”, entre 20 y 200 caracteres); si no hay, null.
+ * @param {string|null} about
+ */
+export function extractAboutQuote(about) {
+  for (const match of String(about || '').matchAll(/["“]([^"“”\n]{20,200})["”]/g)) {
+    const quote = match[1].trim();
+    if (/\s/.test(quote)) return `“${quote}”`;
+  }
+  return null;
+}
+
+function renderPart(part, post, templates) {
+  switch (part) {
+    case 'trivia': {
+      const trivia = post.trivia || post.aboutQuote;
+      return trivia ? templates.threadTrivia(trivia) : null;
+    }
+    case 'voice': {
+      const japanese = getVoiceActorName(post.voiceActors, 'Japanese');
+      return japanese ? templates.threadVoice(japanese, getVoiceActorName(post.voiceActors, 'English')) : null;
+    }
+    case 'credit': {
+      if (!post.imageSource) return null;
+      const label = SOURCE_LABELS[post.imageSource] || post.imageSource;
+      const lines = [templates.threadImage(label, post.imagePageUrl || null)];
+      if (post.imageCreditUrl) lines.push(templates.threadArtist(post.imageCreditUrl));
+      return lines.join('\n');
+    }
+    case 'links':
+      return [
+        post.malUrl ? `🔗 MyAnimeList: ${post.malUrl}` : null,
+        post.anilistUrl ? `🔗 AniList: ${post.anilistUrl}` : null
+      ].filter(Boolean).join('\n') || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Textos de las respuestas del hilo para un post, en orden (sin las vacías).
+ * @param {object} post - post del día (trivia, aboutQuote, voiceActors, imageSource, imagePageUrl, imageCreditUrl, malUrl, anilistUrl)
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE)
+ * @param {string[][]} [layout] - default getThreadLayout()
+ * @returns {string[]}
+ */
+export function buildThreadReplies(post, language = LANGUAGE, layout = getThreadLayout()) {
+  const templates = getMessageTemplates(language);
+  return layout
+    .map(parts => parts.map(part => renderPart(part, post, templates)).filter(Boolean).join('\n\n'))
+    .filter(Boolean)
+    .map(text => truncateForPlatform(text, 'twitter'));
+}
+
+export default {
+  THREAD_PARTS,
+  getThreadLayout,
+  extractAboutQuote,
+  buildThreadReplies
+};
@@ -0,0 +1,145 @@
+/**
+ * Cálculos de fecha/hora en cualquier zona IANA vía Intl (sin offsets hardcodeados).
+ * Maneja DST: el offset se calcula para el instante concreto, no una vez por proceso.
+ * Lo usan el scheduler (próxima ejecución, ventanas del cron) y todo lo que necesita "hoy" en la zona del bot.
+ */
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Valida que la zona exista (lanza si Intl no la reconoce).
+ * @param {string} timezone - ej. 'Asia/Tokyo'
+ */
+export function assertValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+  } catch (_) {
+    throw new Error(`Invalid IANA timezone: ${timezone}`);
+  }
+  return timezone;
+}
+
+/**
+ * Fecha y hora de pared en la zona para un instante.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const p of getFormatter(timezone).formatToParts(date)) {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset de la zona respecto de UTC en minutos para un instante (ej. -180 Argentina, 540 Tokio, -240/-300 US-Eastern).
+ */
+export function getTimezoneOffsetMinutes(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+}
+
+/**
+ * YYYY-MM-DD del instante en la zona.
+ */
+export function getDateStringInTimezone(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Minutos desde medianoche (hora de pared) del instante en la zona.
+ */
+export function getMinutesOfDayInTimezone(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return p.hour * 60 + p.minute;
+}
+
+/**
+ * Suma días a un YYYY-MM-DD (calendario, sin horas; no se ve afectado por DST).
+ */
+export function addDaysToDateString(dateString, days) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d + days));
+  return t.toISOString().slice(0, 10);
+}
+
+/**
+ * Instante (Date) para una hora de pared en la zona.
+ * Si la hora no existe (salto de DST hacia adelante) se corre hacia adelante lo que dura el salto (02:30 → 03:30);
+ * si existe dos veces (DST hacia atrás) se usa la primera.
+ * @param {string} dateString - YYYY-MM-DD en la zona
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone
+ */
+export function zonedTimeToDate(dateString, hour, minute, timezone) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  const wallAsUtc = Date.UTC(y, m - 1, d, hour, minute);
+
+  // Dos pasadas: el offset del instante estimado puede diferir del de la hora de pared cerca de un cambio de DST
+  let guess = wallAsUtc - getTimezoneOffsetMinutes(new Date(wallAsUtc), timezone) * 60000;
+  const offset = getTimezoneOffsetMinutes(new Date(guess), timezone);
+  guess = wallAsUtc - offset * 60000;
+
+  // Con ambigüedad (hora repetida), preferir el instante más temprano
+  const earlier = guess - 60 * 60000;
+  const pEarlier = getZonedParts(new Date(earlier), timezone);
+  if (pEarlier.hour === hour && pEarlier.minute === minute && getDateStringInTimezone(new Date(earlier), timezone) === dateString) {
+    return new Date(earlier);
+  }
+
+  const p = getZonedParts(new Date(guess), timezone);
+  if (p.hour !== hour || p.minute !== minute) {
+    // Hora inexistente (gap de DST): con el offset de antes del cambio cae después del salto
+    const before = getTimezoneOffsetMinutes(new Date(wallAsUtc - 12 * 3600000), timezone);
+    return new Date(wallAsUtc - before * 60000);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Formatea un instante como HH:MM en la zona.
+ */
+export function formatTimeInTimezone(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+export default {
+  assertValidTimezone,
+  getZonedParts,
+  getTimezoneOffsetMinutes,
+  getDateStringInTimezone,
+  getMinutesOfDayInTimezone,
+  addDaysToDateString,
+  zonedTimeToDate,
+  formatTimeInTimezone
+};
@@ -2,8 +2,19 @@ import { TwitterApi } from 'twitter-api-v2';
 import fs from 'fs/promises';
 import path from 'path';
 import { recordPost, logUsageSummary } from './usage-tracker.js';
-import { isPostAlreadySent, markPostAsSent, markPostAsFailed } from './state.js';
-import { generateBirthdayMessage as generateBirthdayMessageWithGemini, ensureHashtagsOnNewLine } from './gemini.js';
+import { isPostAlreadySent, markPostAsSent, markPostAsFailed } from './state-store.js';
+import { getTodayDateString } from './state.js';
+import { ensureHashtagsOnNewLine } from './gemini.js';
+import { generateBirthdayText } from './llm.js';
+import { extractHashtags } from './text-validator.js';
+import { buildHashtags } from './hashtags.js';
+import { buildThreadReplies } from './thread.js';
+import { fitsPlatform, truncateForPlatform } from './text-length.js';
+import { LANGUAGE } from './config.js';
+import { formatBirthday, getDisplayName, getMessageTemplates } from './i18n.js';
+
+// Límite de alt text de X (media/metadata/create)
+const MAX_ALT_TEXT_LENGTH = 1000;
 
 let client = null;
 
@@ -32,11 +43,12 @@ export function getClient() {
 }
 
 /**
- * Upload media (image or video) to Twitter
+ * Upload media (image or video) to Twitter, with alt text via media/metadata/create
  * @param {string} filePath - Path to the media file
+ * @param {string} [altText] - Image description (up to 1000 characters)
  * @returns {string} - Media ID
  */
-export async function uploadMedia(filePath) {
+export async function uploadMedia(filePath, altText = '') {
   const twitterClient = getClient();
 
   try {
@@ -60,6 +72,15 @@ export async function uploadMedia(filePath) {
     }
 
     console.log(`Media uploaded successfully: ${mediaId}`);
+
+    // Sin alt text la imagen sale igual: un error acá no frena el tweet
+    if (altText && !mediaType.startsWith('video/')) {
+      try {
+        await twitterClient.v1.createMediaMetadata(mediaId, { alt_text: { text: altText.slice(0, MAX_ALT_TEXT_LENGTH) } });
+      } catch (error) {
+        console.warn(`Could not set alt text on media ${mediaId}:`, error.message);
+      }
+    }
     return mediaId;
   } catch (error) {
     console.error('Error uploading media:', error.message);
@@ -71,9 +92,10 @@ export async function uploadMedia(filePath) {
  * Post a tweet with optional media
  * @param {string} text - Tweet text
  * @param {string[]} mediaIds - Array of media IDs (optional)
+ * @param {string|null} [replyToId] - Tweet to reply to (thread replies)
  * @returns {object} - Tweet data
  */
-export async function postTweet(text, mediaIds = []) {
+export async function postTweet(text, mediaIds = [], replyToId = null) {
   const twitterClient = getClient();
 
   try {
@@ -82,6 +104,9 @@ export async function postTweet(text, mediaIds = []) {
     if (mediaIds && mediaIds.length > 0) {
       tweetOptions.media = { media_ids: mediaIds };
     }
+    if (replyToId) {
+      tweetOptions.reply = { in_reply_to_tweet_id: replyToId };
+    }
 
     const tweet = await twitterClient.v2.tweet(tweetOptions);
 
@@ -108,18 +133,90 @@ export async function postTweet(text, mediaIds = []) {
   }
 }
 
+/**
+ * Credenciales de Twitter desde env (API_KEY, API_SECRET, ACCESS_TOKEN, ACCESS_TOKEN_SECRET)
+ */
+export function getTwitterCredentialsFromEnv() {
+  return {
+    apiKey: process.env.API_KEY,
+    apiSecret: process.env.API_SECRET,
+    accessToken: process.env.ACCESS_TOKEN,
+    accessTokenSecret: process.env.ACCESS_TOKEN_SECRET
+  };
+}
+
+/**
+ * Twitter habilitado: credenciales completas y TWITTER_ENABLED distinto de false
+ */
+export function isTwitterEnabled() {
+  const credentials = getTwitterCredentialsFromEnv();
+  return Object.values(credentials).every(Boolean) && (process.env.TWITTER_ENABLED || '').toLowerCase() !== 'false';
+}
+
+/**
+ * Publish a post with image to Twitter (publisher used by src/publishers.js).
+ * Does not touch the state store; the caller records the result per platform.
+ * With TWITTER_THREAD the replies (thread.js) go under the tweet; a failed reply stops the thread
+ * but the post still counts as published.
+ * @param {object} params - { text, imagePath?, altText?, post?, language? }
+ * @returns {Promise<{ success: boolean, id?: string, url?: string, threadIds?: string[], threadError?: string, error?: string }>}
+ */
+export async function publishToTwitter({ text, imagePath = null, altText = '', post = null, language = LANGUAGE }) {
+  try {
+    if (!client) initTwitterClient(getTwitterCredentialsFromEnv());
+    const mediaIds = imagePath ? [await uploadMedia(imagePath, altText)] : [];
+    const result = await postTweet(truncateForPlatform(text, 'twitter'), mediaIds);
+    const replies = result.success && post ? buildThreadReplies(post, language || LANGUAGE) : [];
+    if (replies.length === 0) return result;
+
+    // Cada respuesta contesta a la anterior
+    const threadIds = [];
+    let replyTo = result.id;
+    for (const reply of replies) {
+      const posted = await postTweet(reply, [], replyTo);
+      if (!posted.success) {
+        console.warn(`Thread stopped after ${threadIds.length} replies:`, posted.error);
+        return { ...result, threadIds, threadError: posted.error };
+      }
+      threadIds.push(posted.id);
+      replyTo = posted.id;
+    }
+    return { ...result, threadIds };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Public metrics of a tweet (engagement.js). Quotes count as reposts.
+ * @param {string} id - tweet id
+ * @returns {Promise<{ likes: number, reposts: number, replies: number, impressions: number|null }>}
+ */
+export async function getTweetEngagement(id) {
+  if (!client) initTwitterClient(getTwitterCredentialsFromEnv());
+  const { data } = await client.v2.singleTweet(id, { 'tweet.fields': ['public_metrics'] });
+  const metrics = data?.public_metrics || {};
+  return {
+    likes: metrics.like_count || 0,
+    reposts: (metrics.retweet_count || 0) + (metrics.quote_count || 0),
+    replies: metrics.reply_count || 0,
+    impressions: metrics.impression_count ?? null
+  };
+}
+
 /**
  * Post a birthday tweet for a character
  * @param {object} character - Character data
  * @param {string} imagePath - Path to character image
- * @param {number} postIndex - Index of the post (for duplicate protection)
+ * @param {number} postIndex - Index of today's post (for duplicate protection and marking it in the state store)
  * @param {string} [customMessage] - Optional: use this text instead of generating (e.g. preview text for test post)
  */
 export async function postBirthdayTweet(character, imagePath, postIndex = null, customMessage = null) {
+  const date = getTodayDateString();
   try {
     // Check if already posted (duplicate protection)
     if (postIndex !== null) {
-      const alreadySent = await isPostAlreadySent(postIndex);
+      const alreadySent = await isPostAlreadySent(date, postIndex);
       if (alreadySent) {
         console.log(`[SKIP] ${character.name} already posted (index ${postIndex})`);
         return {
@@ -131,20 +228,20 @@ export async function postBirthdayTweet(character, imagePath, postIndex = null,
     }
 
     // Upload the image
-    const mediaId = await uploadMedia(imagePath);
+    const mediaId = await uploadMedia(imagePath, createAltText(character));
 
-    // Use custom message (e.g. from preview) or generate with Gemini/fallback
+    // Use custom message (e.g. from preview) or generate (LLM chain/fallback)
     let message = customMessage != null ? customMessage : await getBirthdayMessage(character);
-    message = ensureHashtagsOnNewLine(message);
+    message = truncateForPlatform(ensureHashtagsOnNewLine(message), 'twitter');
 
     // Post the tweet
     const result = await postTweet(message, [mediaId]);
 
     // Update state if successful
     if (result.success && postIndex !== null) {
-      await markPostAsSent(postIndex, result.id, result.url);
+      await markPostAsSent(date, postIndex, result.id, result.url);
     } else if (!result.success && postIndex !== null) {
-      await markPostAsFailed(postIndex, result.error);
+      await markPostAsFailed(date, postIndex, result.error);
     }
 
     return result;
@@ -153,7 +250,7 @@ export async function postBirthdayTweet(character, imagePath, postIndex = null,
 
     // Mark as failed in state
     if (postIndex !== null) {
-      await markPostAsFailed(postIndex, error.message);
+      await markPostAsFailed(date, postIndex, error.message);
     }
 
     return {
@@ -164,56 +261,90 @@ export async function postBirthdayTweet(character, imagePath, postIndex = null,
 }
 
 /**
- * Get birthday message: try Gemini first, fallback to rule-based.
- * @param {object} character - Character data with name, series, birthday, about, and genres
+ * Get birthday message with its source: LLM provider chain first (llm.js), fallback to rule-based.
+ * @param {object} character - Character data with name, name_kanji?, series, birthday, about, and genres
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE)
+ * @param {object} [options] - { promptVersion? } prompt template version (prompts/)
+ * @returns {Promise<{ text: string, hashtags: string[], altText: string, trivia: string|null, confidence: number|null,
+ *   provider: string, model: string|null, promptVersion: string|null }>} provider 'template' for the fallback;
+ *   altText from the model, or createAltText when it has none
+ */
+export async function getBirthdayMessageWithSource(character, language = LANGUAGE, options = {}) {
+  const generated = await generateBirthdayText(character, language, options);
+  if (generated) return { ...generated, altText: generated.altText || createAltText(character, language) };
+  const text = createBirthdayMessage(character, language);
+  return {
+    text,
+    hashtags: extractHashtags(text),
+    altText: createAltText(character, language),
+    trivia: null,
+    confidence: null,
+    provider: 'template',
+    model: null,
+    promptVersion: null
+  };
+}
+
+/**
+ * Get birthday message: LLM provider chain first, fallback to rule-based.
+ * @param {object} character - Character data with name, name_kanji?, series, birthday, about, and genres
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE)
  * @returns {Promise<string>}
  */
-export async function getBirthdayMessage(character) {
-  const geminiMessage = await generateBirthdayMessageWithGemini(character);
-  if (geminiMessage) return geminiMessage;
-  return createBirthdayMessage(character);
+export async function getBirthdayMessage(character, language = LANGUAGE) {
+  return (await getBirthdayMessageWithSource(character, language)).text;
 }
 
 /**
- * Create a birthday message for a character (rule-based, used when Gemini is not configured or fails)
- * @param {object} character - Character data with name, series, birthday, about, and genres
+ * Create a birthday message for a character (rule-based, used when no LLM provider is configured or all fail)
+ * @param {object} character - Character data with name, name_kanji?, series, birthday, about, genres and voice_actor?
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE); templates in i18n.js
  */
-export function createBirthdayMessage(character) {
-  const nameHashtag = createHashtag(character.name);
-  const seriesHashtag = createHashtag(character.series);
+export function createBirthdayMessage(character, language = LANGUAGE) {
+  const templates = getMessageTemplates(language);
+  const name = getDisplayName(character, language);
 
-  // Extraer descripción del personaje
-  const description = extractDescription(character.about);
+  // Extraer descripción del personaje (MAL está en inglés)
+  const description = templates.useAbout ? extractDescription(character.about) : null;
 
-  // Obtener hasta 2 géneros para hashtags
-  const genreHashtags = (character.genres || [])
-    .slice(0, 2)
-    .map(g => `#${createHashtag(g.name || g)}`)
-    .join(' ');
+  // Hasta 2 géneros para hashtags (nombres en inglés, solo en ese idioma)
+  const genres = templates.useAbout ? (character.genres || []).slice(0, 2).map(g => g.name || g) : [];
+  // Serie (tags oficiales si está en hashtags.js) + Nombre + fijos + los del idioma + géneros
+  const hashtags = buildHashtags(character, [...templates.hashtags, ...genres], { name }).join(' ');
 
   // Mensaje personalizado
-  let message = `🎂 Happy Birthday to ${character.name}! 🎉\n\n`;
+  let message = `${templates.greeting(name)}\n\n`;
 
   if (description) {
     message += `${description}\n\n`;
   } else {
-    message += `The beloved character from ${character.series} celebrates today.\n\n`;
+    message += `${templates.fromSeries(character.series)}\n\n`;
   }
 
-  // Fecha
-  message += `📅 ${character.birthday}\n\n`;
+  // Fecha y seiyuu
+  message += `📅 ${formatBirthday(character.birthday, language)}\n`;
+  if (character.voice_actor) message += `${templates.voicedBy(character.voice_actor)}\n`;
+  message += '\n';
 
-  // Hashtags: Serie + Nombre + AnimeBirthday + Anime + HappyBirthday + 2 géneros
-  message += `#${seriesHashtag} #${nameHashtag} #AnimeBirthday #Anime #HappyBirthday ${genreHashtags}`;
+  message += hashtags;
 
-  // Fallback si excede 280 caracteres
-  if (message.length > 280) {
-    message = `🎂 Happy Birthday ${character.name}! 🎉\n`;
-    message += `From ${character.series}\n\n`;
-    message += `#${seriesHashtag} #AnimeBirthday #Anime #HappyBirthday`;
+  // Fallback si excede el peso de X (CJK y emoji cuentan 2)
+  if (!fitsPlatform(message, 'twitter')) {
+    message = `${templates.shortGreeting(name)}\n`;
+    message += `${templates.shortFrom(character.series)}\n\n`;
+    message += hashtags;
   }
 
-  return message;
+  return truncateForPlatform(message, 'twitter');
+}
+
+/**
+ * Alt text for the post image when the model gave none ("Official art of {name} from {series}")
+ * @param {object} character - { name, name_kanji?, series }
+ * @param {string} [language] - en | es | ja (default BOT_LANGUAGE)
+ */
+export function createAltText(character, language = LANGUAGE) {
+  return getMessageTemplates(language).altText(getDisplayName(character, language), character.series);
 }
 
 /**
@@ -265,18 +396,6 @@ function extractDescription(about) {
   return null;
 }
 
-/**
- * Create a valid hashtag from text
- */
-function createHashtag(text) {
-  if (!text) return '';
-
-  return text
-    .replace(/[^\w\s]/g, '') // Remove special characters
-    .replace(/\s+/g, '')     // Remove spaces
-    .substring(0, 50);       // Limit length
-}
-
 /**
  * Get MIME type from file extension
  */
@@ -299,7 +418,13 @@ export default {
   getClient,
   uploadMedia,
   postTweet,
+  getTwitterCredentialsFromEnv,
+  isTwitterEnabled,
+  publishToTwitter,
+  getTweetEngagement,
   postBirthdayTweet,
+  getBirthdayMessageWithSource,
   getBirthdayMessage,
-  createBirthdayMessage
+  createBirthdayMessage,
+  createAltText
 };
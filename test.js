@@ -0,0 +1,110 @@
+/**
+ * Tests de los módulos puros (sin red ni estado): comparación de nombres, largo de textos y zonas horarias.
+ * Uso: npm test (node:test, sin dependencias)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NAME_MATCH_THRESHOLD,
+  normalizeRomaji,
+  nameTokens,
+  scoreNameMatch,
+  scoreSeriesMatch
+} from './src/name-matcher.js';
+import { twitterWeightedLength, countGraphemes, measureText, truncateForPlatform } from './src/text-length.js';
+import {
+  assertValidTimezone,
+  getTimezoneOffsetMinutes,
+  getDateStringInTimezone,
+  getMinutesOfDayInTimezone,
+  addDaysToDateString,
+  zonedTimeToDate
+} from './src/timezone.js';
+
+test('name-matcher: romanizaciones de la misma palabra', () => {
+  for (const variant of ['Kudō', 'Kudou', 'Kudoh', 'Kudo', 'Kudô']) {
+    assert.equal(normalizeRomaji(variant), normalizeRomaji('Kudo'), variant);
+  }
+  assert.equal(normalizeRomaji('Shinichi'), normalizeRomaji('Sinichi'));
+  assert.equal(normalizeRomaji('Tsukishima'), normalizeRomaji('Tukisima'));
+  assert.equal(normalizeRomaji("Shin'ichi"), normalizeRomaji('Shinichi'));
+});
+
+test('name-matcher: partes sin honoríficos y en orden "First Last"', () => {
+  assert.deepEqual(nameTokens('Kaguya-sama'), ['kaguya']);
+  assert.deepEqual(nameTokens('Natsuki, Subaru'), ['subaru', 'natuki']);
+});
+
+test('name-matcher: confianza del nombre', () => {
+  assert.equal(scoreNameMatch('Shinichi Kudou', 'Kudō, Shinichi'), 1);
+  assert.equal(scoreNameMatch('Kudo Shinichi', 'Kudō, Shinichi'), 0.95);
+  assert.equal(scoreNameMatch('Kaguya-sama', 'Shinomiya, Kaguya'), NAME_MATCH_THRESHOLD);
+  assert.ok(scoreNameMatch('Shinomiya', 'Shinomiya, Kaguya') < NAME_MATCH_THRESHOLD);
+  assert.ok(scoreNameMatch('Rem', 'Ram') < NAME_MATCH_THRESHOLD);
+});
+
+test('name-matcher: serie contra los títulos del candidato', () => {
+  assert.equal(scoreSeriesMatch('Re:Zero kara Hajimeru Isekai Seikatsu', ['Re:Zero kara Hajimeru Isekai Seikatsu']), 1);
+  assert.ok(scoreSeriesMatch('Kaguya-sama wa Kokurasetai', ['Kaguya-sama: Love is War']) < 1);
+  assert.equal(scoreSeriesMatch('Steins;Gate', ['Clannad']), 0);
+});
+
+test('text-length: peso de X (latín 1, CJK y emoji 2, URL 23)', () => {
+  assert.equal(twitterWeightedLength('abc'), 3);
+  assert.equal(twitterWeightedLength('誕生日'), 6);
+  assert.equal(twitterWeightedLength('🎂'), 2);
+  assert.equal(twitterWeightedLength('👨‍👩‍👧'), 2);
+  assert.equal(twitterWeightedLength('see https://example.com/very/long/path/here'), 4 + 23);
+});
+
+test('text-length: grafemas en Bluesky', () => {
+  assert.equal(countGraphemes('👨‍👩‍👧é'), 2);
+  assert.equal(measureText('誕生日', 'bluesky'), 3);
+});
+
+test('text-length: recorte saca hashtags del final antes que el cuerpo', () => {
+  const body = 'a'.repeat(262);
+  const text = truncateForPlatform(`${body}\n\n#One #Two #Three #Four`);
+  // Justo 280: 262 + 2 saltos + 16
+  assert.equal(text, `${body}\n\n#One #Two #Three`);
+  assert.equal(measureText(text), 280);
+});
+
+test('text-length: recorte del cuerpo con "…" dentro del límite', () => {
+  const words = truncateForPlatform('word '.repeat(80));
+  assert.ok(words.endsWith('word…'));
+  assert.ok(measureText(words) <= 280);
+  const cjk = truncateForPlatform('誕'.repeat(200));
+  assert.ok(cjk.endsWith('…'));
+  assert.ok(measureText(cjk) <= 280);
+});
+
+// En 2026 Nueva York adelanta el 8 de marzo (02:00 → 03:00) y atrasa el 1 de noviembre (02:00 → 01:00)
+const NEW_YORK = 'America/New_York';
+
+test('timezone: hora de pared a instante, sin DST', () => {
+  assert.equal(zonedTimeToDate('2026-07-01', 9, 0, NEW_YORK).toISOString(), '2026-07-01T13:00:00.000Z');
+  assert.equal(zonedTimeToDate('2026-01-01', 9, 0, 'Asia/Tokyo').toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('timezone: hora que no existe (salto de DST) se corre hacia adelante', () => {
+  // 02:30 no existe: queda 03:30 EDT
+  assert.equal(zonedTimeToDate('2026-03-08', 2, 30, NEW_YORK).toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('timezone: hora repetida (DST hacia atrás) usa la primera', () => {
+  // 01:30 pasa dos veces: la de EDT (UTC-4)
+  assert.equal(zonedTimeToDate('2026-11-01', 1, 30, NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+  // La segunda 01:30 (EST) también es 01:30 de pared
+  assert.equal(getMinutesOfDayInTimezone(new Date('2026-11-01T06:30:00Z'), NEW_YORK), 90);
+});
+
+test('timezone: offset por instante, fecha en la zona y días', () => {
+  assert.equal(getTimezoneOffsetMinutes(new Date('2026-01-15T12:00:00Z'), NEW_YORK), -300);
+  assert.equal(getTimezoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), NEW_YORK), -240);
+  assert.equal(getDateStringInTimezone(new Date('2026-10-19T23:30:00Z'), 'Asia/Tokyo'), '2026-10-20');
+  assert.equal(addDaysToDateString('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDaysToDateString('2026-12-31', 1), '2027-01-01');
+  assert.throws(() => assertValidTimezone('Mars/Base'));
+});